@@ -22,7 +22,7 @@ async function getJsFilesRecursive(dir) {
   return files;
 }
 
-// Get all JS files from src/classes and src/helpers
+// Get all JS files from src/classes, src/helpers, src/enums and src/schemas
 async function getSourceFiles() {
   const files = [];
   
@@ -34,6 +34,9 @@ async function getSourceFiles() {
   
   const enumFiles = await getJsFilesRecursive('./src/enums');
   files.push(...enumFiles);
+
+  const schemaFiles = await getJsFilesRecursive('./src/schemas');
+  files.push(...schemaFiles);
   
   return files;
 }
@@ -11,11 +11,12 @@ export default class Base {
   /**
    * Creates a new Base instance.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - ID of the instance. Defaults to a random UUID.
    * @param {string} [options.name] - Name of the instance.
    * @param {string} [options.base_type=base_types.STEP] - Type of the base instance.
    */
-  constructor({ name, base_type = base_types.STEP }) {
-    this.id = crypto.randomUUID();
+  constructor({ id, name, base_type = base_types.STEP }) {
+    this.id = id ?? crypto.randomUUID();
     this.name = name ?? `${base_type}-${this.id}`;
 
     this.base_type = base_type;
@@ -58,6 +59,20 @@ export default class Base {
     console[logType](logMessage);
   }
 
+  /**
+   * Marks the instance as cancelled and calculates execution time.
+   */
+  markAsCancelled() {
+    this.timing.cancel_time = new Date();
+    this.status = State.get('statuses')[this.base_type].CANCELLED;
+    this.timing.execution_time_ms = this.timing.start_time ? this.timing.cancel_time - this.timing.start_time : null;
+
+    this.log(
+      State.get(`event_names.${this.base_type}`)[`${this.base_type.toUpperCase()}_CANCELLED`],
+      `${this.base_type.charAt(0).toUpperCase() + this.base_type.slice(1)} "${this.name}" cancelled.`
+    );
+  }
+
   /**
    * Marks the instance as complete and calculates execution time.
    */
@@ -115,28 +130,59 @@ export default class Base {
 
   // State management methods
   /**
-   * Gets a value from the global state.
+   * Gets a value from the state scope, or from the global state when there is no scope.
    * @param {string} path - Path to the state property.
    * @returns {*} The state value at the specified path.
    */
   getState(path) {
-    return State.get(path);
+    const scope = this.getStateScope();
+
+    return scope ? scope.get(path) : State.get(path);
+  }
+
+  /**
+   * Gets the state scope used by getState, setState and deleteState.
+   * Workflows use their own scope while running with isolated state; steps use their parent workflow's scope.
+   * @returns {StateScope|null} The state scope, or null to use the global state.
+   */
+  getStateScope() {
+    if (this.state_scope) {
+      return this.state_scope;
+    }
+
+    if (!this.parentWorkflowId) {
+      return null;
+    }
+
+    return State.get('workflows')?.[this.parentWorkflowId]?.state_scope ?? null;
   }
 
   /**
-   * Sets a value in the global state.
+   * Sets a value in the state scope, or in the global state when there is no scope.
    * @param {string} path - Path to the state property.
    * @param {*} value - Value to set.
    */
   setState(path, value) {
-    State.set(path, value);
+    const scope = this.getStateScope();
+
+    if (scope) {
+      scope.set(path, value);
+    } else {
+      State.set(path, value);
+    }
   }
 
   /**
-   * Deletes a property from the global state.
+   * Deletes a property from the state scope, or from the global state when there is no scope.
    * @param {string} path - Path to the state property to delete.
    */
   deleteState(path) {
-    State.delete(path);
+    const scope = this.getStateScope();
+
+    if (scope) {
+      scope.delete(path);
+    } else {
+      State.delete(path);
+    }
   }
 }
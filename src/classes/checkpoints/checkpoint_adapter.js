@@ -0,0 +1,117 @@
+/**
+ * CheckpointAdapter base class for workflow checkpoint storage.
+ * Subclasses implement `read`, `write`, and `remove` for their storage backend;
+ * this class handles turning checkpoints into JSON and back.
+ * @class CheckpointAdapter
+ */
+export default class CheckpointAdapter {
+  /**
+   * Deletes the checkpoint for a workflow.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.remove(id);
+  }
+
+  /**
+   * Converts a serialized checkpoint back into an object.
+   * @param {string} serialized - The JSON string produced by serialize.
+   * @returns {Object} The checkpoint.
+   */
+  deserialize(serialized) {
+    return JSON.parse(serialized);
+  }
+
+  /**
+   * Loads the checkpoint for a workflow.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<Object|null>} The checkpoint, or null if none has been saved.
+   */
+  async load(id) {
+    const serialized = await this.read(id);
+
+    return serialized ? this.deserialize(serialized) : null;
+  }
+
+  /**
+   * Reads a serialized checkpoint from storage. Must be overridden by subclasses.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<string|null>} The serialized checkpoint, or null if none exists.
+   * @throws {Error} Throws if not implemented in subclass.
+   */
+  async read(id) {
+    throw new Error('Read method not implemented');
+  }
+
+  /**
+   * Removes a serialized checkpoint from storage. Must be overridden by subclasses.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<void>}
+   * @throws {Error} Throws if not implemented in subclass.
+   */
+  async remove(id) {
+    throw new Error('Remove method not implemented');
+  }
+
+  /**
+   * Saves the checkpoint for a workflow, replacing any previous one.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @param {Object} checkpoint - The checkpoint to save.
+   * @returns {Promise<void>}
+   */
+  async save(id, checkpoint) {
+    await this.write(id, this.serialize(checkpoint));
+  }
+
+  /**
+   * Converts a checkpoint to JSON. Errors become `{ name, message }`, functions are dropped,
+   * and circular references are cut so any step result can be saved.
+   * @param {Object} checkpoint - The checkpoint to serialize.
+   * @returns {string} The serialized checkpoint.
+   */
+  serialize(checkpoint) {
+    const ancestors = [];
+
+    return JSON.stringify(checkpoint, function (key, value) {
+      if (typeof value === 'function' || typeof value === 'symbol') {
+        return undefined;
+      }
+
+      if (!value || typeof value !== 'object') {
+        return value;
+      }
+
+      // `this` is the object holding `value`, so everything above it on the stack is an ancestor
+      while (ancestors.length && ancestors[ancestors.length - 1] !== this) {
+        ancestors.pop();
+      }
+
+      if (ancestors.includes(value)) {
+        return undefined;
+      }
+
+      const serializable = value instanceof Error ? { name: value.name, message: value.message } : value;
+
+      ancestors.push(serializable);
+      return serializable;
+    });
+  }
+
+  /**
+   * Writes a serialized checkpoint to storage. Must be overridden by subclasses.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @param {string} serialized - The serialized checkpoint.
+   * @returns {Promise<void>}
+   * @throws {Error} Throws if not implemented in subclass.
+   */
+  async write(id, serialized) {
+    throw new Error('Write method not implemented');
+  }
+}
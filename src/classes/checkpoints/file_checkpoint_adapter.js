@@ -0,0 +1,82 @@
+import CheckpointAdapter from './checkpoint_adapter.js';
+
+/**
+ * FileCheckpointAdapter class storing each checkpoint as a JSON file in a directory.
+ * Node.js only; the file system modules are loaded on first use so browser bundles are unaffected.
+ * @class FileCheckpointAdapter
+ * @extends CheckpointAdapter
+ */
+export default class FileCheckpointAdapter extends CheckpointAdapter {
+  /**
+   * Creates a new FileCheckpointAdapter instance.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string} [options.directory='.micro-flow/checkpoints'] - Directory the checkpoint files are written to. Created if missing.
+   */
+  constructor({ directory = '.micro-flow/checkpoints' } = {}) {
+    super();
+
+    this.directory = directory;
+  }
+
+  /**
+   * Builds the file path for a workflow's checkpoint.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<string>} The checkpoint file path.
+   */
+  async getFilePath(id) {
+    const { join } = await import('path');
+
+    return join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+
+  /**
+   * Reads a serialized checkpoint from its file.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<string|null>} The serialized checkpoint, or null if the file does not exist.
+   */
+  async read(id) {
+    const { readFile } = await import('fs/promises');
+
+    try {
+      return await readFile(await this.getFilePath(id), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Removes a checkpoint file. Missing files are ignored.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const { rm } = await import('fs/promises');
+
+    await rm(await this.getFilePath(id), { force: true });
+  }
+
+  /**
+   * Writes a serialized checkpoint to its file. The file is written to a temporary path first and then renamed,
+   * so a crash mid-write never leaves a truncated checkpoint behind.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @param {string} serialized - The serialized checkpoint.
+   * @returns {Promise<void>}
+   */
+  async write(id, serialized) {
+    const { mkdir, rename, writeFile } = await import('fs/promises');
+    const file_path = await this.getFilePath(id);
+    const temporary_path = `${file_path}.tmp`;
+
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(temporary_path, serialized, 'utf8');
+    await rename(temporary_path, file_path);
+  }
+}
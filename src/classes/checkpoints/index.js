@@ -0,0 +1,5 @@
+export { default as CheckpointAdapter } from './checkpoint_adapter.js';
+export { default as FileCheckpointAdapter } from './file_checkpoint_adapter.js';
+export { default as IndexedDBCheckpointAdapter } from './indexed_db_checkpoint_adapter.js';
+export { default as LocalStorageCheckpointAdapter } from './local_storage_checkpoint_adapter.js';
+export { default as MemoryCheckpointAdapter } from './memory_checkpoint_adapter.js';
@@ -0,0 +1,106 @@
+import CheckpointAdapter from './checkpoint_adapter.js';
+
+/**
+ * IndexedDBCheckpointAdapter class storing checkpoints in an IndexedDB object store.
+ * Suited to browsers, where checkpoints can outgrow localStorage's size limits.
+ * @class IndexedDBCheckpointAdapter
+ * @extends CheckpointAdapter
+ */
+export default class IndexedDBCheckpointAdapter extends CheckpointAdapter {
+  /**
+   * Creates a new IndexedDBCheckpointAdapter instance.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string} [options.database_name='micro-flow'] - Name of the database.
+   * @param {string} [options.store_name='checkpoints'] - Name of the object store. Created on first use.
+   * @param {IDBFactory} [options.indexed_db=globalThis.indexedDB] - The IndexedDB factory to use.
+   * @throws {Error} Throws if IndexedDB is not available.
+   */
+  constructor({
+    database_name = 'micro-flow',
+    store_name = 'checkpoints',
+    indexed_db = globalThis.indexedDB,
+  } = {}) {
+    super();
+
+    if (!indexed_db) {
+      throw new Error('IndexedDB is not available in this environment. Pass an indexed_db option instead.');
+    }
+
+    this.database_name = database_name;
+    this.store_name = store_name;
+    this.indexed_db = indexed_db;
+    this.database = null;
+  }
+
+  /**
+   * Opens the database, creating the object store if needed. The connection is reused across calls.
+   * @async
+   * @returns {Promise<IDBDatabase>} The open database.
+   */
+  async open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.indexed_db.open(this.database_name, 1);
+
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(this.store_name)) {
+            request.result.createObjectStore(this.store_name);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.database;
+  }
+
+  /**
+   * Reads a serialized checkpoint from the object store.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<string|null>} The serialized checkpoint, or null if none exists.
+   */
+  async read(id) {
+    return (await this.request('readonly', store => store.get(id))) ?? null;
+  }
+
+  /**
+   * Removes a serialized checkpoint from the object store.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this.request('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Runs a single request against the object store.
+   * @async
+   * @param {IDBTransactionMode} mode - Transaction mode.
+   * @param {Function} operation - Receives the object store and returns an IDBRequest.
+   * @returns {Promise<*>} The request's result.
+   */
+  async request(mode, operation) {
+    const database = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const request = operation(database.transaction(this.store_name, mode).objectStore(this.store_name));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Writes a serialized checkpoint to the object store.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @param {string} serialized - The serialized checkpoint.
+   * @returns {Promise<void>}
+   */
+  async write(id, serialized) {
+    await this.request('readwrite', store => store.put(serialized, id));
+  }
+}
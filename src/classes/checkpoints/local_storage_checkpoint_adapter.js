@@ -0,0 +1,58 @@
+import CheckpointAdapter from './checkpoint_adapter.js';
+
+/**
+ * LocalStorageCheckpointAdapter class storing checkpoints in the browser's localStorage.
+ * Any object with the Web Storage `getItem`/`setItem`/`removeItem` methods can be used instead, such as sessionStorage.
+ * @class LocalStorageCheckpointAdapter
+ * @extends CheckpointAdapter
+ */
+export default class LocalStorageCheckpointAdapter extends CheckpointAdapter {
+  /**
+   * Creates a new LocalStorageCheckpointAdapter instance.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {Storage} [options.storage=globalThis.localStorage] - The storage to write to.
+   * @param {string} [options.prefix='micro-flow:checkpoint:'] - Prefix added to every storage key.
+   * @throws {Error} Throws if no storage is available.
+   */
+  constructor({ storage = globalThis.localStorage, prefix = 'micro-flow:checkpoint:' } = {}) {
+    super();
+
+    if (!storage) {
+      throw new Error('localStorage is not available in this environment. Pass a storage option instead.');
+    }
+
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Reads a serialized checkpoint from storage.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<string|null>} The serialized checkpoint, or null if none exists.
+   */
+  async read(id) {
+    return this.storage.getItem(`${this.prefix}${id}`);
+  }
+
+  /**
+   * Removes a serialized checkpoint from storage.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    this.storage.removeItem(`${this.prefix}${id}`);
+  }
+
+  /**
+   * Writes a serialized checkpoint to storage.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @param {string} serialized - The serialized checkpoint.
+   * @returns {Promise<void>}
+   */
+  async write(id, serialized) {
+    this.storage.setItem(`${this.prefix}${id}`, serialized);
+  }
+}
@@ -0,0 +1,49 @@
+import CheckpointAdapter from './checkpoint_adapter.js';
+
+/**
+ * MemoryCheckpointAdapter class storing checkpoints in a Map.
+ * Checkpoints only live as long as the adapter, which makes it useful for tests and short-lived processes.
+ * @class MemoryCheckpointAdapter
+ * @extends CheckpointAdapter
+ */
+export default class MemoryCheckpointAdapter extends CheckpointAdapter {
+  /**
+   * Creates a new MemoryCheckpointAdapter instance.
+   */
+  constructor() {
+    super();
+
+    this.checkpoints = new Map();
+  }
+
+  /**
+   * Reads a serialized checkpoint from memory.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<string|null>} The serialized checkpoint, or null if none exists.
+   */
+  async read(id) {
+    return this.checkpoints.get(id) ?? null;
+  }
+
+  /**
+   * Removes a serialized checkpoint from memory.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    this.checkpoints.delete(id);
+  }
+
+  /**
+   * Writes a serialized checkpoint to memory.
+   * @async
+   * @param {string} id - ID of the workflow.
+   * @param {string} serialized - The serialized checkpoint.
+   * @returns {Promise<void>}
+   */
+  async write(id, serialized) {
+    this.checkpoints.set(id, serialized);
+  }
+}
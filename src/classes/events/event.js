@@ -40,10 +40,23 @@ class Event extends EventTarget {
    */
   emit(event_name, data, bubbles = false, cancelable = true) {
     const seen = new WeakSet();
-    const workingData = JSON.parse(JSON.stringify(data, (key, value) => {
+    // Workflows and steps serialize to their definition in toJSON(), but events carry their fields,
+    // so they are swapped for a copy of their fields before JSON.stringify() reaches them
+    const copies = new WeakMap();
+    const toFields = (value) => {
+      if (!value?.base_type) return value;
+      if (!copies.has(value)) copies.set(value, { ...value });
+      return copies.get(value);
+    };
+    const workingData = JSON.parse(JSON.stringify(toFields(data), (key, value) => {
       if (typeof value === 'object' && value !== null) {
         if (seen.has(value)) return undefined;
         seen.add(value);
+        if (Object.values(value).some(child => child?.base_type)) {
+          return Array.isArray(value)
+            ? value.map(toFields)
+            : Object.fromEntries(Object.entries(value).map(([name, child]) => [name, toFields(child)]));
+        }
       }
       return value;
     }));
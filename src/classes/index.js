@@ -1,5 +1,7 @@
+export * from './checkpoints/index.js';
 export * from './events/index.js';
 export { default as Base } from './base.js';
 export { default as State } from './state.js';
+export { default as StateScope } from './state_scope.js';
 export { default as Workflow } from './workflow.js';
 export * from './steps/index.js';
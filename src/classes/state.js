@@ -56,6 +56,7 @@ const event_names = state.event_names;
 class State {
   /**
    * Deletes a state property using dot-notation or bracket-notation path access.
+   * The DELETED event carries the path.
    * 
    * @param {string} path - The path of the state property to delete (e.g., "user.profile.email" or "users[0].email").
    * @returns {void}
@@ -81,7 +82,7 @@ class State {
     
     delete current[parts[parts.length - 1]];
 
-    events.state.emit(event_names.state.DELETED, { state });
+    events.state.emit(event_names.state.DELETED, { state, path });
   }
 
   /**
@@ -178,11 +179,12 @@ class State {
    * 
    * @param {string} path - The path to the property (e.g., "user.profile.name", "users[0].name", "data['key-name']").
    * @param {boolean} [emit=true] - Whether to emit the GET_FROM_PROPERTY_PATH event.
+   * @param {Object} [target=state] - The object to read from. Defaults to the global state; state scopes pass their own store.
    * @returns {*} The value at the specified path, or undefined if not found.
    */
-  static getFromPropertyPath(path, emit = true) {
+  static getFromPropertyPath(path, emit = true, target = state) {
     const parts = State.parsePath(path);
-    let current = state;
+    let current = target;
 
     for (const part of parts) {
       if (current && Object.prototype.hasOwnProperty.call(current, part)) {
@@ -209,13 +211,13 @@ class State {
   }
 
   /**
-   * Merges an object into the current State.
+   * Merges an object into the current State. The MERGE event lists the merged top-level keys in `paths`.
    * @param {Object} newState - The object to merge into the current State.
    * @returns {object} The updated state object.
    */
   static merge(newState) {
     state = { ...state, ...newState };
-    events.state.emit(event_names.state.MERGE, { state });
+    events.state.emit(event_names.state.MERGE, { state, paths: Object.keys(newState ?? {}) });
     return state;
   }
 
@@ -251,7 +253,7 @@ class State {
 
   /**
    * Sets the value of a state property using dot-notation or bracket-notation path access.
-   * Creates intermediate objects if they don't exist.
+   * Creates intermediate objects if they don't exist. The SET event is emitted with the path once the value is set.
    * 
    * @param {string} path - The path of the state property to set. Supports both dot notation
    * (e.g., "user.profile.name") and bracket notation (e.g., "users[0].name" or "data['key-name']").
@@ -264,9 +266,9 @@ class State {
       throw new Error(errors.INVALID_STATE_PATH);
     }
 
-    events.state.emit(event_names.state.SET, { state });
-
     State.setToPropertyPath(path, value, false);
+
+    events.state.emit(event_names.state.SET, { state, path });
   }
 
   /**
@@ -276,10 +278,11 @@ class State {
    * @param {string} path - The path to the property (e.g., "user.profile.name", "users[0].name", "data['key-name']").
    * @param {*} value - The value to set at the specified path.
    * @param {boolean} [emit=true] - Whether to emit the SET_TO_PROPERTY_PATH event.
+   * @param {Object} [target=state] - The object to write to. Defaults to the global state; state scopes pass their own store.
    */
-  static setToPropertyPath(path, value, emit = true) {
+  static setToPropertyPath(path, value, emit = true, target = state) {
     const parts = State.parsePath(path);
-    let current = state;
+    let current = target;
     
     for (let i = 0; i < parts.length - 1; i++) {
       const part = parts[i];
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import { errors } from '../enums/errors.js';
+import { state_event_names } from '../enums/index.js';
+import State from './state.js';
+
+// Library keys stay in the global State so every scope sees the same enums, events, registry and settings.
+const global_keys = [
+  'conditional_step_comparators',
+  'event_names',
+  'events',
+  'exit_on_error',
+  'log_suppress',
+  'messages',
+  'statuses',
+  'types',
+  'workflows',
+];
+
+/**
+ * StateScope class providing a namespaced store for a single workflow run.
+ * Reads fall back to the global State when read-through is enabled; writes never leak into it.
+ * Library keys (statuses, events, workflows, etc.) always resolve against the global State.
+ * @class StateScope
+ */
+export default class StateScope {
+  /**
+   * Creates a new StateScope instance.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string} [options.id] - Identifier of the scope. Defaults to a random UUID.
+   * @param {boolean} [options.read_through=true] - Whether reads of missing keys fall back to the global State.
+   * @param {Object} [options.initial_state={}] - Values the scope starts with.
+   */
+  constructor({
+    id = crypto.randomUUID(),
+    read_through = true,
+    initial_state = {},
+  } = {}) {
+    this.id = id;
+    this.read_through = read_through;
+    this.store = { ...initial_state };
+    this.disposed = false;
+  }
+
+  /**
+   * Throws if the scope has been disposed.
+   * @throws {Error} Throws if the scope has been disposed.
+   */
+  assertActive() {
+    if (this.disposed) {
+      throw new Error(errors.STATE_SCOPE_DISPOSED);
+    }
+  }
+
+  /**
+   * Deletes a property from the scope.
+   * @param {string} path - Path of the property to delete.
+   * @throws {Error} Throws if path is empty or the scope has been disposed.
+   */
+  delete(path) {
+    this.assertActive();
+
+    if (!path) {
+      throw new Error(errors.INVALID_STATE_PATH);
+    }
+
+    if (this.isGlobalPath(path)) {
+      State.delete(path);
+      return;
+    }
+
+    const parts = State.parsePath(path);
+    const parent = parts.length > 1
+      ? State.getFromPropertyPath(parts.slice(0, -1).join('.'), false, this.store)
+      : this.store;
+
+    if (parent && typeof parent === 'object') {
+      delete parent[parts[parts.length - 1]];
+    }
+
+    this.emit(state_event_names.DELETED, path);
+  }
+
+  /**
+   * Disposes the scope, discarding its values. Further reads and writes throw.
+   */
+  dispose() {
+    if (this.disposed) {
+      return;
+    }
+
+    this.store = {};
+    this.disposed = true;
+    this.emit(state_event_names.SCOPE_DISPOSED, null);
+  }
+
+  /**
+   * Emits a state event tagged with this scope's ID.
+   * @param {string} event_name - Name of the event.
+   * @param {string|null} path - Path the event relates to.
+   */
+  emit(event_name, path) {
+    State.get('events.state').emit(event_name, { state: this.store, scope_id: this.id, path });
+  }
+
+  /**
+   * Gets a value from the scope, falling back to the global State when read-through is enabled.
+   * @param {string} [path] - Path of the property to get. A falsy path returns the scope's own values.
+   * @param {*} [defaultValue=null] - Value to return if the path doesn't exist.
+   * @returns {*} The value at the path, or defaultValue if not found.
+   * @throws {Error} Throws if the scope has been disposed.
+   */
+  get(path, defaultValue = null) {
+    this.assertActive();
+
+    if (!path || path === '*') {
+      return this.store;
+    }
+
+    if (this.isGlobalPath(path)) {
+      return State.get(path, defaultValue);
+    }
+
+    const value = State.getFromPropertyPath(path, false, this.store);
+
+    if (value === undefined && this.read_through) {
+      return State.get(path, defaultValue);
+    }
+
+    this.emit(state_event_names.GET, path);
+
+    return value ?? defaultValue;
+  }
+
+  /**
+   * Checks whether a path belongs to the library keys that always live in the global State.
+   * @param {string} path - The path to check.
+   * @returns {boolean} True if the path resolves against the global State.
+   */
+  isGlobalPath(path) {
+    return global_keys.includes(State.parsePath(path)[0]);
+  }
+
+  /**
+   * Sets a value in the scope. Library keys are written to the global State instead.
+   * @param {string} path - Path of the property to set.
+   * @param {*} value - Value to set.
+   * @throws {Error} Throws if path is empty or the scope has been disposed.
+   */
+  set(path, value) {
+    this.assertActive();
+
+    if (!path) {
+      throw new Error(errors.INVALID_STATE_PATH);
+    }
+
+    if (this.isGlobalPath(path)) {
+      State.set(path, value);
+      return;
+    }
+
+    State.setToPropertyPath(path, value, false, this.store);
+    this.emit(state_event_names.SET, path);
+  }
+}
@@ -0,0 +1,278 @@
+import Step from './step.js';
+import { approval_decisions, step_types } from '../../enums/index.js';
+import { noop, toCallableReference } from '../../helpers/index.js';
+
+/**
+ * ApprovalStep class for holding a workflow until people approve or reject it.
+ * While the step waits, it and its workflow are marked as waiting. Decisions arrive through `workflow.signal()`,
+ * then the step runs `approve_callable` or `reject_callable`, like the branches of a ConditionalStep.
+ * @class ApprovalStep
+ * @extends Step
+ */
+export default class ApprovalStep extends Step {
+  static step_name = 'approval';
+  #settle_decision = null;
+  #restored = false;
+
+  /**
+   * Creates a new ApprovalStep instance.
+   * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
+   * @param {string} [options.name] - Name of the step.
+   * @param {Array<string>} [options.approvers=[]] - Who may decide. Anyone may when the list is empty.
+   * @param {number} [options.required_approvals=1] - How many approvals the request needs. One rejection rejects it.
+   * @param {number|null} [options.expires_in_ms=null] - How long the request stays open. No limit when null.
+   * @param {Function|Step|Workflow} [options.approve_callable=async () => {}] - Callable to execute if the request is approved.
+   * @param {Function|Step|Workflow} [options.reject_callable=async () => {}] - Callable to execute if the request is rejected or expires.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
+   * @throws {Error} Throws if the approvers, required approvals or expiry are invalid.
+   */
+  constructor({
+    id,
+    name,
+    approvers = [],
+    required_approvals = 1,
+    expires_in_ms = null,
+    approve_callable = noop,
+    reject_callable = noop,
+    depends_on = [],
+  }) {
+    super({ id, name, step_type: step_types.LOGIC, max_timeout_ms: Infinity, depends_on });
+
+    if (!Array.isArray(approvers) || approvers.some(approver => typeof approver !== 'string' || !approver)) {
+      throw new Error(`Approvers for approval step: ${name} must be an array of non-empty strings`);
+    }
+
+    if (!Number.isInteger(required_approvals) || required_approvals < 1) {
+      throw new Error(`Invalid required approvals for approval step: ${required_approvals}`);
+    }
+
+    if (approvers.length && required_approvals > approvers.length) {
+      throw new Error(`Approval step: ${name} requires ${required_approvals} approvals but has ${approvers.length} approvers`);
+    }
+
+    if (expires_in_ms !== null && (typeof expires_in_ms !== 'number' || Number.isNaN(expires_in_ms) || expires_in_ms <= 0)) {
+      throw new Error(`Invalid expiry for approval step: ${expires_in_ms}`);
+    }
+
+    this.approvers = approvers;
+    this.required_approvals = required_approvals;
+    this.expires_in_ms = expires_in_ms;
+    this.approvals = [];
+    this.rejections = [];
+    this.decision = null;
+    this.requested_at = null;
+    this.expires_at = null;
+
+    this._approve_callable_raw = approve_callable;
+    this._reject_callable_raw = reject_callable;
+
+    // Bind function callables to this step instance for state access
+    this.approve_callable = typeof approve_callable === 'function' ? approve_callable.bind(this) : approve_callable;
+    this.reject_callable = typeof reject_callable === 'function' ? reject_callable.bind(this) : reject_callable;
+
+    this.callable = this.approval.bind(this);
+  }
+
+  /**
+   * Opens an approval request, waits for its decision, and executes the matching callable.
+   * A request restored from a checkpoint keeps its approvals and expiry instead of starting over.
+   * @async
+   * @param {Object} [context={}] - Execution context, passed on to the executed callable.
+   * @param {AbortSignal} [context.signal] - Signal that stops the wait.
+   * @returns {Promise<Object>} The decision, the approvals and rejections, and the result of the executed callable.
+   * @throws {Error} Throws if the signal aborts.
+   */
+  async approval(context = {}) {
+    this.throwIfCancelled(context.signal);
+
+    if (!this.#restored) {
+      this.approvals = [];
+      this.rejections = [];
+      this.decision = null;
+      this.requested_at = new Date();
+      this.expires_at = this.expires_in_ms === null ? null : new Date(this.requested_at.getTime() + this.expires_in_ms);
+    }
+
+    this.#restored = false;
+    this.decision ??= await this.waitForDecision(context.signal);
+
+    const approved = this.decision === approval_decisions.APPROVED;
+
+    this.log(
+      this.getState('events.step.event_names.APPROVAL_DECIDED'),
+      `Approval step: ${this.name} ${this.decision}, executing ${approved ? 'approve' : 'reject'} callable`
+    );
+
+    const result = await this.invokeCallable(approved ? this.approve_callable : this.reject_callable, context);
+
+    return {
+      message: `Approval step ${this.name} ${this.decision}`,
+      decision: this.decision,
+      approvals: [...this.approvals],
+      rejections: [...this.rejections],
+      result,
+    };
+  }
+
+  /**
+   * Marks the step and its workflow as waiting until a signal decides the request, it expires, or the signal aborts.
+   * @async
+   * @param {AbortSignal} [signal] - Signal that stops the wait.
+   * @returns {Promise<string>} The decision, a value from the approval_decisions enum.
+   * @throws {Error} Throws if the signal aborts.
+   */
+  async waitForDecision(signal) {
+    const { RUNNING, WAITING } = this.getState('statuses.step');
+    const workflow = this.getState('workflows')?.[this.parentWorkflowId];
+
+    let abort = null;
+    const stopWaiting = () => {
+      this.#settle_decision = null;
+      this.scheduled_job?.cancel();
+      signal?.removeEventListener('abort', abort);
+    };
+
+    const decided = new Promise((resolve, reject) => {
+      const settle = (callback, value) => {
+        stopWaiting();
+        callback(value);
+      };
+      abort = () => settle(reject, this.getCancellationError(signal));
+
+      this.#settle_decision = decision => settle(resolve, decision);
+      this.scheduled_job = null;
+      signal?.addEventListener('abort', abort, { once: true });
+
+      if (this.expires_at) {
+        this.waitUntil(this.expires_at).then(() => this.#settle_decision?.(approval_decisions.EXPIRED));
+      }
+    });
+
+    this.status = WAITING;
+    this.log(
+      this.getState('events.step.event_names.STEP_WAITING'),
+      `Step: ${this.name} waiting for ${this.required_approvals} approvals`
+    );
+
+    try {
+      const [decision] = await Promise.all([decided, workflow?.markAsWaiting(this)]);
+      return decision;
+    } catch (error) {
+      // When markAsWaiting() fails the decision is abandoned, so nothing may settle it any more
+      stopWaiting();
+      throw error;
+    } finally {
+      // A cancelled step has already left the waiting status
+      if (this.status === WAITING) {
+        this.status = RUNNING;
+      }
+
+      workflow?.endWaiting(this);
+    }
+  }
+
+  /**
+   * Records an approver's decision. One rejection rejects the request; it is approved once it has
+   * `required_approvals` approvals. Use `workflow.signal()` to also save a checkpoint.
+   * @param {Object} payload - The decision.
+   * @param {string} payload.decision - `approved` or `rejected`, from the approval_decisions enum.
+   * @param {string|null} [payload.approver=null] - Who decided. Must be one of `approvers` when the step lists any.
+   * @param {string|null} [payload.comment=null] - Comment stored with the decision.
+   * @returns {ApprovalStep} The step instance.
+   * @throws {Error} Throws if the step is not waiting, the decision is invalid, or the approver may not or already did decide.
+   */
+  signal({ decision, approver = null, comment = null } = {}) {
+    const { APPROVED, REJECTED } = approval_decisions;
+
+    if (!this.#settle_decision) {
+      throw new Error(`Approval step: ${this.name} is not waiting for a decision`);
+    }
+
+    if (![APPROVED, REJECTED].includes(decision)) {
+      throw new Error(`Invalid decision for approval step: ${decision}. Must be one of ${APPROVED}, ${REJECTED}`);
+    }
+
+    if (this.approvers.length && !this.approvers.includes(approver)) {
+      throw new Error(`Approver "${approver}" may not decide approval step: ${this.name}`);
+    }
+
+    if (approver !== null && [...this.approvals, ...this.rejections].some(entry => entry.approver === approver)) {
+      throw new Error(`Approver "${approver}" has already decided approval step: ${this.name}`);
+    }
+
+    (decision === APPROVED ? this.approvals : this.rejections).push({ approver, comment, decided_at: new Date() });
+
+    this.log(
+      this.getState('events.step.event_names.APPROVAL_SIGNAL'),
+      `Approval step: ${this.name} ${decision} by ${approver ?? 'an anonymous approver'}`
+    );
+
+    if (this.rejections.length) {
+      this.decision = REJECTED;
+    } else if (this.approvals.length >= this.required_approvals) {
+      this.decision = APPROVED;
+    }
+
+    if (this.decision) {
+      this.#settle_decision(this.decision);
+    }
+
+    return this;
+  }
+
+  /**
+   * Describes the current approval request, as returned by `workflow.getPendingApprovals()` and saved with checkpoints.
+   * @returns {Object} The step's ID and name, its approvers and required approvals, the approvals and rejections so far,
+   * the decision, and when the request was opened and expires.
+   */
+  getApprovalRequest() {
+    return {
+      step_id: this.id,
+      step_name: this.name,
+      approvers: [...this.approvers],
+      required_approvals: this.required_approvals,
+      approvals: this.approvals.map(entry => ({ ...entry })),
+      rejections: this.rejections.map(entry => ({ ...entry })),
+      decision: this.decision,
+      requested_at: this.requested_at,
+      expires_at: this.expires_at,
+    };
+  }
+
+  /**
+   * Restores a request saved by `getApprovalRequest()`. The next execution continues it instead of opening a new one,
+   * so approvals and the expiry survive a restore. A request that was already decided runs its callable straight away.
+   * @param {Object} request - The saved request. Dates may be Date objects or ISO strings.
+   */
+  restoreApprovalRequest(request) {
+    const restoreEntry = entry => ({ ...entry, decided_at: new Date(entry.decided_at) });
+
+    this.approvals = (request.approvals ?? []).map(restoreEntry);
+    this.rejections = (request.rejections ?? []).map(restoreEntry);
+    this.decision = request.decision ?? null;
+    this.requested_at = request.requested_at ? new Date(request.requested_at) : new Date();
+    this.expires_at = request.expires_at ? new Date(request.expires_at) : null;
+    this.#restored = true;
+  }
+
+  /**
+   * Converts the step into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: ApprovalStep.step_name,
+      id: this.id,
+      name: this.name,
+      approvers: this.approvers,
+      required_approvals: this.required_approvals,
+      expires_in_ms: this.expires_in_ms ?? undefined,
+      approve_callable: toCallableReference(this._approve_callable_raw, callables),
+      reject_callable: toCallableReference(this._reject_callable_raw, callables),
+      depends_on: this.depends_on,
+    };
+  }
+}
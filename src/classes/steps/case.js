@@ -1,5 +1,6 @@
 import LogicStep from './logic_step.js';
 import { conditional_step_comparators } from '../../enums/index.js';
+import { getConditionalLeaves, noop, toCallableReference, toConditionalDefinition, toValueReference } from '../../helpers/index.js';
 
 /**
  * Case class representing a single case in a switch statement.
@@ -14,32 +15,56 @@ export default class Case extends LogicStep {
    * Creates a new Case instance.
    * Note: Plain LogicStep instances can be used in place of Case, but they MUST have conditional.subject set.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
    * @param {string} [options.name] - Name of the case.
-   * @param {Object} [options.conditional] - Conditional configuration.
+   * @param {Object} [options.conditional] - Conditional configuration, or an `all`/`any`/`not` group of them.
    * @param {*|Function} [options.conditional.subject=null] - Subject to evaluate (typically set by SwitchStep). Can be a function.
    * @param {conditional_step_comparators|string} [options.conditional.operator=null] - Comparison operator.
    * @param {*|Function} [options.conditional.value=null] - Value to compare against. Can be a function that returns the value.
    * @param {Function|Step|Workflow} [options.callable=async () => {}] - Function, Step, or Workflow to execute when case matches.
    * @param {boolean} [options.force_subject_override=false] - Force override of subject even if already set.
+   * @param {number|null} [options.condition_timeout_ms=null] - Maximum time one evaluation of the conditional may take. No limit when null.
+   * @param {Array<*>} [options.values] - Match when the subject equals any of these. Each value is compared with
+   * `conditional.operator` (`===` by default); `conditional.value` is ignored.
+   * @param {boolean} [options.fallthrough=false] - Run the next case as well after this one, without checking its conditional.
+   * @throws {Error} If values is given but is not a non-empty array.
    */
   constructor({
+    id,
     name,
     conditional = {
       subject: null,
       operator: null,
       value: null,
     },
-    callable = async () => {},
+    callable = noop,
     force_subject_override = false,
+    condition_timeout_ms = null,
+    values,
+    fallthrough = false,
   }) {
     super({
+      id,
       name,
       step_type: Case.step_name,
       callable,
+      condition_timeout_ms,
     });
 
-    this.conditional_config = conditional;
+    if (values !== undefined && (!Array.isArray(values) || values.length === 0)) {
+      throw new Error(`Values for case step: ${this.name} must be a non-empty array`);
+    }
+
+    this.values = values ?? null;
+    this.values_conditional = this.values
+      ? { subject: conditional.subject ?? null, operator: conditional.operator ?? conditional_step_comparators.SIGN_STRICT_EQUALS }
+      : null;
+    // A multi-value case is an `any` group with one check per value
+    this.conditional_config = this.values
+      ? { any: this.values.map(value => ({ ...this.values_conditional, value })) }
+      : conditional;
     this.force_subject_override = force_subject_override;
+    this.fallthrough = fallthrough;
 
     this.is_matched = false;
   }
@@ -47,24 +72,51 @@ export default class Case extends LogicStep {
   /**
    * Sets the switch subject from the parent SwitchStep.
    * Automatically sets the conditional subject if not already set or if force_subject_override is true.
+   * In a conditional group, each check is handled this way.
    * @param {*} subject - The subject value from the SwitchStep.
    * @throws {Error} If no subject is provided and conditional.subject is not set.
    * @throws {Error} If the resulting conditional configuration is invalid.
    */
   set switch_subject(subject) {
     const subjectProvided = subject !== null && subject !== undefined;
-    const hasExistingSubject = this.conditional_config.subject !== null && this.conditional_config.subject !== undefined;
 
-    if (!subjectProvided && !hasExistingSubject) {
-      throw new Error(`No subject set for case step: ${this.name}, using default equality check`);
-    }
+    // Every check in a conditional group gets the subject on its own
+    for (const leaf of getConditionalLeaves(this.conditional_config)) {
+      const hasExistingSubject = leaf?.subject !== null && leaf?.subject !== undefined;
+
+      if (!subjectProvided && !hasExistingSubject) {
+        throw new Error(`No subject set for case step: ${this.name}, using default equality check`);
+      }
 
-    if (subjectProvided && (!hasExistingSubject || this.force_subject_override)) {
-      this.conditional_config.subject = subject;
+      if (subjectProvided && (!hasExistingSubject || this.force_subject_override) && leaf) {
+        leaf.subject = subject;
+      }
     }
 
     if (!this.conditionalIsValid()) {
       throw new Error(`Invalid conditional configuration for case step: ${this.name}`);
     }
   }
+
+  /**
+   * Converts the case into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The case definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: Case.step_name,
+      id: this.id,
+      name: this.name,
+      conditional: this.values
+        ? { subject: toValueReference(this.values_conditional.subject, callables), operator: this.values_conditional.operator }
+        : toConditionalDefinition(this.conditional_config, callables),
+      values: this.values?.map(value => toValueReference(value, callables)),
+      callable: toCallableReference(this.callable, callables),
+      force_subject_override: this.force_subject_override,
+      fallthrough: this.fallthrough,
+      condition_timeout_ms: this.condition_timeout_ms ?? undefined,
+    };
+  }
 }
@@ -1,5 +1,6 @@
 import LogicStep from './logic_step.js';
 import { conditional_step_comparators } from '../../enums/index.js';
+import { noop, toCallableReference, toConditionalDefinition } from '../../helpers/index.js';
 
 /**
  * ConditionalStep class for branching logic based on conditions.
@@ -12,6 +13,7 @@ export default class ConditionalStep extends LogicStep {
   /**
    * Creates a new ConditionalStep instance.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
    * @param {string} [options.name] - Name of the step.
    * @param {Object} [options.conditional] - Conditional configuration.
    * @param {*|Function} [options.conditional.subject] - Subject to evaluate. Can be a function that returns the value.
@@ -19,22 +21,33 @@ export default class ConditionalStep extends LogicStep {
    * @param {*|Function} [options.conditional.value] - Value to compare against. Can be a function that returns the value.
    * @param {Function|Step|Workflow} [options.true_callable=async () => {}] - Callable to execute if condition is true.
    * @param {Function|Step|Workflow} [options.false_callable=async () => {}] - Callable to execute if condition is false.
+   * @param {number|null} [options.condition_timeout_ms=null] - Maximum time one evaluation of the conditional may take. No limit when null.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
    */
   constructor({
+    id,
     name,
     conditional = {
       subject: null,
       operator: null,
       value: null,
     },
-    true_callable = async () => {},
-    false_callable = async () => {},
+    true_callable = noop,
+    false_callable = noop,
+    condition_timeout_ms = null,
+    depends_on = [],
   }) {
     super({
+      id,
       name,
-      conditional
+      conditional,
+      condition_timeout_ms,
+      depends_on,
     });
 
+    this._true_callable_raw = true_callable;
+    this._false_callable_raw = false_callable;
+
     // Bind function callables to this step instance for state access
     if (typeof true_callable === 'function') {
       this.true_callable = true_callable.bind(this);
@@ -54,40 +67,50 @@ export default class ConditionalStep extends LogicStep {
   /**
    * Executes the appropriate branch based on the condition evaluation.
    * @async
+   * @param {Object} [context={}] - Execution context, passed on to the executed branch.
    * @returns {Promise<*>} The result of the executed branch.
    */
-  async conditional() {
+  async conditional(context = {}) {
     const true_callable = this.true_callable;
     const false_callable = this.false_callable;
 
     let result = null;
 
-    if (this.checkCondition()) {
+    if (await this.checkCondition()) {
       this.log(
         this.getState('events.step.event_names.CONDITIONAL_TRUE_BRANCH_EXECUTED'),
         `Condition met for step: ${this.name}, executing true branch`
       );
 
-      if (typeof true_callable === 'function') {
-        result = await true_callable();
-      } else {
-        true_callable.parentWorkflowId = this.parentWorkflowId;
-        result = await true_callable.execute();
-      }
+      result = await this.invokeCallable(true_callable, context);
     } else {
       this.log(
         this.getState('events.step.event_names.CONDITIONAL_FALSE_BRANCH_EXECUTED'),
         `Condition not met for step: ${this.name}, executing false branch`
       );
 
-      if (typeof false_callable === 'function') {
-        result = await false_callable();
-      } else {
-        false_callable.parentWorkflowId = this.parentWorkflowId;
-        result = await false_callable.execute();
-      }
+      result = await this.invokeCallable(false_callable, context);
     }
 
     return { message: `Conditional step ${this.name} completed`, result };
   }
+
+  /**
+   * Converts the step into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: ConditionalStep.step_name,
+      id: this.id,
+      name: this.name,
+      conditional: toConditionalDefinition(this.conditional_config, callables),
+      true_callable: toCallableReference(this._true_callable_raw, callables),
+      false_callable: toCallableReference(this._false_callable_raw, callables),
+      condition_timeout_ms: this.condition_timeout_ms ?? undefined,
+      depends_on: this.depends_on,
+    };
+  }
 }
@@ -1,6 +1,5 @@
 import Step from './step.js';
 import { delay_types, step_types } from '../../enums/index.js';
-import schedule from 'node-schedule';
 import { addMilliseconds } from 'date-fns';
 
 /**
@@ -15,20 +14,26 @@ export default class DelayStep extends Step {
   /**
    * Creates a new DelayStep instance.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
    * @param {string} [options.name] - Name of the step.
    * @param {Date|string} [options.absolute_timestamp=new Date()] - Absolute timestamp to delay until.
    * @param {number} [options.relative_delay_ms=0] - Relative delay in milliseconds.
    * @param {string} [options.delay_type=delay_types.RELATIVE] - Type of delay ('absolute' or 'relative').
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
    */
   constructor({
+    id,
     name,
     absolute_timestamp = new Date(),
     relative_delay_ms = 0,
-    delay_type = delay_types.RELATIVE
+    delay_type = delay_types.RELATIVE,
+    depends_on = [],
   }) {
     super({
+      id,
       name,
       step_type: step_types.DELAY,
+      depends_on,
     });
 
     this.delay_type = delay_type;
@@ -40,9 +45,11 @@ export default class DelayStep extends Step {
 
   /**
    * Executes an absolute delay until the specified timestamp. If the timestamp is in the past, it continues immediately.
+   * @param {Object} [context={}] - Execution context.
+   * @param {AbortSignal} [context.signal] - Signal that cancels the pending delay.
    * @returns {Promise<Object>} Resolves with delay completion info when delay completes.
    */
-  async absolute() {
+  async absolute({ signal } = {}) {
     const now = new Date();
 
     if (this.absolute_timestamp.getTime() <= now.getTime()) {
@@ -53,41 +60,45 @@ export default class DelayStep extends Step {
       return { delayed: false, delay_type: this.delay_type, timestamp: now.toISOString() };
     }
 
-    return this.delay(this.absolute_timestamp);
+    return this.delay(this.absolute_timestamp, { signal });
   }
 
-  /** Schedules a delay until the specified date and time.
+  /** Schedules a delay until the specified date and time. Aborting the signal cancels the scheduled job.
    * @param {Date} delay_until - The date and time to delay until.
+   * @param {Object} [context={}] - Execution context.
+   * @param {AbortSignal} [context.signal] - Signal that cancels the pending delay.
    * @returns {Promise<Object>} Resolves with delay completion info when delay completes.
+   * @throws {Error} Rejects if the signal aborts before the delay completes.
    */
-  async delay(delay_until) {
-    return new Promise((resolve) => {
-      this.log(
-        this.getState(
-          `events.step.event_names.DELAY_STEP_${this.delay_type.toUpperCase()}_SCHEDULED`
-        ),
-        `Delay scheduled for step: ${this.name} until ${delay_until.toISOString()}`
-      );
+  async delay(delay_until, { signal } = {}) {
+    this.throwIfCancelled(signal);
 
-      const job = schedule.scheduleJob(delay_until, () => {
-        this.log(
-          this.getState(
-            `events.step.event_names.DELAY_STEP_${this.delay_type.toUpperCase()}_COMPLETE`
-          ),
-          `Delay complete for step: ${this.name}. Continuing.`
-        );
-        resolve({ delayed: true, delay_type: this.delay_type, timestamp: new Date().toISOString() });
-      });
-
-      this.scheduled_job = job;
-    });
+    this.log(
+      this.getState(
+        `events.step.event_names.DELAY_STEP_${this.delay_type.toUpperCase()}_SCHEDULED`
+      ),
+      `Delay scheduled for step: ${this.name} until ${delay_until.toISOString()}`
+    );
+
+    await this.waitUntil(delay_until, signal);
+
+    this.log(
+      this.getState(
+        `events.step.event_names.DELAY_STEP_${this.delay_type.toUpperCase()}_COMPLETE`
+      ),
+      `Delay complete for step: ${this.name}. Continuing.`
+    );
+
+    return { delayed: true, delay_type: this.delay_type, timestamp: new Date().toISOString() };
   }
 
   /**
    * Executes a relative delay for the specified duration. If the delay duration is zero or negative, it continues immediately.
+   * @param {Object} [context={}] - Execution context.
+   * @param {AbortSignal} [context.signal] - Signal that cancels the pending delay.
    * @returns {Promise<Object>} Resolves with delay completion info when delay completes.
    */
-  async relative() {
+  async relative({ signal } = {}) {
     if (this.relative_delay_ms <= 0) {
       this.log(
         this.getState('events.step.event_names.DELAY_STEP_RELATIVE_COMPLETE'),
@@ -98,6 +109,22 @@ export default class DelayStep extends Step {
 
     const delay_until = addMilliseconds(new Date(), this.relative_delay_ms);
 
-    return this.delay(delay_until);
+    return this.delay(delay_until, { signal });
+  }
+
+  /**
+   * Converts the step into its workflow definition form. The absolute timestamp is written as an ISO 8601 string.
+   * @returns {Object} The step definition.
+   */
+  toJSON() {
+    return {
+      type: DelayStep.step_name,
+      id: this.id,
+      name: this.name,
+      delay_type: this.delay_type,
+      relative_delay_ms: this.relative_delay_ms,
+      absolute_timestamp: Number.isNaN(this.absolute_timestamp.getTime()) ? undefined : this.absolute_timestamp.toISOString(),
+      depends_on: this.depends_on,
+    };
   }
 }
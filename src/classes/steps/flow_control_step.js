@@ -1,9 +1,11 @@
 import LogicStep from './logic_step.js';
 import flow_control_types from '../../enums/flow_control_types.js';
 import { conditional_step_comparators } from '../../enums/index.js';
+import { toConditionalDefinition } from '../../helpers/index.js';
 
 /**
  * FlowControlStep class for controlling workflow execution flow (break or skip).
+ * Inside a LoopStep iteration it breaks the loop or continues to the next iteration instead.
  * @class FlowControlStep
  * @extends LogicStep
  */
@@ -17,8 +19,11 @@ export default class FlowControlStep extends LogicStep {
    * @param {*|Function} [options.conditional.subject] - Subject to evaluate. Can be a function that returns the value.
    * @param {conditional_step_comparators|string} [options.conditional.operator] - Comparison operator.
    * @param {*|Function} [options.conditional.value] - Value to compare against. Can be a function that returns the value.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
    * @param {string} [options.name] - Name of the step.
    * @param {string} [options.flow_control_type=flow_control_types.BREAK] - Type of flow control.
+   * @param {number|null} [options.condition_timeout_ms=null] - Maximum time one evaluation of the conditional may take. No limit when null.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
    * @throws {Error} Throws if flow_control_type is invalid.
    */
   constructor({
@@ -27,12 +32,18 @@ export default class FlowControlStep extends LogicStep {
       operator: null,
       value: null,
     },
+    id,
     name,
     flow_control_type = flow_control_types.BREAK,
+    condition_timeout_ms = null,
+    depends_on = [],
   }) {
     super({
+      id,
       name,
-      conditional
+      conditional,
+      condition_timeout_ms,
+      depends_on,
     });
 
     if (!Object.values(flow_control_types).includes(flow_control_type)) {
@@ -45,26 +56,46 @@ export default class FlowControlStep extends LogicStep {
 
   /**
    * Evaluates the condition and sets the appropriate flow control flag.
+   * When run inside a LoopStep iteration (`context.loop` is set), a met condition breaks the loop or
+   * continues to its next iteration, and the parent workflow is left alone.
    * @async
+   * @param {Object} [context={}] - Execution context.
+   * @param {Object} [context.loop] - Loop controls from the enclosing LoopStep.
    * @returns {Promise<boolean>} True if the flow control should be activated.
    */
-  async shouldFlowControl() {
-    if (this.checkCondition()) {
-      this.log(
-        this.getState('events.step.event_names.CONDITIONAL_TRUE_BRANCH_EXECUTED'),
-        `Break condition met for step: ${this.name}`
-      );
-      this.setParentWorkflowValue(this.parentWorkflowId, `should_${this.flow_control_type}`, true);
+  async shouldFlowControl(context = {}) {
+    const is_met = await this.checkCondition();
+    const condition = `${this.flow_control_type.charAt(0).toUpperCase() + this.flow_control_type.slice(1)} condition`;
 
-      return true;
-    } else {
-      this.log(
-        this.getState('events.step.event_names.CONDITIONAL_FALSE_BRANCH_EXECUTED'),
-        `Break condition not met for step: ${this.name}`
-      );
-      this.setParentWorkflowValue(this.parentWorkflowId, `should_${this.flow_control_type}`, false);
+    this.log(
+      this.getState(`events.step.event_names.${is_met ? 'CONDITIONAL_TRUE_BRANCH_EXECUTED' : 'CONDITIONAL_FALSE_BRANCH_EXECUTED'}`),
+      `${condition} ${is_met ? 'met' : 'not met'} for step: ${this.name}`
+    );
 
-      return false;
+    if (!context.loop) {
+      this.setParentWorkflowValue(this.parentWorkflowId, `should_${this.flow_control_type}`, is_met);
+    } else if (is_met) {
+      context.loop[this.flow_control_type === flow_control_types.BREAK ? 'break' : 'continue'](`${condition} met for step: ${this.name}`);
     }
+
+    return is_met;
+  }
+
+  /**
+   * Converts the step into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: FlowControlStep.step_name,
+      id: this.id,
+      name: this.name,
+      conditional: toConditionalDefinition(this.conditional_config, callables),
+      flow_control_type: this.flow_control_type,
+      condition_timeout_ms: this.condition_timeout_ms ?? undefined,
+      depends_on: this.depends_on,
+    };
   }
 }
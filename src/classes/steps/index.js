@@ -6,3 +6,8 @@ export { default as DelayStep } from './delay_step.js';
 export { default as FlowControlStep } from './flow_control_step.js';
 export { default as LoopStep } from './loop_step.js';
 export { default as SwitchStep } from './switch_step.js';
+export { default as ParallelStep } from './parallel_step.js';
+export { default as PollStep } from './poll_step.js';
+export { default as WaitForEventStep } from './wait_for_event_step.js';
+export { default as WaitForStateStep } from './wait_for_state_step.js';
+export { default as ApprovalStep } from './approval_step.js';
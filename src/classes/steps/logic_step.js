@@ -1,5 +1,22 @@
+import State from '../state.js';
 import Step from './step.js';
-import { conditional_step_comparators, step_types } from '../../enums/index.js';
+import { conditional_group_types, conditional_step_comparators, step_types } from '../../enums/index.js';
+import {
+  deepEquals,
+  getComparator,
+  getConditionalGroupType,
+  getLength,
+  isResultReference,
+  isStateReference,
+  mapConditionalLeaves,
+  noop,
+  subtractDuration,
+  toCallableReference,
+  toConditionalDefinition,
+  toDate,
+  registerComparator,
+  unregisterComparator,
+} from '../../helpers/index.js';
 
 /**
  * LogicStep class for conditional logic operations.
@@ -12,48 +29,143 @@ export default class LogicStep extends Step {
   /**
    * Creates a new LogicStep instance.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
    * @param {string} [options.name] - Name of the step.
-   * @param {Object} [options.conditional] - Conditional configuration.
-   * @param {*|Function} [options.conditional.subject] - Subject to evaluate. Can be a function that returns the value.
-   * @param {conditional_step_comparators|string} [options.conditional.operator] - Comparison operator.
-   * @param {*|Function, optional} [options.conditional.value] - Value to compare against. Can be a function that returns the value.
+   * @param {Object} [options.conditional] - Conditional configuration. Either a `{ subject, operator, value }` check
+   * or a group of conditionals: `{ all: [...] }`, `{ any: [...] }`, or `{ not: {...} }`. Groups can be nested.
+   * @param {*|Function|Object} [options.conditional.subject] - Subject to evaluate. Can be a function that returns the value or a Promise of it,
+   * a `{ $state: 'path' }` reference, or a `{ $result: 'step', path }` reference to an earlier step's output.
+   * @param {conditional_step_comparators|string} [options.conditional.operator] - Comparison operator, built in or added with `registerComparator()`.
+   * @param {*|Function|Object, optional} [options.conditional.value] - Value to compare against. Accepts the same forms as the subject.
    * @param {Function} [options.callable=async () => {}] - Function to execute.
+   * @param {number|null} [options.condition_timeout_ms=null] - Maximum time one evaluation of the conditional may take. No limit when null.
+   * @param {number} [options.max_timeout_ms=30000] - Maximum execution time in milliseconds before timing out. `Infinity` turns the timeout off.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
    */
   constructor({
+    id,
     name,
-    callable = async () => {},
+    callable = noop,
     conditional = {
       operator: null,
       subject: null,
       value: null,
     },
+    condition_timeout_ms = null,
+    max_timeout_ms,
+    depends_on = [],
   }) {
     super({
+      id,
       name,
       step_type: step_types.LOGIC,
-      callable
+      callable,
+      max_timeout_ms,
+      depends_on,
     });
 
+    this.condition_timeout_ms = condition_timeout_ms;
     this.setConditional(conditional);
   }
 
+  /**
+   * Registers a named operator that every LogicStep subclass can use, in code and in workflow definitions.
+   * @static
+   * @param {string} name - Operator name. Must not be one of the conditional_step_comparators values.
+   * @param {Function} comparator - Called as `comparator(subject, value, step)` with the resolved subject and value.
+   * Returns a boolean or a Promise of one.
+   * @throws {Error} Throws if the name is built in or already registered, or the comparator is not a function.
+   */
+  static registerComparator(name, comparator) {
+    registerComparator(name, comparator);
+  }
+
+  /**
+   * Removes an operator added with `registerComparator()`.
+   * @static
+   * @param {string} name - Operator name.
+   * @returns {boolean} True if an operator was removed.
+   */
+  static unregisterComparator(name) {
+    return unregisterComparator(name);
+  }
+
   /**
    * Evaluates the conditional expression.
-   * Supports function subjects and values - they are called to get the actual value.
-   * @returns {boolean} True if the condition is met.
-   * @throws {Error} Throws if operator is unknown.
+   * Fails if the evaluation takes longer than `condition_timeout_ms`.
+   * @async
+   * @param {Object} [conditional=this.conditional_config] - The conditional or group to evaluate.
+   * @returns {Promise<boolean>} True if the condition is met.
+   * @throws {Error} Throws if operator is unknown, an `all`/`any` group is not an array, or the evaluation times out.
    */
-  checkCondition() {
-    const rawSubject = this.conditional_config.subject;
-    const rawValue = this.conditional_config.value;
-    const operator = this.conditional_config.operator;
+  async checkCondition(conditional = this.conditional_config) {
+    if (!Number.isFinite(this.condition_timeout_ms)) {
+      return this.evaluateCondition(conditional);
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        reject,
+        this.condition_timeout_ms,
+        new Error(`Condition of step "${this.name}" timed out after ${this.condition_timeout_ms}ms`)
+      );
+    });
+
+    try {
+      return await Promise.race([this.evaluateCondition(conditional), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Evaluates a conditional or group without a timeout.
+   * Subjects and values that are functions are called and awaited, as are `CUSTOM_FUNCTION` results.
+   * Groups short-circuit: `all` stops at the first false child and `any` at the first true one,
+   * so the subjects and values of the remaining children are not resolved.
+   * @async
+   * @param {Object} conditional - The conditional or group to evaluate.
+   * @returns {Promise<boolean>} True if the condition is met.
+   * @throws {Error} Throws if operator is unknown, an `all`/`any` group is not an array, a range is not `[min, max]`,
+   * or a duration is invalid.
+   */
+  async evaluateCondition(conditional) {
+    const group_type = getConditionalGroupType(conditional);
+
+    if ((group_type === conditional_group_types.ALL || group_type === conditional_group_types.ANY) && !Array.isArray(conditional[group_type])) {
+      throw new Error(`Conditional group "${group_type}" must be an array.`);
+    }
+
+    switch (group_type) {
+      case conditional_group_types.ALL:
+        for (const child of conditional.all) {
+          if (!await this.evaluateCondition(child)) {
+            return false;
+          }
+        }
+        return true;
+      case conditional_group_types.ANY:
+        for (const child of conditional.any) {
+          if (await this.evaluateCondition(child)) {
+            return true;
+          }
+        }
+        return false;
+      case conditional_group_types.NOT:
+        return !await this.evaluateCondition(conditional.not);
+    }
+
+    const rawSubject = conditional.subject;
+    const rawValue = conditional.value;
+    const operator = conditional.operator;
     
-    // Resolve subject - call it if it's a function
-    const subject = typeof rawSubject === 'function' ? rawSubject() : rawSubject;
+    // Resolve subject - call it if it's a function, read it if it's a $state or $result reference
+    const subject = await this.resolveConditionalOperand(rawSubject);
     
     // Don't resolve value for CUSTOM_FUNCTION - the value IS the function to call
     const isCustomFunction = operator === this.getState('conditional_step_comparators.CUSTOM_FUNCTION');
-    const value = (!isCustomFunction && typeof rawValue === 'function') ? rawValue() : rawValue;
+    const value = (!isCustomFunction || typeof rawValue !== 'function') ? await this.resolveConditionalOperand(rawValue) : rawValue;
 
     switch (operator) {
       case this.getState('conditional_step_comparators.STRICT_EQUALS'):
@@ -122,39 +234,167 @@ export default class LogicStep extends Step {
         return typeof subject === value;
       case this.getState('conditional_step_comparators.IS_NOT_TYPE'):
         return typeof subject !== value;
+      case this.getState('conditional_step_comparators.BETWEEN'):
+      case this.getState('conditional_step_comparators.NOT_BETWEEN'): {
+        if (!Array.isArray(value) || value.length !== 2) {
+          throw new Error(`Range must be a [min, max] array.`);
+        }
+        const inRange = subject !== null && subject !== undefined && subject >= value[0] && subject <= value[1];
+        return operator === this.getState('conditional_step_comparators.BETWEEN') ? inRange : !inRange;
+      }
+      case this.getState('conditional_step_comparators.BEFORE'):
+      case this.getState('conditional_step_comparators.AFTER'): {
+        const subjectDate = toDate(subject);
+        const valueDate = toDate(value);
+        if (!subjectDate || !valueDate) {
+          return false;
+        }
+        return operator === this.getState('conditional_step_comparators.BEFORE')
+          ? subjectDate < valueDate
+          : subjectDate > valueDate;
+      }
+      case this.getState('conditional_step_comparators.WITHIN_LAST'): {
+        const subjectDate = toDate(subject);
+        const now = new Date();
+        return subjectDate !== null && subjectDate <= now && subjectDate >= subtractDuration(now, value);
+      }
+      case this.getState('conditional_step_comparators.DEEP_EQUALS'):
+        return deepEquals(subject, value);
+      case this.getState('conditional_step_comparators.LENGTH_EQUALS'):
+        return getLength(subject) !== null && getLength(subject) === value;
+      case this.getState('conditional_step_comparators.LENGTH_GT'):
+        return getLength(subject) !== null && getLength(subject) > value;
+      case this.getState('conditional_step_comparators.LENGTH_LT'):
+        return getLength(subject) !== null && getLength(subject) < value;
+      case this.getState('conditional_step_comparators.HAS_KEY'):
+        if (subject instanceof Map) {
+          return subject.has(value);
+        }
+        return subject !== null && typeof subject === 'object' && Object.hasOwn(subject, value);
+      case this.getState('conditional_step_comparators.EQUALS_IGNORE_CASE'):
+        return typeof subject === 'string' && typeof value === 'string' && subject.toLowerCase() === value.toLowerCase();
+      case this.getState('conditional_step_comparators.STRING_CONTAINS_IGNORE_CASE'):
+        return typeof subject === 'string' && typeof value === 'string' && subject.toLowerCase().includes(value.toLowerCase());
+      case this.getState('conditional_step_comparators.STRING_STARTS_WITH_IGNORE_CASE'):
+        return typeof subject === 'string' && typeof value === 'string' && subject.toLowerCase().startsWith(value.toLowerCase());
       case this.getState('conditional_step_comparators.CUSTOM_FUNCTION'):
         if (typeof value !== 'function') {
           throw new Error(`Invalid custom function: ${value}`);
         }
-        return value(subject);
-      default:
-        throw new Error(`Unknown operator: ${operator}`);
+        return await value(subject);
+      default: {
+        const comparator = getComparator(operator);
+        if (!comparator) {
+          throw new Error(`Unknown operator: ${operator}`);
+        }
+        return await comparator(subject, value, this);
+      }
+    }
+  }
+
+  /**
+   * Resolves a conditional subject or value to the value it stands for.
+   * Functions are called and awaited, `{ $state: 'path' }` reads the path from state (the workflow's scope when
+   * it runs with isolated state), and `{ $result: 'step', path }` reads the output of an earlier step.
+   * Anything else is returned as is.
+   * @async
+   * @param {*} operand - The subject or value.
+   * @returns {Promise<*>} The resolved value.
+   */
+  async resolveConditionalOperand(operand) {
+    if (typeof operand === 'function') {
+      return operand();
+    }
+
+    if (isStateReference(operand)) {
+      return this.getState(operand.$state);
+    }
+
+    if (isResultReference(operand)) {
+      return this.getStepResult(operand.$result, operand.path);
+    }
+
+    return operand;
+  }
+
+  /**
+   * Gets the output of a step that has already run in the parent workflow.
+   * @param {string} reference - Name or ID of the step.
+   * @param {string} [path] - Property path within the output, in the same notation as state paths.
+   * @returns {*} The output, or undefined if the step has not produced one.
+   * @throws {Error} Throws if the step is not running inside a workflow.
+   */
+  getStepResult(reference, path) {
+    const workflow = this.getState('workflows')?.[this.parentWorkflowId];
+
+    if (!workflow) {
+      throw new Error(`Step "${this.name}" must run in a workflow to read the result of "${reference}".`);
     }
+
+    const result = workflow.results_by_name?.[workflow.steps_by_id?.[reference]?.name ?? reference];
+
+    return path ? State.getFromPropertyPath(path, false, result) : result;
   }
 
   /**
    * Checks if the conditional configuration is valid.
    * A valid conditional has subject and operator set (not null/undefined).
+   * A valid group has a non-empty array of valid children (`all`, `any`) or one valid child (`not`).
    * Functions are valid as subject or value - they will be called during checkCondition().
+   * @param {Object} [conditional=this.conditional_config] - The conditional or group to check.
    * @returns {boolean} True if conditional is valid.
    */
-  conditionalIsValid() {
+  conditionalIsValid(conditional = this.conditional_config) {
+    const group_type = getConditionalGroupType(conditional);
+
+    switch (group_type) {
+      case conditional_group_types.ALL:
+      case conditional_group_types.ANY:
+        return (
+          Array.isArray(conditional[group_type]) &&
+          conditional[group_type].length > 0 &&
+          conditional[group_type].every(child => this.conditionalIsValid(child))
+        );
+      case conditional_group_types.NOT:
+        return this.conditionalIsValid(conditional.not);
+    }
+
     // Check if all conditional properties are set (not null or undefined)
     // Can't use falsy check here because valid values could be falsy (e.g. empty string, 0, false)
     // Functions are valid - they'll be called to get the actual value
     return (
-      this.conditional_config.subject !== null &&
-      this.conditional_config.subject !== undefined &&
-      this.conditional_config.operator !== null &&
-      this.conditional_config.operator !== undefined
+      conditional !== null &&
+      typeof conditional === 'object' &&
+      conditional.subject !== null &&
+      conditional.subject !== undefined &&
+      conditional.operator !== null &&
+      conditional.operator !== undefined
     );
   }
 
   /**
-   * Sets the conditional properties.
-   * @param {Object} conditional - Conditional configuration object.
+   * Sets the conditional properties. Groups are copied with every check reduced to `{ subject, operator, value }`.
+   * @param {Object} conditional - Conditional configuration object or group.
    */
   setConditional(conditional) {
-    this.conditional_config = { subject: conditional.subject, operator: conditional.operator, value: conditional.value };
+    this.conditional_config = mapConditionalLeaves(conditional, leaf => ({ subject: leaf?.subject, operator: leaf?.operator, value: leaf?.value }));
+  }
+
+  /**
+   * Converts the step into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: LogicStep.step_name,
+      id: this.id,
+      name: this.name,
+      conditional: toConditionalDefinition(this.conditional_config, callables),
+      callable: toCallableReference(this.callable, callables),
+      condition_timeout_ms: this.condition_timeout_ms ?? undefined,
+      depends_on: this.depends_on,
+    };
   }
 }
@@ -1,9 +1,13 @@
-import { loop_types, step_types } from '../../enums/index.js';
+import { loop_end_reasons, loop_types, step_types } from '../../enums/index.js';
 import LogicStep from './logic_step.js';
 import { conditional_step_comparators } from '../../enums/index.js';
+import { noop, sleep, toCallableReference, toConditionalDefinition, toValueReference } from '../../helpers/index.js';
 
 /**
  * LoopStep class for executing loops within a workflow.
+ * The callable receives the execution context with the iteration's `item`, `index`, `key`, `results_so_far` and
+ * `accumulator`, and a `loop` object whose `break(reason)` and `continue(reason)` end the loop or skip the current
+ * iteration once the callable returns.
  * @class LoopStep
  * @extends LogicStep
  */
@@ -13,21 +17,38 @@ export default class LoopStep extends LogicStep {
   /**
    * Creates a new LoopStep instance.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
    * @param {string} [options.name] - Name of the step.
-   * @param {Array|Iterable|Function} options.iterable - Iterable to loop over or function returning an iterable. Required for 'for_each' and 'generator' loops.
-   * @param {Function} [options.callable=async () => {}] - Function to execute for each iteration.
-   * @param {Object} [options.conditional] - Conditional configuration for while loops. Required for 'while' loops.
+   * @param {Array|Iterable|Map|Object|Function} options.iterable - Iterable, Map, or plain object to loop over, or function returning one.
+   * Plain objects are looped over as their `Object.entries()`. Required for 'for_each', 'parallel_for_each' and 'reduce' loops.
+   * @param {Function} [options.callable=async () => {}] - Function to execute for each iteration. Receives the execution context
+   * with `item`, `index`, `key`, `results_so_far`, `accumulator`, `loop.break(reason)` and `loop.continue(reason)`.
+   * @param {Object} [options.conditional] - Conditional configuration. Required for 'while', 'do_while' and 'until' loops.
    * @param {*|Function} [options.conditional.subject] - Subject to evaluate. Can be a function that returns the value.
    * @param {conditional_step_comparators|string} [options.conditional.operator] - Comparison operator.
    * @param {*|Function} [options.conditional.value] - Value to compare against. Can be a function that returns the value.
-   * @param {string} [options.loop_type=loop_types.FOR_EACH] - Type of loop ('for', 'for_each', 'while', or 'generator').
+   * @param {string} [options.loop_type=loop_types.FOR_EACH] - Type of loop ('for', 'for_each', 'parallel_for_each', 'reduce', 'while',
+   * 'do_while', 'until', or 'generator').
    * @param {number} [options.iterations=0] - Number of iterations to execute. Only used for 'for' loops.
    * @param {number} [options.max_iterations=1000] - Maximum number of iterations to prevent infinite loops.
+   * @param {number|null} [options.condition_timeout_ms=null] - Maximum time one evaluation of the loop conditional may take. No limit when null.
+   * @param {number} [options.iteration_delay_ms=0] - Time to wait between iterations of 'while', 'do_while' and 'until' loops,
+   * before the conditional is checked again.
+   * @param {number} [options.concurrency=Infinity] - Maximum number of items processed at the same time. Only used for 'parallel_for_each' loops.
+   * @param {boolean} [options.stop_on_error=true] - Stop starting new items and fail the step when an item fails. When false, failures
+   * are collected in `item_errors` instead. Only used for 'parallel_for_each' loops.
+   * @param {*|Function} [options.initial_value=null] - Starting accumulator of 'reduce' loops, or a function returning it on every run.
+   * @param {number} [options.max_timeout_ms=30000] - Maximum time in milliseconds the whole loop may take before timing out,
+   * including the waits between iterations.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
+   * @throws {Error} Throws if concurrency is not a positive number.
+   * @throws {Error} Throws if iteration_delay_ms is negative.
    */
   constructor({
+    id,
     name,
     iterable,
-    callable = async () => {},
+    callable = noop,
     conditional = {
       operator: null,
       subject: null,
@@ -36,113 +57,522 @@ export default class LoopStep extends LogicStep {
     loop_type = loop_types.FOR_EACH,
     iterations = 0,
     max_iterations = 1000,
+    condition_timeout_ms = null,
+    iteration_delay_ms = 0,
+    concurrency = Infinity,
+    stop_on_error = true,
+    initial_value = null,
+    max_timeout_ms,
+    depends_on = [],
   }) {
-    super({ name, conditional });
+    super({ id, name, conditional, condition_timeout_ms, max_timeout_ms, depends_on });
+
+    if (typeof concurrency !== 'number' || Number.isNaN(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid concurrency for loop step: ${concurrency}`);
+    }
+
+    if (typeof iteration_delay_ms !== 'number' || Number.isNaN(iteration_delay_ms) || iteration_delay_ms < 0) {
+      throw new Error(`Invalid iteration delay for loop step: ${iteration_delay_ms}`);
+    }
+
     this.iterable = iterable;
     this.loop_type = loop_type;
     this.iterations = iterations > max_iterations ? max_iterations : iterations;
     this.max_iterations = max_iterations;
+    this.iteration_delay_ms = iteration_delay_ms;
+    this.concurrency = concurrency;
+    this.stop_on_error = stop_on_error;
+    this.initial_value = initial_value;
+    this.accumulator = null;
     this.results = [];
+    this.item_errors = [];
     this.current_item = null;
+    this.last_iteration = null;
+    this.loop_break = null;
+    this.skipped_iterations = [];
+    this.ended_by = null;
+    this._loop_signal = null;
 
     // Store the user's callable separately so loop methods can invoke it.
     // this._callable will be set to the loop method by the setter below.
+    this._loop_callable_raw = callable;
     const userCallableType = this.getCallableType(callable);
     this._loop_callable = userCallableType === 'function'
       ? callable.bind(this)
-      : callable.execute.bind(callable);
+      : (context = {}) => this.invokeCallable(callable, context);
 
     this.callable = this[`${loop_type}_loop`].bind(this);
   }
 
+  /**
+   * Adds the `loop` controls to an execution context and clears the break and skips of the previous run.
+   * @param {Object} context - Execution context passed to the loop.
+   * @returns {Object} A copy of the context with `loop.break(reason)` and `loop.continue(reason)`.
+   */
+  createLoopContext(context) {
+    this.loop_break = null;
+    this.skipped_iterations = [];
+    this.ended_by = null;
+    this._loop_signal = null;
+
+    return { ...context, loop: this.createLoopControls(this) };
+  }
+
+  /**
+   * Creates the `loop.break(reason)` and `loop.continue(reason)` controls.
+   * @param {Object} iteration - Object the signal is stored on as `_loop_signal`: the step itself, or one
+   * object per iteration when iterations run concurrently.
+   * @returns {Object} The controls.
+   */
+  createLoopControls(iteration) {
+    return {
+      break: (reason = null) => {
+        iteration._loop_signal = { type: 'break', reason };
+      },
+      continue: (reason = null) => {
+        iteration._loop_signal = { type: 'continue', reason };
+      },
+    };
+  }
+
+  /**
+   * Records the break or continue signalled during one iteration, and clears it.
+   * @param {number} index - Zero-based index of the iteration.
+   * @param {Object} [iteration=this] - Object the signal was stored on.
+   * @returns {boolean} True if the iteration signalled neither, so its result should be kept.
+   */
+  consumeLoopSignal(index, iteration = this) {
+    const signal = iteration._loop_signal;
+    iteration._loop_signal = null;
+
+    if (signal?.type === 'continue') {
+      this.skipped_iterations.push({ index, reason: signal.reason });
+    } else if (signal) {
+      this.loop_break = { index, reason: signal.reason };
+    }
+
+    return !signal;
+  }
+
+  /**
+   * Calls the loop callable for one iteration and records its result.
+   * @param {Object} loop_context - Context returned by `createLoopContext()`.
+   * @param {Object} iteration - The iteration.
+   * @param {number} iteration.index - Zero-based index of the iteration.
+   * @param {*} [iteration.key=iteration.index] - Key of the item: the property name for objects, the key for Maps, otherwise the index.
+   * @param {*} [iteration.item=null] - The item.
+   * @returns {Promise<{kept: boolean, result: *}>} The callable's result, and whether it was kept (no break or continue).
+   */
+  async runIteration(loop_context, { index, key = index, item = null }) {
+    const result = await this._loop_callable({
+      ...loop_context,
+      item,
+      index,
+      key,
+      results_so_far: this.results,
+      accumulator: this.accumulator,
+    });
+
+    return { kept: this.recordIteration(result, { index, key, item }), result };
+  }
+
+  /**
+   * Records the result of one iteration, unless the callable signalled a break or continue during it,
+   * then emits LOOP_ITERATION_COMPLETE with the iteration as `last_iteration`.
+   * @param {*} result - The iteration's result.
+   * @param {Object} iteration - The iteration's `{ index, key, item }`.
+   * @param {Object} [signal_target=this] - Object the iteration's break or continue was stored on.
+   * @returns {boolean} True if the result was kept.
+   */
+  recordIteration(result, iteration, signal_target = this) {
+    const kept = this.consumeLoopSignal(iteration.index, signal_target);
+
+    if (kept && signal_target === this) {
+      this.results.push(result);
+    }
+
+    this.last_iteration = iteration;
+    this.log(
+      this.getState('events.step.event_names.LOOP_ITERATION_COMPLETE'),
+      `Loop ${this.name} completed iteration ${iteration.index}`
+    );
+
+    return kept;
+  }
+
+  /**
+   * Yields the `[key, item]` pairs of the iterable: the entries of Maps and plain objects, and `[index, item]` for other iterables.
+   * Other iterables are read lazily, so a break stops reading them.
+   * @yields {Array} The `[key, item]` pairs.
+   * @throws {Error} If the iterable is neither iterable nor an object.
+   */
+  *getIterableEntries() {
+    if (this.iterable instanceof Map) {
+      yield* this.iterable.entries();
+    } else if (typeof this.iterable?.[Symbol.iterator] === 'function') {
+      let index = 0;
+
+      for (const item of this.iterable) {
+        yield [index++, item];
+      }
+    } else if (this.iterable && typeof this.iterable === 'object') {
+      yield* Object.entries(this.iterable);
+    } else {
+      throw new Error(`Iterable of loop step ${this.name} is not iterable`);
+    }
+  }
+
+  /**
+   * Checks whether the iterable is looped over by key: Maps, and plain objects that are not iterable.
+   * For these, `this.current_item` is the `[key, item]` entry, as iterating a Map gives.
+   * @returns {boolean} True for Maps and non-iterable objects.
+   */
+  isKeyedIterable() {
+    return this.iterable instanceof Map || typeof this.iterable?.[Symbol.iterator] !== 'function';
+  }
+
+  /**
+   * Resolves a function iterable and checks that there is one.
+   * @param {string} loop_type - Loop type named in the error.
+   * @throws {Error} If the iterable is not provided.
+   */
+  resolveIterable(loop_type) {
+    if (!this.iterable) {
+      throw new Error(`Iterable is required for ${loop_type} loops`);
+    }
+
+    if (typeof this.iterable === 'function') {
+      this.iterable = this.iterable();
+    }
+  }
+
+  /**
+   * Builds the result message of a loop, including why it was broken and which iterations were skipped.
+   * @param {string} label - Loop description, such as 'For loop'.
+   * @param {number} iterations - Number of iterations run.
+   * @returns {string} The message.
+   */
+  getLoopMessage(label, iterations) {
+    let ending = `completed after ${iterations} iterations`;
+
+    if (this.loop_break) {
+      ending = `broken after ${iterations} iterations${this.loop_break.reason ? `: ${this.loop_break.reason}` : ''}`;
+    } else if (this.ended_by === loop_end_reasons.MAX_ITERATIONS) {
+      ending = `stopped at max_iterations after ${iterations} iterations`;
+    }
+
+    const reasons = [...new Set(this.skipped_iterations.map(skipped => skipped.reason).filter(Boolean))];
+    const skipped = this.skipped_iterations.length
+      ? ` (${this.skipped_iterations.length} skipped${reasons.length ? `: ${reasons.join('; ')}` : ''})`
+      : '';
+
+    return `${label} ${this.name} ${ending}${skipped}`;
+  }
+
   /**
    * Executes a generator/async generator and appends yielded values to results.
    * @throws {Error} If the callable is not a generator or async generator function.
+   * @param {Object} [context={}] - Execution context, passed on to the callable.
+   * @param {AbortSignal} [context.signal] - Signal checked before each iteration.
    * @returns {Object} - An object containing a message and the results of the loop.
    */
-  async generator_loop() {
+  async generator_loop(context = {}) {
     if (!this._loop_callable.constructor.name.includes('Generator')) {
       throw new Error('Iterable must be a generator function for generator loops');
     }
 
+    const loop_context = this.createLoopContext(context);
     let iterations = 0;
     // Use for await...of to handle both sync and async generators
-    for await (const item of this._loop_callable()) {
-      this.results.push(item);
+    for await (const item of this._loop_callable(loop_context)) {
+      this.throwIfCancelled(context.signal);
+      this.recordIteration(item, { index: iterations, key: iterations, item });
 
-      if (++iterations >= this.max_iterations) {
+      if (++iterations >= this.max_iterations || this.loop_break) {
         break;
       }
     }
 
     return {
-      message: `Generator loop ${this.name} completed after ${iterations} iterations`,
+      message: this.getLoopMessage('Generator loop', iterations),
       result: this.results
     };
   }
 
   /**
-   * Executes a for loop calling the callable for a set number of iterations
+   * Executes a for loop calling the callable for a set number of iterations.
+   * Each iteration's index is also its item and key.
+   * @param {Object} [context={}] - Execution context, passed on to the callable.
+   * @param {AbortSignal} [context.signal] - Signal checked before each iteration.
    * @returns {Object} - An object containing a message and the results of the loop.
    */
-  async for_loop() {
-    let i = 0;
-    for (; i < this.iterations; i++) {
-      this.results.push(await this._loop_callable());
+  async for_loop(context = {}) {
+    const loop_context = this.createLoopContext(context);
+    let iterations = 0;
+    while (iterations < this.iterations && !this.loop_break) {
+      this.throwIfCancelled(context.signal);
+      const index = iterations++;
+      await this.runIteration(loop_context, { index, item: index });
     }
 
     return {
-      message: `For loop ${this.name} completed after ${i} iterations`,
+      message: this.getLoopMessage('For loop', iterations),
       result: this.results
     };
   }
 
   /**
-   * Executes the callable for each item in the iterable.
+   * Executes the callable for each item in the iterable. Maps and plain objects are looped over as their entries,
+   * with the entry's key as `context.key`.
    * @throws {Error} If the iterable is not provided.
+   * @param {Object} [context={}] - Execution context, passed on to the callable.
+   * @param {AbortSignal} [context.signal] - Signal checked before each iteration.
    * @returns {Object} - An object containing a message and the results of the loop.
    */
-  async for_each_loop() {
-    if (!this.iterable) {
-      throw new Error('Iterable is required for for_each loops');
-    }
+  async for_each_loop(context = {}) {
+    this.resolveIterable(loop_types.FOR_EACH);
 
-    if (typeof this.iterable === 'function') {
-      this.iterable = this.iterable();
+    const loop_context = this.createLoopContext(context);
+    const keyed = this.isKeyedIterable();
+    let iterations = 0;
+    for (const [key, item] of this.getIterableEntries()) {
+      this.throwIfCancelled(context.signal);
+      this.current_item = keyed ? [key, item] : item;
+      await this.runIteration(loop_context, { index: iterations++, key, item });
+
+      if (this.loop_break) {
+        break;
+      }
     }
 
+    return {
+      message: this.getLoopMessage('For each loop', iterations),
+      result: this.results
+    };
+  }
+
+  /**
+   * Executes the callable for each item in the iterable, threading an accumulator through the iterations.
+   * Each call receives the current accumulator as `context.accumulator` and returns the next one.
+   * Iterations that break or continue leave the accumulator unchanged.
+   * @throws {Error} If the iterable is not provided.
+   * @param {Object} [context={}] - Execution context, passed on to the callable.
+   * @param {AbortSignal} [context.signal] - Signal checked before each iteration.
+   * @returns {Object} - An object containing a message and the final accumulator.
+   */
+  async reduce_loop(context = {}) {
+    this.resolveIterable(loop_types.REDUCE);
+
+    const loop_context = this.createLoopContext(context);
+    const keyed = this.isKeyedIterable();
+    this.accumulator = typeof this.initial_value === 'function' ? await this.initial_value() : this.initial_value;
+
     let iterations = 0;
-    for (const item of this.iterable) {
-      iterations++;
-      this.current_item = item;
-      this.results.push(await this._loop_callable());
+    for (const [key, item] of this.getIterableEntries()) {
+      this.throwIfCancelled(context.signal);
+      this.current_item = keyed ? [key, item] : item;
+      const { kept, result } = await this.runIteration(loop_context, { index: iterations++, key, item });
+
+      if (kept) {
+        this.accumulator = result;
+      }
+
+      if (this.loop_break) {
+        break;
+      }
     }
 
     return {
-      message: `For each loop ${this.name} completed after ${iterations} iterations`,
-      result: this.results
+      message: this.getLoopMessage('Reduce loop', iterations),
+      result: this.accumulator
+    };
+  }
+
+  /**
+   * Executes the callable for each item in the iterable, with at most `concurrency` items in flight.
+   * Each invocation receives its own `context.item`, `context.index` and `context.key`; `this.current_item` is not set,
+   * and `context.results_so_far` holds the results finished so far, in item order.
+   * Results keep the order of the items. A break stops new items from starting; items already running finish.
+   * @throws {Error} If the iterable is not provided.
+   * @throws {Error} The first item error when stop_on_error is enabled.
+   * @param {Object} [context={}] - Execution context, passed on to the callable.
+   * @param {AbortSignal} [context.signal] - Signal that stops new items from starting.
+   * @returns {Object} - An object containing a message, the results of the loop, and the collected item errors.
+   */
+  async parallel_for_each_loop(context = {}) {
+    this.resolveIterable(loop_types.PARALLEL_FOR_EACH);
+
+    const { signal } = context;
+    const loop_context = this.createLoopContext(context);
+    const entries = Array.from(this.getIterableEntries());
+    const kept = new Array(entries.length);
+
+    this.item_errors = [];
+
+    let next_index = 0;
+    let first_error = null;
+
+    const worker = async () => {
+      while (next_index < entries.length && !first_error && !this.loop_break && !signal?.aborted) {
+        const index = next_index++;
+        const [key, item] = entries[index];
+        const signal_target = { _loop_signal: null };
+
+        try {
+          const result = await this._loop_callable({
+            ...loop_context,
+            item,
+            index,
+            key,
+            get results_so_far() {
+              return kept.filter(Boolean).map(entry => entry.result);
+            },
+            accumulator: this.accumulator,
+            loop: this.createLoopControls(signal_target),
+          });
+
+          if (this.recordIteration(result, { index, key, item }, signal_target)) {
+            kept[index] = { result };
+          }
+        } catch (error) {
+          if (this.stop_on_error) {
+            first_error ??= error;
+          } else {
+            this.item_errors.push({ index, item, error });
+          }
+        }
+      }
+    };
+
+    const worker_count = Math.max(1, Math.min(this.concurrency, entries.length));
+    await Promise.all(Array.from({ length: worker_count }, worker));
+
+    this.throwIfCancelled(signal);
+
+    if (first_error) {
+      throw first_error;
+    }
+
+    for (const entry of kept) {
+      if (entry) {
+        this.results.push(entry.result);
+      }
+    }
+
+    this.skipped_iterations.sort((a, b) => a.index - b.index);
+    this.item_errors.sort((a, b) => a.index - b.index);
+
+    const failures = this.item_errors.length ? `, ${this.item_errors.length} failed` : '';
+
+    return {
+      message: `${this.getLoopMessage('Parallel for each loop', next_index)}${failures}`,
+      result: this.results,
+      errors: this.item_errors,
     };
   }
 
   /**
    * Executes the callable while the condition is true.
    * @throws {Error} If the conditional is not valid.
-   * @returns {Object} - An object containing a message and the results of the loop.
+   * @param {Object} [context={}] - Execution context, passed on to the callable.
+   * @param {AbortSignal} [context.signal] - Signal checked before each iteration.
+   * @returns {Object} - An object containing a message, the results of the loop, and why it ended.
    */
-  async while_loop() {
+  async while_loop(context = {}) {
+    return this.conditionLoop(context, { loop_type: loop_types.WHILE, label: 'While loop', check_first: true, run_while: true });
+  }
+
+  /**
+   * Executes the callable once, then again while the condition is true.
+   * @throws {Error} If the conditional is not valid.
+   * @param {Object} [context={}] - Execution context, passed on to the callable.
+   * @param {AbortSignal} [context.signal] - Signal checked before each iteration.
+   * @returns {Object} - An object containing a message, the results of the loop, and why it ended.
+   */
+  async do_while_loop(context = {}) {
+    return this.conditionLoop(context, { loop_type: loop_types.DO_WHILE, label: 'Do while loop', check_first: false, run_while: true });
+  }
+
+  /**
+   * Executes the callable until the condition becomes true.
+   * @throws {Error} If the conditional is not valid.
+   * @param {Object} [context={}] - Execution context, passed on to the callable.
+   * @param {AbortSignal} [context.signal] - Signal checked before each iteration.
+   * @returns {Object} - An object containing a message, the results of the loop, and why it ended.
+   */
+  async until_loop(context = {}) {
+    return this.conditionLoop(context, { loop_type: loop_types.UNTIL, label: 'Until loop', check_first: true, run_while: false });
+  }
+
+  /**
+   * Runs a condition-based loop, waiting `iteration_delay_ms` between iterations, and records why it ended in `ended_by`.
+   * @param {Object} context - Execution context, passed on to the callable.
+   * @param {Object} options - Loop settings.
+   * @param {string} options.loop_type - Loop type named in errors.
+   * @param {string} options.label - Loop description used in the result message.
+   * @param {boolean} options.check_first - Check the condition before the first iteration.
+   * @param {boolean} options.run_while - Condition result that keeps the loop running.
+   * @returns {Promise<Object>} An object containing a message, the results of the loop, and a loop_end_reasons value.
+   * @throws {Error} If the conditional is not valid, or the abort reason if the signal aborts during a delay.
+   */
+  async conditionLoop(context, { loop_type, label, check_first, run_while }) {
     if (!this.conditionalIsValid()) {
-      throw new Error('Valid conditional is required for while loops');
+      throw new Error(`Valid conditional is required for ${loop_type} loops`);
     }
 
+    const loop_context = this.createLoopContext(context);
     let iterations = 0;
-    while (this.checkCondition() && iterations < this.max_iterations) {
-      iterations++;
-      this.results.push(await this._loop_callable());
+
+    while (!this.ended_by) {
+      if (this.loop_break) {
+        this.ended_by = loop_end_reasons.BREAK;
+      } else if (iterations >= this.max_iterations) {
+        this.ended_by = loop_end_reasons.MAX_ITERATIONS;
+      } else {
+        if (iterations > 0 && this.iteration_delay_ms > 0) {
+          await sleep(this.iteration_delay_ms, context.signal);
+        }
+
+        if ((iterations > 0 || check_first) && await this.checkCondition() !== run_while) {
+          this.ended_by = loop_end_reasons.CONDITION;
+        } else {
+          this.throwIfCancelled(context.signal);
+          await this.runIteration(loop_context, { index: iterations++ });
+        }
+      }
     }
 
     return {
-      message: `While loop ${this.name} completed after ${iterations} iterations`,
-      result: this.results
+      message: this.getLoopMessage(label, iterations),
+      result: this.results,
+      ended_by: this.ended_by,
+    };
+  }
+
+  /**
+   * Converts the step into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: LoopStep.step_name,
+      id: this.id,
+      name: this.name,
+      loop_type: this.loop_type,
+      iterable: toValueReference(this.iterable, callables),
+      callable: toCallableReference(this._loop_callable_raw, callables),
+      conditional: toConditionalDefinition(this.conditional_config, callables),
+      iterations: this.iterations,
+      max_iterations: this.max_iterations,
+      condition_timeout_ms: this.condition_timeout_ms ?? undefined,
+      iteration_delay_ms: this.iteration_delay_ms || undefined,
+      concurrency: Number.isFinite(this.concurrency) ? this.concurrency : undefined,
+      stop_on_error: this.stop_on_error,
+      initial_value: this.loop_type === loop_types.REDUCE ? toValueReference(this.initial_value, callables) : undefined,
+      max_timeout_ms: this.max_timeout_ms,
+      depends_on: this.depends_on,
     };
   }
 }
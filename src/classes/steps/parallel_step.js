@@ -0,0 +1,196 @@
+import Step from './step.js';
+import { base_types } from '../../enums/index.js';
+import { toCallableReference } from '../../helpers/index.js';
+
+/**
+ * ParallelStep class for running a group of callables concurrently.
+ * Each function callable is wrapped in its own Step so it emits the usual step lifecycle events.
+ * @class ParallelStep
+ * @extends Step
+ */
+export default class ParallelStep extends Step {
+  static step_name = 'parallel';
+
+  /**
+   * Creates a new ParallelStep instance.
+   * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
+   * @param {string} [options.name] - Name of the step.
+   * @param {Array<Function|Step|Workflow>} [options.callables=[]] - Functions, Steps, or Workflows to run concurrently.
+   * @param {number} [options.concurrency=Infinity] - Maximum number of callables running at the same time.
+   * @param {boolean} [options.fail_fast=false] - Fail the step as soon as one callable fails, cancelling the callables still running.
+   * @param {number} [options.max_retries=0] - Maximum number of retries of the whole group on failure.
+   * @param {Object} [options.retry_policy={}] - How to wait between retries and which errors to retry, as for a Step.
+   * @param {number} [options.max_timeout_ms=30000] - Maximum time in milliseconds one attempt may take before timing out.
+   * @param {Function|Step|Workflow|null} [options.compensate=null] - Undoes the step's work when a workflow with `on_failure: 'compensate'` fails after this step completed.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
+   * @throws {Error} Throws if concurrency is not a positive number.
+   */
+  constructor({
+    id,
+    name,
+    callables = [],
+    concurrency = Infinity,
+    fail_fast = false,
+    max_retries,
+    retry_policy,
+    max_timeout_ms,
+    compensate,
+    depends_on = [],
+  }) {
+    super({
+      id,
+      name,
+      step_type: ParallelStep.step_name,
+      max_retries,
+      retry_policy,
+      max_timeout_ms,
+      compensate,
+      depends_on,
+    });
+
+    if (typeof concurrency !== 'number' || Number.isNaN(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid concurrency for parallel step: ${concurrency}`);
+    }
+
+    this.callables = callables;
+    this.concurrency = concurrency;
+    this.fail_fast = fail_fast;
+    this.results = [];
+
+    // Plain functions are wrapped in a Step so every child reports its own lifecycle events.
+    this.children = callables.map((callable, index) => {
+      return this.getCallableType(callable) === 'function'
+        ? new Step({ name: `${this.name}-${index}`, callable })
+        : callable;
+    });
+
+    this.callable = this.parallel.bind(this);
+  }
+
+  /**
+   * Runs all children with at most `concurrency` in flight, collecting settled results in declaration order.
+   * Children share a signal of their own: it aborts when the step's signal aborts, and on the first failure with fail_fast.
+   * Once it aborts, no new children are started and running children are cancelled.
+   * @async
+   * @param {Object} [context={}] - Execution context, passed on to every child.
+   * @param {AbortSignal} [context.signal] - Signal that stops new children from starting.
+   * @returns {Promise<Object>} An object containing a message and the ordered settled results.
+   * @throws {Error} Throws the first child error when fail_fast is enabled, without waiting for the other children.
+   */
+  async parallel(context = {}) {
+    const { signal } = context;
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    const child_context = { ...context, signal: controller.signal };
+
+    this.results = new Array(this.children.length);
+
+    let next_index = 0;
+    let failFast;
+    const failed_fast = new Promise((_, reject) => { failFast = reject; });
+
+    const worker = async () => {
+      while (next_index < this.children.length && !controller.signal.aborted) {
+        const index = next_index++;
+        const settled = await this.settle(this.children[index], child_context);
+        this.results[index] = settled;
+
+        if (settled.status === 'rejected' && this.fail_fast && !controller.signal.aborted) {
+          controller.abort(settled.reason);
+          failFast(settled.reason);
+        }
+      }
+    };
+
+    if (signal?.aborted) {
+      abort();
+    } else {
+      signal?.addEventListener('abort', abort, { once: true });
+    }
+
+    const worker_count = Math.max(1, Math.min(this.concurrency, this.children.length));
+
+    try {
+      await Promise.race([Promise.all(Array.from({ length: worker_count }, worker)), failed_fast]);
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+
+    this.throwIfCancelled(signal);
+
+    const rejected = this.results.filter(settled => settled.status === 'rejected').length;
+
+    return {
+      message: `Parallel step ${this.name} completed ${this.children.length} callables with ${rejected} failures`,
+      result: this.results
+    };
+  }
+
+  /**
+   * Executes a single child and converts its outcome to a Promise.allSettled-style entry.
+   * @async
+   * @param {Step|Workflow} child - The child to execute.
+   * @param {Object} [context={}] - Execution context passed on to the child.
+   * @returns {Promise<{status: string, value?: *, reason?: Error}>} The settled outcome.
+   */
+  async settle(child, context = {}) {
+    try {
+      await this.invokeCallable(child, context);
+
+      if (child.base_type === base_types.WORKFLOW) {
+        const { CANCELLED, FAILED } = this.getState('statuses.workflow');
+
+        if (child.status === FAILED) {
+          return {
+            status: 'rejected',
+            reason: child.results[child.results.length - 1]?.data?.error ?? new Error(`Workflow "${child.name}" failed`),
+          };
+        }
+
+        if (child.status === CANCELLED) {
+          return { status: 'rejected', reason: new Error(`Workflow "${child.name}" was cancelled`) };
+        }
+
+        return { status: 'fulfilled', value: child.results };
+      }
+
+      const { CANCELLED, FAILED } = this.getState('statuses.step');
+
+      if ([CANCELLED, FAILED].includes(child.status)) {
+        return {
+          status: 'rejected',
+          reason: child.errors[child.errors.length - 1] ?? new Error(`Step "${child.name}" failed`),
+        };
+      }
+
+      return { status: 'fulfilled', value: child.result };
+    } catch (error) {
+      return { status: 'rejected', reason: error };
+    }
+  }
+
+  /**
+   * Converts the step into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    const { retry_on, ...retry_policy } = this.retry_policy;
+
+    return {
+      type: ParallelStep.step_name,
+      id: this.id,
+      name: this.name,
+      callables: this.callables.map(callable => toCallableReference(callable, callables)),
+      concurrency: Number.isFinite(this.concurrency) ? this.concurrency : undefined,
+      fail_fast: this.fail_fast,
+      max_retries: this.max_retries,
+      retry_policy: retry_on ? { ...retry_policy, retry_on: toCallableReference(retry_on, callables) } : retry_policy,
+      max_timeout_ms: this.max_timeout_ms,
+      compensate: toCallableReference(this.compensate, callables),
+      depends_on: this.depends_on,
+    };
+  }
+}
@@ -0,0 +1,195 @@
+import LogicStep from './logic_step.js';
+import { backoff_types, base_types } from '../../enums/index.js';
+import { calculateBackoffDelay, toCallableReference, toConditionalDefinition } from '../../helpers/index.js';
+
+/**
+ * PollStep class for waiting until a condition holds.
+ * Probes the conditional, or a probe callable, every `interval_ms` until it is met or the deadline passes.
+ * Waits between probes are scheduled the same way as DelayStep's delays.
+ * @class PollStep
+ * @extends LogicStep
+ */
+export default class PollStep extends LogicStep {
+  static step_name = 'poll';
+
+  /**
+   * Creates a new PollStep instance.
+   * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
+   * @param {string} [options.name] - Name of the step.
+   * @param {Object} [options.conditional] - Conditional checked on every probe, in any form a LogicStep accepts.
+   * @param {Function|Step|Workflow} [options.probe=null] - Callable run on every probe instead of the conditional.
+   * The condition is met when it returns a truthy value.
+   * @param {number} [options.interval_ms=1000] - Wait before the second probe, in milliseconds. Must be greater than 0.
+   * @param {string} [options.backoff=backoff_types.FIXED] - How the wait grows between probes, from the backoff_types enum.
+   * @param {number} [options.backoff_factor=2] - Multiplier applied on every probe by exponential backoff.
+   * @param {number} [options.max_interval_ms=Infinity] - Upper bound for the wait between probes.
+   * @param {number|null} [options.deadline_ms=null] - How long to keep probing before the step fails. No limit when null.
+   * @param {number|null} [options.condition_timeout_ms=null] - Maximum time one evaluation of the conditional may take. No limit when null.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
+   * @throws {Error} Throws if an option is invalid, or there is neither a valid conditional nor a probe.
+   */
+  constructor({
+    id,
+    name,
+    conditional = {
+      subject: null,
+      operator: null,
+      value: null,
+    },
+    probe = null,
+    interval_ms = 1000,
+    backoff = backoff_types.FIXED,
+    backoff_factor = 2,
+    max_interval_ms = Infinity,
+    deadline_ms = null,
+    condition_timeout_ms = null,
+    depends_on = [],
+  }) {
+    super({ id, name, conditional, condition_timeout_ms, max_timeout_ms: Infinity, depends_on });
+
+    if (typeof interval_ms !== 'number' || !Number.isFinite(interval_ms) || interval_ms <= 0) {
+      throw new Error(`Invalid interval for poll step: ${interval_ms}`);
+    }
+
+    if (!Object.values(backoff_types).includes(backoff)) {
+      throw new Error(`Invalid backoff for poll step: ${backoff}. Must be one of ${Object.values(backoff_types).join(', ')}`);
+    }
+
+    if (deadline_ms !== null && (typeof deadline_ms !== 'number' || Number.isNaN(deadline_ms) || deadline_ms < 0)) {
+      throw new Error(`Invalid deadline for poll step: ${deadline_ms}`);
+    }
+
+    if (!probe && !this.conditionalIsValid()) {
+      throw new Error(`Poll step: ${name} requires a valid conditional or a probe callable`);
+    }
+
+    this.probe = probe;
+    this.interval_ms = interval_ms;
+    this.backoff = backoff;
+    this.backoff_factor = backoff_factor;
+    this.max_interval_ms = max_interval_ms;
+    this.deadline_ms = deadline_ms;
+    this.probes = 0;
+    this.last_probe_result = null;
+    this.next_probe_at = null;
+
+    this.callable = this.poll.bind(this);
+  }
+
+  /**
+   * Probes until the condition is met, waiting out the interval between probes.
+   * POLL_PROBE is logged after every probe. The last probe runs when the deadline passes.
+   * @async
+   * @param {Object} [context={}] - Execution context, passed on to the probe callable.
+   * @param {AbortSignal} [context.signal] - Signal that cancels the pending wait.
+   * @returns {Promise<Object>} The number of probes and the result of the last one.
+   * @throws {Error} Throws if the deadline passes before the condition is met, or the signal aborts.
+   */
+  async poll(context = {}) {
+    const { signal } = context;
+    const deadline_at = this.deadline_ms === null ? Infinity : Date.now() + this.deadline_ms;
+
+    this.probes = 0;
+    this.last_probe_result = null;
+    this.next_probe_at = null;
+
+    while (true) {
+      this.throwIfCancelled(signal);
+
+      const is_met = await this.runProbe(context);
+      const now = Date.now();
+
+      this.probes++;
+      this.next_probe_at = is_met || now >= deadline_at
+        ? null
+        : new Date(Math.min(now + this.getProbeInterval(this.probes), deadline_at));
+
+      this.log(
+        this.getState('events.step.event_names.POLL_PROBE'),
+        `Probe ${this.probes} of step: ${this.name} ${is_met ? 'met its condition' : 'did not meet its condition'}`
+      );
+
+      if (is_met) {
+        return {
+          message: `Poll step ${this.name} met its condition after ${this.probes} probes`,
+          probes: this.probes,
+          result: this.last_probe_result,
+        };
+      }
+
+      if (!this.next_probe_at) {
+        throw new Error(
+          `Poll step "${this.name}" timed out after ${this.deadline_ms}ms: condition not met after ${this.probes} probes`
+        );
+      }
+
+      await this.waitUntil(this.next_probe_at, signal);
+    }
+  }
+
+  /**
+   * Runs one probe. With a probe callable, its result is kept in `last_probe_result`.
+   * Step and Workflow probes return themselves, so their `result` or `output` is kept instead.
+   * @async
+   * @param {Object} [context={}] - Execution context, passed on to the probe callable.
+   * @returns {Promise<boolean>} True if the condition is met.
+   */
+  async runProbe(context = {}) {
+    if (!this.probe) {
+      return this.checkCondition();
+    }
+
+    const result = await this.invokeCallable(this.probe, context);
+
+    switch (result?.base_type) {
+      case base_types.STEP:
+        this.last_probe_result = result.result;
+        break;
+      case base_types.WORKFLOW:
+        this.last_probe_result = result.output;
+        break;
+      default:
+        this.last_probe_result = result;
+    }
+
+    return Boolean(this.last_probe_result);
+  }
+
+  /**
+   * Calculates the wait after a probe from the interval and backoff settings.
+   * @param {number} probe - The number of the probe that just ran, starting at 1.
+   * @returns {number} The wait in milliseconds.
+   */
+  getProbeInterval(probe) {
+    return calculateBackoffDelay({
+      backoff: this.backoff,
+      delay_ms: this.interval_ms,
+      factor: this.backoff_factor,
+      max_delay_ms: this.max_interval_ms,
+    }, probe);
+  }
+
+  /**
+   * Converts the step into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: PollStep.step_name,
+      id: this.id,
+      name: this.name,
+      conditional: toConditionalDefinition(this.conditional_config, callables),
+      probe: toCallableReference(this.probe, callables),
+      interval_ms: this.interval_ms,
+      backoff: this.backoff,
+      backoff_factor: this.backoff_factor,
+      max_interval_ms: Number.isFinite(this.max_interval_ms) ? this.max_interval_ms : undefined,
+      deadline_ms: this.deadline_ms ?? undefined,
+      condition_timeout_ms: this.condition_timeout_ms ?? undefined,
+      depends_on: this.depends_on,
+    };
+  }
+}
@@ -1,6 +1,7 @@
 import Base from '../base.js';
-import Workflow from '../workflow.js';
-import { base_types, step_types } from '../../enums/index.js';
+import { backoff_types, base_types, step_types } from '../../enums/index.js';
+import { calculateBackoffDelay, noop, sleep, toCallableReference } from '../../helpers/index.js';
+import schedule from 'node-schedule';
 
 /**
  * Step class representing an executable unit within a workflow.
@@ -14,22 +15,38 @@ export default class Step extends Base {
   /**
    * Creates a new Step instance.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
    * @param {string} [options.name] - Name of the step.
    * @param {Function|Step|Workflow} [options.callable=async () => {}] - Function, Step, or Workflow to execute.
    * @param {number} [options.max_retries=0] - Maximum number of retries on failure.
-   * @param {number} [options.max_timeout_ms=30000] - Maximum execution time in milliseconds before timing out.
+   * @param {Object} [options.retry_policy={}] - How to wait between retries and which errors to retry.
+   * @param {string} [options.retry_policy.backoff=backoff_types.FIXED] - Backoff strategy from the backoff_types enum.
+   * @param {number} [options.retry_policy.delay_ms=0] - Base delay before a retry, in milliseconds.
+   * @param {number} [options.retry_policy.factor=2] - Multiplier for exponential backoff.
+   * @param {number} [options.retry_policy.max_delay_ms=Infinity] - Upper bound for the delay.
+   * @param {number|boolean} [options.retry_policy.jitter=0] - Fraction of the delay (0-1) to randomize; `true` is full jitter.
+   * @param {Function} [options.retry_policy.retry_on] - Receives the error and retry number; return false to fail without retrying.
+   * @param {number} [options.max_timeout_ms=30000] - Maximum time in milliseconds one attempt may take before timing out.
+   * Waits between retries do not count towards it. `Infinity` turns the timeout off. Steps that wait on something outside
+   * the workflow, like PollStep, WaitForEventStep, WaitForStateStep and ApprovalStep, use `Infinity` so only their own deadline applies.
    * @param {string} [options.step_type=step_types.ACTION] - Type of the step.
    * @param {sub_step_types|null} [options.sub_step_type=null] - Sub-type of the step (use values from the sub_step_types enum).
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
+   * @param {Function|Step|Workflow|null} [options.compensate=null] - Undoes the step's work when a workflow with `on_failure: 'compensate'` fails after this step completed.
    */
   constructor({
+    id,
     name,
-    callable = async () => {},
+    callable = noop,
     max_retries = 0,
+    retry_policy = {},
     max_timeout_ms = 30000,
     step_type = step_types.ACTION,
     sub_step_type = null,
+    depends_on = [],
+    compensate = null,
   }) {
-    super({ name, base_type: base_types.STEP });
+    super({ id, name, base_type: base_types.STEP });
 
     this.callable = callable;
 
@@ -38,12 +55,22 @@ export default class Step extends Base {
     this.#callable_object = callable;
 
     this.max_retries = max_retries;
+    this.retry_policy = retry_policy ?? {};
+
+    if (this.retry_policy.backoff && !Object.values(backoff_types).includes(this.retry_policy.backoff)) {
+      throw new Error(`Unknown backoff type "${this.retry_policy.backoff}". Must be one of ${Object.values(backoff_types).join(', ')}.`);
+    }
     this.retry_count = 0;
+    this.next_retry = null;
     this.max_timeout_ms = max_timeout_ms;
     this.step_type = step_type;
     this.sub_step_type = sub_step_type;
+    this.depends_on = depends_on;
+    this.compensate = compensate;
 
     this.errors = [];
+    this.compensation_result = null;
+    this.compensation_error = null;
     this.result = null;
     this.retry_results = [];
     this.timeout = null;
@@ -51,42 +78,77 @@ export default class Step extends Base {
 
   /**
    * Executes the step's callable function, Step, or Workflow.
+   * Function callables receive the execution context as their first argument, so long-running work can stop
+   * when the step is cancelled and pipeline workflows can hand data from one step to the next.
+   * Failed attempts are retried up to `max_retries` times, waiting between attempts as set by `retry_policy`.
    * @async
+   * @param {Object} [context={}] - Execution context.
+   * @param {AbortSignal} [context.signal] - Signal that cancels the step when aborted.
+   * @param {*} [context.input] - The workflow input, when run by a pipeline workflow.
+   * @param {*} [context.previous_result] - The previous step's output, when run by a pipeline workflow.
+   * @param {Object} [context.results] - Outputs of the steps run so far keyed by step name, when run by a pipeline workflow.
    * @returns {Promise<Step>} The step instance with execution results.
    */
-  async execute() {
-    if (!this.timeout ) {
-      this.timeout = new Promise((_, reject) =>
-        setTimeout(reject, this.max_timeout_ms, new Error(`Step "${this.name}" timed out after ${this.max_timeout_ms}ms`))
-      );
-    }
+  async execute(context = {}) {
+    const { signal } = context;
 
     this.markAsRunning();
 
-    try {
-      this.result = await Promise.race([this._callable(), this.timeout]);
-    } catch (error) {
-      if (this.max_retries && this.retry_count < this.max_retries) {
-        this.retry_count++;
-        this.retry_results.push({
-          retry_count: this.retry_count,
-          result: await this.execute(),
-        });
-      } else {
-        this.errors.push(error);
+    while (true) {
+      const attempt_start = new Date();
+
+      try {
+        this.throwIfCancelled(signal);
 
-        this.markAsFailed();
+        // Subscribe to the signal before the callable does, so an abort wins over a callable that returns on abort
+        const aborted = this.whenAborted(signal);
+        this.timeout = this.startTimeout();
 
-        if (this.getState('exit_on_error')) {
-          throw error;
+        try {
+          this.result = await Promise.race([aborted, this._callable(context), this.timeout].filter(Boolean));
+        } finally {
+          aborted.dispose();
+          this.timeout?.dispose();
+        }
+
+        this.recordAttempt(attempt_start, this.result, null);
+        break;
+      } catch (error) {
+        this.recordAttempt(attempt_start, null, error);
+
+        if (signal?.aborted) {
+          this.errors.push(error);
+          this.markAsCancelled();
+          break;
         }
-      }
 
+        if (!(await this.shouldRetry(error))) {
+          this.errors.push(error);
+
+          this.markAsFailed();
+
+          if (this.getState('exit_on_error')) {
+            throw error;
+          }
+
+          break;
+        }
+
+        this.retry_count++;
+
+        try {
+          await this.waitForRetry(error, signal);
+        } catch {
+          this.errors.push(this.getCancellationError(signal));
+          this.markAsCancelled();
+          break;
+        }
+      }
     }
 
-    const { FAILED, COMPLETE } = this.getState('statuses')[this.base_type];
+    const { CANCELLED, FAILED, COMPLETE } = this.getState('statuses')[this.base_type];
 
-    if (! [FAILED, COMPLETE].includes(this.status)) {
+    if (! [CANCELLED, FAILED, COMPLETE].includes(this.status)) {
       this.markAsComplete();
     }
 
@@ -115,6 +177,108 @@ export default class Step extends Base {
     throw new Error('Invalid callable type. Must be one of function, Step, or Workflow.');
   }
 
+  /**
+   * Builds the error recorded when the step is cancelled.
+   * @param {AbortSignal} signal - The aborted signal.
+   * @returns {Error} The cancellation error, including the abort reason when there is one.
+   */
+  getCancellationError(signal) {
+    const reason = signal.reason?.message ?? signal.reason;
+
+    return new Error(`Step "${this.name}" was cancelled${reason ? `: ${reason}` : ''}`);
+  }
+
+  /**
+   * Runs a nested Function, Step, or Workflow with the given context.
+   * Nested workflows do not take a signal, so an abort cancels them through `Workflow.cancel()`,
+   * and they receive the previous step's output as their input.
+   * @async
+   * @param {Function|Step|Workflow} callable - The callable to run.
+   * @param {Object} [context={}] - Execution context.
+   * @param {AbortSignal} [context.signal] - Signal to pass on to the callable.
+   * @param {*} [context.previous_result] - Output of the previous step, used as a nested workflow's input.
+   * @returns {Promise<*>} The callable's return value.
+   * @throws {Error} Throws if the signal is already aborted.
+   */
+  async invokeCallable(callable, context = {}) {
+    this.throwIfCancelled(context.signal);
+
+    const callable_type = this.getCallableType(callable);
+
+    if (callable_type === 'workflow') {
+      const cancel = () => callable.cancel(context.signal.reason);
+
+      context.signal?.addEventListener('abort', cancel, { once: true });
+
+      try {
+        return await callable.execute(context.previous_result);
+      } finally {
+        context.signal?.removeEventListener('abort', cancel);
+      }
+    }
+
+    if (callable_type === 'step') {
+      callable.parentWorkflowId = this.parentWorkflowId;
+      return callable.execute(context);
+    }
+
+    return callable(context);
+  }
+
+  /**
+   * Records the outcome of a retry attempt in `retry_results`. The first attempt is not a retry and is not recorded.
+   * @param {Date} attempt_start - When the attempt started.
+   * @param {*} result - The attempt's result, or null if it failed.
+   * @param {Error|null} error - The error the attempt failed with, or null if it succeeded.
+   */
+  recordAttempt(attempt_start, result, error) {
+    if (!this.retry_count) {
+      return;
+    }
+
+    this.retry_results.push({
+      retry_count: this.retry_count,
+      result,
+      error,
+      duration_ms: new Date() - attempt_start,
+      timestamp: attempt_start,
+    });
+  }
+
+  /**
+   * Runs the step's `compensate` callable to undo its work. Function callables are bound to the step and receive the context.
+   * Marks the step as compensated, or as compensation failed before rethrowing the error.
+   * @async
+   * @param {Object} [context={}] - Compensation context.
+   * @param {*} [context.input] - The workflow input.
+   * @param {*} [context.result] - The output of this step's successful run.
+   * @param {Error} [context.error] - The error that made the workflow fail.
+   * @returns {Promise<*>} The compensate callable's return value, or null if the step has none.
+   * @throws {Error} Throws the compensation error if compensating fails.
+   */
+  async runCompensation(context = {}) {
+    if (!this.compensate) {
+      return null;
+    }
+
+    const { COMPENSATED, COMPENSATION_FAILED } = this.getState('statuses.step');
+    const compensate = typeof this.compensate === 'function' ? this.compensate.bind(this) : this.compensate;
+
+    try {
+      this.compensation_result = await this.invokeCallable(compensate, context);
+    } catch (error) {
+      this.compensation_error = error;
+      this.status = COMPENSATION_FAILED;
+      this.log(this.getState('event_names.step').STEP_COMPENSATION_FAILED, `Step "${this.name}" compensation failed: ${error?.message ?? error}`);
+      throw error;
+    }
+
+    this.status = COMPENSATED;
+    this.log(this.getState('event_names.step').STEP_COMPENSATED, `Step "${this.name}" compensated.`);
+
+    return this.compensation_result;
+  }
+
   /**
    * Sets a value in the parent workflow's state.
    * @param {string} workflowId - ID of the parent workflow.
@@ -132,6 +296,185 @@ export default class Step extends Base {
     parentWorkflow[path] = value;
   }
 
+  /**
+   * Checks whether a failed attempt should be retried: retries must remain and the policy's `retry_on` must accept the error.
+   * @async
+   * @param {Error} error - The error the attempt failed with.
+   * @returns {Promise<boolean>} True if the step should retry.
+   */
+  async shouldRetry(error) {
+    if (!this.max_retries || this.retry_count >= this.max_retries) {
+      return false;
+    }
+
+    if (typeof this.retry_policy.retry_on !== 'function') {
+      return true;
+    }
+
+    return !!(await this.retry_policy.retry_on(error, this.retry_count + 1));
+  }
+
+  /**
+   * Starts the timeout for one attempt, as set by `max_timeout_ms`.
+   * Call its `dispose()` once the attempt is over to clear the timer.
+   * @returns {(Promise<never> & {dispose: Function})|null} A promise that rejects once the attempt times out,
+   * or null if `max_timeout_ms` turns the timeout off.
+   */
+  startTimeout() {
+    if (!Number.isFinite(this.max_timeout_ms)) {
+      return null;
+    }
+
+    let timer = null;
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(reject, this.max_timeout_ms, new Error(`Step "${this.name}" timed out after ${this.max_timeout_ms}ms`));
+    });
+
+    timeout.dispose = () => clearTimeout(timer);
+
+    return timeout;
+  }
+
+  /**
+   * Throws the cancellation error if the signal has already been aborted.
+   * @param {AbortSignal} [signal] - The signal to check.
+   * @throws {Error} Throws if the signal is aborted.
+   */
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw this.getCancellationError(signal);
+    }
+  }
+
+  /**
+   * Converts the step into its workflow definition form. Functions are referenced by their name in `callables`,
+   * and nested steps and workflows are converted recursively.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   * @throws {Error} Throws if a function is not in `callables`.
+   */
+  toJSON({ callables = {} } = {}) {
+    const { retry_on, ...retry_policy } = this.retry_policy;
+
+    return {
+      type: Step.step_name,
+      id: this.id,
+      name: this.name,
+      callable: toCallableReference(this.#callable_object, callables),
+      max_retries: this.max_retries,
+      retry_policy: retry_on ? { ...retry_policy, retry_on: toCallableReference(retry_on, callables) } : retry_policy,
+      max_timeout_ms: this.max_timeout_ms,
+      compensate: toCallableReference(this.compensate, callables),
+      depends_on: this.depends_on,
+    };
+  }
+
+  /**
+   * Creates a promise that rejects with a cancellation error once the signal aborts.
+   * Without a signal the promise never settles, so it is safe to race against.
+   * Call its `dispose()` once the race is over to remove the listener from the signal.
+   * @param {AbortSignal} [signal] - The signal to watch.
+   * @returns {Promise<never> & {dispose: Function}} A promise that only ever rejects.
+   */
+  whenAborted(signal) {
+    let abort = null;
+
+    const aborted = new Promise((_, reject) => {
+      if (!signal) {
+        return;
+      }
+
+      abort = () => reject(this.getCancellationError(signal));
+
+      if (signal.aborted) {
+        abort();
+      } else {
+        signal.addEventListener('abort', abort, { once: true });
+      }
+    });
+
+    aborted.dispose = () => signal?.removeEventListener('abort', abort);
+
+    return aborted;
+  }
+
+  /**
+   * Logs STEP_RETRYING and waits out the retry policy's delay before the next attempt.
+   * While waiting, `next_retry` holds the attempt number, the delay and the error that caused the retry.
+   * @async
+   * @param {Error} error - The error that caused the retry.
+   * @param {AbortSignal} [signal] - Signal that ends the wait early.
+   * @returns {Promise<void>}
+   * @throws {*} Throws the abort reason if the signal aborts while waiting.
+   */
+  async waitForRetry(error, signal) {
+    const delay_ms = calculateBackoffDelay(this.retry_policy, this.retry_count);
+
+    this.next_retry = {
+      attempt: this.retry_count,
+      delay_ms,
+      error: { name: error?.name, message: error?.message ?? String(error) },
+    };
+
+    this.log(
+      this.getState('event_names.step').STEP_RETRYING,
+      `Step "${this.name}" retry ${this.retry_count} of ${this.max_retries} in ${delay_ms}ms after error: ${this.next_retry.error.message}`
+    );
+
+    try {
+      if (delay_ms > 0) {
+        await sleep(delay_ms, signal);
+      }
+    } finally {
+      this.next_retry = null;
+    }
+  }
+
+  /**
+   * Waits until a date on the node-schedule scheduler, which DelayStep and PollStep share so fake timers drive both.
+   * While waiting, `scheduled_job` holds the scheduled job. A date that has already passed resolves at once.
+   * @param {Date} date - The date and time to wait until.
+   * @param {AbortSignal} [signal] - Signal that cancels the scheduled job.
+   * @returns {Promise<void>}
+   * @throws {Error} Rejects with the cancellation error if the signal aborts while waiting.
+   */
+  waitUntil(date, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.getCancellationError(signal));
+        return;
+      }
+
+      const abort = () => {
+        job.cancel();
+        reject(this.getCancellationError(signal));
+      };
+      const job = schedule.scheduleJob(date, () => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+      });
+
+      // node-schedule does not schedule dates in the past
+      if (!job) {
+        resolve();
+        return;
+      }
+
+      this.scheduled_job = job;
+      signal?.addEventListener('abort', abort, { once: true });
+    });
+  }
+
+  /**
+   * Gets the callable the step was created with. Subclasses that run their own logic keep their callables elsewhere.
+   * @returns {Function|Step|Workflow} The callable.
+   */
+  get callable() {
+    return this.#callable_object;
+  }
+
   /**
    * Sets the callable for the step and determines its type.
    * @param {Function|Step|Workflow} callable - The callable to set.
@@ -144,7 +487,9 @@ export default class Step extends Base {
         callable.parentWorkflowId = this.parentWorkflowId ?? null;
       }
 
-      this._callable = callable.execute.bind(callable);
+      this._callable = this.callable_type === 'workflow'
+        ? (context = {}) => this.invokeCallable(callable, context)
+        : callable.execute.bind(callable);
     } else {
       this._callable = callable.bind(this);
     }
@@ -1,8 +1,11 @@
 import Step from './step.js';
+import { switch_match_modes } from '../../enums/index.js';
+import { noop, toCallableReference, toValueReference } from '../../helpers/index.js';
 
 /**
  * SwitchStep class for implementing switch/case logic in workflows.
  * Evaluates cases in order and executes the first matching case, or a default callable if no cases match.
+ * In `all` match mode, every matching case is executed instead.
  * @class SwitchStep
  * @extends Step
  */
@@ -12,20 +15,29 @@ export default class SwitchStep extends Step {
   /**
    * Creates a new SwitchStep instance.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
    * @param {string} [options.name] - Name of the step.
    * @param {Array<Case|LogicStep>} [options.cases=[]] - Array of Case or LogicStep instances to evaluate. LogicStep instances MUST have conditional.subject set.
    * @param {Function|Step|Workflow} [options.default_callable=async () => {}] - Function, Step, or Workflow to execute if no cases match.
-   * @param {*|Function} [options.subject=null] - Subject value to evaluate against each case. Can be a function that returns the value.
+   * @param {*|Function} [options.subject=null] - Subject value to evaluate against each case. Can be a function that returns the value or a Promise of it.
+   * @param {switch_match_modes|string} [options.match_mode=switch_match_modes.FIRST] - Whether to run the first matching case or every matching case.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
+   * @throws {Error} If match_mode is not a switch_match_modes value.
    */
   constructor({
+    id,
     name,
     cases = [],
-    default_callable = async () => {},
-    subject = null
+    default_callable = noop,
+    subject = null,
+    match_mode = switch_match_modes.FIRST,
+    depends_on = [],
   }) {
     super({
+      id,
       name,
       step_type: SwitchStep.step_name,
+      depends_on,
     });
 
     this.cases = cases;
@@ -36,42 +48,109 @@ export default class SwitchStep extends Step {
       : default_callable.execute.bind(default_callable);
     this.subject = subject;
 
+    if (!Object.values(switch_match_modes).includes(match_mode)) {
+      throw new Error(`Invalid match mode for switch step: ${this.name}. Must be one of ${Object.values(switch_match_modes).join(', ')}`);
+    }
+
+    this.match_mode = match_mode;
+    this.matched_cases = [];
+
     this.callable = this.switch.bind(this);
   }
 
   /**
    * Executes the switch logic by evaluating each case in order.
-   * Returns the result of the first matching case, or the default callable if no match.
-   * @returns {Promise<*>} The result of the matched case or default callable.
+   * Runs the first matching case, or every matching case in `all` match mode. A case with `fallthrough: true`
+   * also runs the case after it without checking its conditional, or the default callable if it is the last case.
+   * The default callable runs when no case matches.
+   * @param {Object} [context={}] - Execution context, passed on to the cases and default callable that run.
+   * @returns {Promise<*>} The result of the last case or default callable that ran. In `all` match mode, an array of
+   * the results of every case and default callable that ran, in order.
    */
-  async switch() {
+  async switch(context = {}) {
     // Resolve subject once - call it if it's a function
-    const resolvedSubject = typeof this.subject === 'function' ? this.subject() : this.subject;
-    
+    const resolvedSubject = typeof this.subject === 'function' ? await this.subject() : this.subject;
+    const match_all = this.match_mode === switch_match_modes.ALL;
+
+    this.matched_cases = [];
+
     for (const switch_case of this.cases) {
+      switch_case.is_matched = false;
+    }
+
+    for (const switch_case of this.cases) {
+      // Cases read $state and $result references through the workflow this switch runs in
+      switch_case.parentWorkflowId = this.parentWorkflowId;
       switch_case.switch_subject = resolvedSubject;
+      switch_case.is_matched = await switch_case.checkCondition();
+
+      if (switch_case.is_matched) {
+        this.matched_cases.push({ id: switch_case.id, name: switch_case.name });
 
-      const is_matched = await switch_case.checkCondition();
+        if (!match_all) {
+          break;
+        }
+      }
+    }
 
-      if (is_matched) {
-        this.log(
-          this.getState('events.step.event_names.SWITCH_CASE_MATCHED'),
-          `Case matched for step: ${this.name}, executing case callable`
-        );
+    // Matched cases, plus the cases they fall through to. Each case runs at most once.
+    const cases_to_run = [];
+    let falls_through = false;
 
-        // Return the case's result value directly, not the Case object.
-        // This keeps result structure consistent: switchStep.result contains the
-        // callable's return value, matching how Step.result works.
-        const caseResult = await switch_case.execute();
-        return caseResult.result;
+    for (const switch_case of this.cases) {
+      if (switch_case.is_matched || falls_through) {
+        cases_to_run.push(switch_case);
+        falls_through = switch_case.fallthrough === true;
+      } else {
+        falls_through = false;
       }
     }
 
-    // Unwrap Step/Workflow results for consistency with case results
-    const defaultResult = await this.default_callable();
-    if (this._default_callable_type !== 'function') {
-      return defaultResult.result;
+    if (this.matched_cases.length > 0) {
+      this.log(
+        this.getState('events.step.event_names.SWITCH_CASE_MATCHED'),
+        `Case matched for step: ${this.name}, executing ${cases_to_run.map(switch_case => switch_case.name).join(', ')}`
+      );
+    }
+
+    const results = [];
+
+    for (const switch_case of cases_to_run) {
+      // Keep the case's result value, not the Case object.
+      // This keeps result structure consistent: switchStep.result contains the
+      // callable's return value, matching how Step.result works.
+      const caseResult = await switch_case.execute(context);
+      results.push(caseResult.result);
+    }
+
+    if (cases_to_run.length === 0 || falls_through) {
+      // Unwrap Step/Workflow results for consistency with case results
+      const defaultResult = await this.invokeCallable(
+        this._default_callable_type === 'function' ? this.default_callable : this._default_callable_raw,
+        context
+      );
+      results.push(this._default_callable_type !== 'function' ? defaultResult.result : defaultResult);
     }
-    return defaultResult;
+
+    return match_all ? results : results[results.length - 1];
+  }
+
+  /**
+   * Converts the step and its cases into their workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: SwitchStep.step_name,
+      id: this.id,
+      name: this.name,
+      subject: toValueReference(this.subject, callables),
+      cases: this.cases.map(switch_case => switch_case.toJSON({ callables })),
+      default_callable: toCallableReference(this._default_callable_raw, callables),
+      match_mode: this.match_mode,
+      depends_on: this.depends_on,
+    };
   }
 }
@@ -0,0 +1,212 @@
+import State from '../state.js';
+import LogicStep from './logic_step.js';
+import { base_types, conditional_step_comparators } from '../../enums/index.js';
+import { mapConditionalLeaves, toCallableReference, toConditionalDefinition } from '../../helpers/index.js';
+
+/**
+ * WaitForEventStep class for suspending a workflow until a named event arrives.
+ * Listens on one of the State event emitters, or any Event instance, and optionally on its BroadcastChannel
+ * so events emitted in other tabs or workers also count.
+ * @class WaitForEventStep
+ * @extends LogicStep
+ */
+export default class WaitForEventStep extends LogicStep {
+  static step_name = 'wait_for_event';
+
+  /**
+   * Creates a new WaitForEventStep instance.
+   * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
+   * @param {string} [options.name] - Name of the step.
+   * @param {string} options.event_name - Name of the event to wait for.
+   * @param {string|Event} [options.event_source=base_types.WORKFLOW] - Event instance to listen on, or the key of one
+   * of the State event emitters: 'workflow', 'step' or 'state'.
+   * @param {boolean} [options.broadcast=false] - Also listen for the event on its BroadcastChannel.
+   * @param {Object} [options.conditional] - Filter for the event payload, in any form a LogicStep accepts.
+   * Subjects and values that are functions are called with the payload. Every event is accepted when there is none.
+   * @param {number|null} [options.timeout_ms=null] - How long to wait for the event. No limit when null.
+   * @param {Function|Step|Workflow} [options.fallback_callable=null] - Callable run when the timeout passes.
+   * Without one, the step fails on timeout.
+   * @param {number|null} [options.condition_timeout_ms=null] - Maximum time one evaluation of the conditional may take. No limit when null.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
+   * @throws {Error} Throws if the event name or timeout is invalid.
+   */
+  constructor({
+    id,
+    name,
+    event_name,
+    event_source = base_types.WORKFLOW,
+    broadcast = false,
+    conditional = {
+      subject: null,
+      operator: null,
+      value: null,
+    },
+    timeout_ms = null,
+    fallback_callable = null,
+    condition_timeout_ms = null,
+    depends_on = [],
+  }) {
+    super({ id, name, conditional, condition_timeout_ms, max_timeout_ms: Infinity, depends_on });
+
+    if (typeof event_name !== 'string' || !event_name) {
+      throw new Error(`Event name for wait for event step: ${name} must be a non-empty string`);
+    }
+
+    if (timeout_ms !== null && (typeof timeout_ms !== 'number' || Number.isNaN(timeout_ms) || timeout_ms < 0)) {
+      throw new Error(`Invalid timeout for wait for event step: ${timeout_ms}`);
+    }
+
+    this.event_name = event_name;
+    this.event_source = event_source;
+    this.broadcast = broadcast;
+    this.timeout_ms = timeout_ms;
+    this.fallback_callable = fallback_callable;
+    this.event_detail = null;
+    this.timed_out = false;
+
+    this.callable = this.waitForEvent.bind(this);
+  }
+
+  /**
+   * Waits for the first event that passes the conditional. STEP_WAITING is logged once the step is listening.
+   * Listeners are removed when the event arrives, the timeout passes, or the signal aborts.
+   * @async
+   * @param {Object} [context={}] - Execution context, passed on to the fallback callable.
+   * @param {AbortSignal} [context.signal] - Signal that stops the wait.
+   * @returns {Promise<Object>} The event payload, or the fallback callable's result when the timeout passed.
+   * @throws {Error} Throws if the event source is not an Event, the conditional throws, the timeout passes
+   * without a fallback callable, or the signal aborts.
+   */
+  async waitForEvent(context = {}) {
+    const { signal } = context;
+    const events = this.getEventSource();
+
+    this.throwIfCancelled(signal);
+    this.event_detail = null;
+    this.timed_out = false;
+
+    const received = await new Promise((resolve, reject) => {
+      let settled = false;
+      let channel = null;
+      let timer;
+
+      const settle = (callback, value) => {
+        if (settled) {
+          return;
+        }
+
+        settled = true;
+        clearTimeout(timer);
+        events.off(this.event_name, listener);
+        channel?.destroy();
+        signal?.removeEventListener('abort', abort);
+        callback(value);
+      };
+      // Local emits are also broadcast, so with `broadcast` on the same event can arrive twice
+      const listener = async (detail) => {
+        try {
+          if (!settled && await this.matchesEvent(detail)) {
+            settle(resolve, { detail });
+          }
+        } catch (error) {
+          settle(reject, error);
+        }
+      };
+      const abort = () => settle(reject, this.getCancellationError(signal));
+
+      events.on(this.event_name, listener);
+
+      if (this.broadcast) {
+        channel = events.onBroadcast(this.event_name, listener);
+      }
+
+      if (Number.isFinite(this.timeout_ms)) {
+        timer = setTimeout(() => settle(resolve, null), this.timeout_ms);
+      }
+
+      signal?.addEventListener('abort', abort, { once: true });
+
+      this.log(
+        this.getState('events.step.event_names.STEP_WAITING'),
+        `Step: ${this.name} waiting for event "${this.event_name}"`
+      );
+    });
+
+    if (received) {
+      this.event_detail = received.detail;
+
+      return { message: `Event "${this.event_name}" received by step: ${this.name}`, timed_out: false, result: received.detail };
+    }
+
+    this.timed_out = true;
+
+    if (!this.fallback_callable) {
+      throw new Error(`Step "${this.name}" timed out after ${this.timeout_ms}ms waiting for event "${this.event_name}"`);
+    }
+
+    return {
+      message: `Step ${this.name} timed out waiting for event "${this.event_name}", ran fallback`,
+      timed_out: true,
+      result: await this.invokeCallable(this.fallback_callable, context),
+    };
+  }
+
+  /**
+   * Checks an event payload against the conditional. Subject and value functions are called with the payload,
+   * except `CUSTOM_FUNCTION` values, which still receive the subject.
+   * @async
+   * @param {*} detail - The event payload.
+   * @returns {Promise<boolean>} True if the event passes, or there is no conditional.
+   */
+  async matchesEvent(detail) {
+    if (!this.conditionalIsValid()) {
+      return true;
+    }
+
+    const bind = operand => typeof operand === 'function' ? () => operand(detail) : operand;
+
+    return this.checkCondition(mapConditionalLeaves(this.conditional_config, leaf => ({
+      subject: bind(leaf.subject),
+      operator: leaf.operator,
+      value: leaf.operator === conditional_step_comparators.CUSTOM_FUNCTION ? leaf.value : bind(leaf.value),
+    })));
+  }
+
+  /**
+   * Gets the Event instance the step listens on.
+   * @returns {Event} The event source.
+   * @throws {Error} Throws if the source is not a State event emitter key or an Event instance.
+   */
+  getEventSource() {
+    const events = typeof this.event_source === 'string' ? State.get(`events.${this.event_source}`) : this.event_source;
+
+    if (typeof events?.on !== 'function' || typeof events?.off !== 'function') {
+      throw new Error(`Event source of step ${this.name} is not an Event: ${this.event_source}`);
+    }
+
+    return events;
+  }
+
+  /**
+   * Converts the step into its workflow definition form. Event instance sources are left out.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: WaitForEventStep.step_name,
+      id: this.id,
+      name: this.name,
+      event_name: this.event_name,
+      event_source: typeof this.event_source === 'string' ? this.event_source : undefined,
+      broadcast: this.broadcast || undefined,
+      conditional: toConditionalDefinition(this.conditional_config, callables),
+      timeout_ms: this.timeout_ms ?? undefined,
+      fallback_callable: toCallableReference(this.fallback_callable, callables),
+      condition_timeout_ms: this.condition_timeout_ms ?? undefined,
+      depends_on: this.depends_on,
+    };
+  }
+}
@@ -0,0 +1,187 @@
+import State from '../state.js';
+import LogicStep from './logic_step.js';
+import { conditional_step_comparators } from '../../enums/index.js';
+import { mapConditionalLeaves, toConditionalDefinition } from '../../helpers/index.js';
+
+/**
+ * WaitForStateStep class for blocking until a State path meets a condition.
+ * The conditional is checked once when the step starts, then again whenever a SET, MERGE or DELETED state event
+ * touches the path, so nothing is polled.
+ * @class WaitForStateStep
+ * @extends LogicStep
+ */
+export default class WaitForStateStep extends LogicStep {
+  static step_name = 'wait_for_state';
+
+  /**
+   * Creates a new WaitForStateStep instance.
+   * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the step. Defaults to a random UUID; set it to match steps to saved checkpoints.
+   * @param {string} [options.name] - Name of the step.
+   * @param {string} options.path - State path to watch, in the notation State.get() takes.
+   * @param {Object} [options.conditional={ operator: 'not_nullish' }] - Condition the value must meet, in any form a
+   * LogicStep accepts. Checks without a subject compare the value at `path`. Defaults to waiting until the path is set.
+   * @param {number|null} [options.timeout_ms=null] - How long to wait before the step fails. No limit when null.
+   * @param {number|null} [options.condition_timeout_ms=null] - Maximum time one evaluation of the conditional may take. No limit when null.
+   * @param {Array<string>} [options.depends_on=[]] - IDs or names of steps that must finish first. Declaring any dependency runs the parent workflow as a graph.
+   * @throws {Error} Throws if the path or timeout is invalid.
+   */
+  constructor({
+    id,
+    name,
+    path,
+    conditional = {
+      operator: conditional_step_comparators.NOT_NULLISH,
+    },
+    timeout_ms = null,
+    condition_timeout_ms = null,
+    depends_on = [],
+  }) {
+    if (typeof path !== 'string' || !path) {
+      throw new Error(`Path for wait for state step: ${name} must be a non-empty string`);
+    }
+
+    super({
+      id,
+      name,
+      conditional: mapConditionalLeaves(conditional, leaf => ({ ...leaf, subject: leaf?.subject ?? { $state: path } })),
+      condition_timeout_ms,
+      max_timeout_ms: Infinity,
+      depends_on,
+    });
+
+    if (timeout_ms !== null && (typeof timeout_ms !== 'number' || Number.isNaN(timeout_ms) || timeout_ms < 0)) {
+      throw new Error(`Invalid timeout for wait for state step: ${timeout_ms}`);
+    }
+
+    this.path = path;
+    this.timeout_ms = timeout_ms;
+    this.checks = 0;
+
+    this.callable = this.waitForState.bind(this);
+  }
+
+  /**
+   * Checks the conditional, then re-checks it after every state change that touches the path until it is met.
+   * STEP_WAITING is logged if the first check fails. Listeners are removed when the wait ends.
+   * @async
+   * @param {Object} [context={}] - Execution context.
+   * @param {AbortSignal} [context.signal] - Signal that stops the wait.
+   * @returns {Promise<Object>} The value at the path once the condition is met.
+   * @throws {Error} Throws if the conditional throws, the timeout passes, or the signal aborts.
+   */
+  async waitForState({ signal } = {}) {
+    this.throwIfCancelled(signal);
+    this.checks = 0;
+
+    const events = State.get('events.state');
+    const { SET, MERGE, DELETED } = State.get('event_names.state');
+
+    await new Promise((resolve, reject) => {
+      let settled = false;
+      let timer;
+
+      const settle = (callback, value) => {
+        if (settled) {
+          return;
+        }
+
+        settled = true;
+        clearTimeout(timer);
+        listeners.forEach(([event_name, listener]) => events.off(event_name, listener));
+        signal?.removeEventListener('abort', abort);
+        callback(value);
+      };
+      const check = async () => {
+        try {
+          this.checks++;
+
+          if (!settled && await this.checkCondition()) {
+            settle(resolve);
+            return true;
+          }
+        } catch (error) {
+          settle(reject, error);
+        }
+
+        return false;
+      };
+      // Event.off() finds listeners by function, so each event gets its own
+      const listeners = [SET, MERGE, DELETED].map(event_name => [event_name, (change) => {
+        if (!settled && this.isWatchedChange(change)) {
+          check();
+        }
+      }]);
+      const abort = () => settle(reject, this.getCancellationError(signal));
+
+      // Subscribe before the first check so a change made while it runs is not missed
+      listeners.forEach(([event_name, listener]) => events.on(event_name, listener));
+      signal?.addEventListener('abort', abort, { once: true });
+
+      if (Number.isFinite(this.timeout_ms)) {
+        timer = setTimeout(
+          () => settle(reject, new Error(`Step "${this.name}" timed out after ${this.timeout_ms}ms waiting for state path "${this.path}"`)),
+          this.timeout_ms
+        );
+      }
+
+      check().then((is_met) => {
+        if (!is_met && !settled) {
+          this.log(
+            this.getState('events.step.event_names.STEP_WAITING'),
+            `Step: ${this.name} waiting for state path "${this.path}"`
+          );
+        }
+      });
+    });
+
+    return { message: `State path "${this.path}" met the condition of step: ${this.name}`, result: this.getState(this.path) };
+  }
+
+  /**
+   * Checks whether a state event touches the watched path: the path itself, a parent that was replaced,
+   * or a child that changed. Events from other workflows' state scopes are ignored.
+   * @param {Object} change - The state event payload.
+   * @param {string} [change.path] - Path set or deleted.
+   * @param {Array<string>} [change.paths] - Top-level keys of a merge.
+   * @param {string} [change.scope_id] - ID of the state scope the change happened in, if any.
+   * @returns {boolean} True if the change can affect the value at the path.
+   */
+  isWatchedChange({ path, paths, scope_id } = {}) {
+    if (scope_id && scope_id !== this.getStateScope()?.id) {
+      return false;
+    }
+
+    const watched = State.parsePath(this.path);
+
+    return (paths ?? [path]).some((changed) => {
+      if (typeof changed !== 'string') {
+        return false;
+      }
+
+      const parts = State.parsePath(changed);
+      const length = Math.min(parts.length, watched.length);
+
+      return parts.slice(0, length).every((part, index) => part === watched[index]);
+    });
+  }
+
+  /**
+   * Converts the step into its workflow definition form.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables={}] - Registry of functions by name.
+   * @returns {Object} The step definition.
+   */
+  toJSON({ callables = {} } = {}) {
+    return {
+      type: WaitForStateStep.step_name,
+      id: this.id,
+      name: this.name,
+      path: this.path,
+      conditional: toConditionalDefinition(this.conditional_config, callables),
+      timeout_ms: this.timeout_ms ?? undefined,
+      condition_timeout_ms: this.condition_timeout_ms ?? undefined,
+      depends_on: this.depends_on,
+    };
+  }
+}
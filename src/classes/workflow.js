@@ -1,9 +1,28 @@
 import crypto from 'crypto';
 import Base from './base.js';
-import { base_types } from '../enums/index.js';
+import StateScope from './state_scope.js';
+import {
+  ApprovalStep,
+  Case,
+  ConditionalStep,
+  DelayStep,
+  FlowControlStep,
+  LogicStep,
+  LoopStep,
+  ParallelStep,
+  PollStep,
+  Step,
+  SwitchStep,
+  WaitForEventStep,
+  WaitForStateStep,
+} from './steps/index.js';
+import { base_types, failure_strategies } from '../enums/index.js';
+import { mapConditionalLeaves, validateWorkflowDefinition } from '../helpers/index.js';
 
 /**
  * Workflow class for managing and executing a sequence of steps.
+ * When any step declares `depends_on`, the workflow runs its steps as a dependency graph instead,
+ * starting each step as soon as its dependencies have finished.
  * @class Workflow
  * @extends Base
  */
@@ -11,40 +30,256 @@ export default class Workflow extends Base {
   /**
    * Creates a new Workflow instance.
    * @param {Object} options - Configuration options.
+   * @param {string} [options.id] - Stable ID of the workflow. Defaults to a random UUID; checkpoints are saved under this ID.
    * @param {string} [options.name] - Name of the workflow.
    * @param {boolean} [options.exit_on_error=false] - Whether to exit on error.
+   * @param {string} [options.on_failure=failure_strategies.NONE] - What to do when a step fails. `compensate` stops the workflow and undoes completed steps in reverse order.
    * @param {Array<Step>} [options.steps=[]] - Array of steps to add to the workflow.
    * @param {boolean} [options.throw_on_empty=false] - Whether to throw error if workflow is empty.
+   * @param {boolean} [options.pipeline=false] - Whether to pass each callable the workflow input, the previous step's output, and the outputs so far.
+   * @param {boolean} [options.isolated_state=false] - Whether each run gets its own state scope instead of writing to the global State.
+   * @param {boolean} [options.state_read_through=true] - Whether reads missing from an isolated scope fall back to the global State.
+   * @param {CheckpointAdapter|null} [options.checkpoint_adapter=null] - Storage a checkpoint is saved to after each step.
+   * @param {string[]} [options.checkpoint_state_keys=[]] - State paths saved with each checkpoint and restored by `Workflow.restore()`.
    */
   constructor({
+    id,
     name,
     exit_on_error = false,
+    on_failure = failure_strategies.NONE,
     steps = [],
-    throw_on_empty = false
+    throw_on_empty = false,
+    pipeline = false,
+    isolated_state = false,
+    state_read_through = true,
+    checkpoint_adapter = null,
+    checkpoint_state_keys = [],
   }) {
-    super({ name, base_type: base_types.WORKFLOW });
+    super({ id, name, base_type: base_types.WORKFLOW });
 
     this.initializeWorkflowState();
 
     this.addSteps(steps);
 
     this.exit_on_error = exit_on_error;
+    this.on_failure = on_failure;
     this.throw_on_empty = throw_on_empty;
+    this.pipeline = pipeline;
+    this.isolated_state = isolated_state;
+    this.state_read_through = state_read_through;
+    this.checkpoint_adapter = checkpoint_adapter;
+    this.checkpoint_state_keys = checkpoint_state_keys;
     this.sessions = {};
     this.current_session_id = null;
+    this.callables = {};
+  }
+
+  /**
+   * Builds a workflow from a definition that has already been validated.
+   * @static
+   * @param {Object} definition - The workflow definition.
+   * @param {Object} callables - Registry of functions by name.
+   * @returns {Workflow} The workflow.
+   */
+  static createFromDefinition({ version, $schema, steps = [], ...options }, callables) {
+    const workflow = new this({
+      ...options,
+      steps: steps.map(step => Workflow.createStepFromDefinition(step, callables)),
+    });
+    workflow.callables = callables;
+
+    return workflow;
+  }
+
+  /**
+   * Builds a step from a definition that has already been validated, resolving its callable references.
+   * @static
+   * @param {Object} definition - The step definition. `type` is a value from the sub_step_types enum.
+   * @param {Object} callables - Registry of functions by name.
+   * @returns {Step} The step.
+   */
+  static createStepFromDefinition({ type, ...options }, callables) {
+    const step_classes = {
+      [Step.step_name]: Step,
+      [LogicStep.step_name]: LogicStep,
+      [ConditionalStep.step_name]: ConditionalStep,
+      [FlowControlStep.step_name]: FlowControlStep,
+      [LoopStep.step_name]: LoopStep,
+      [SwitchStep.step_name]: SwitchStep,
+      [Case.step_name]: Case,
+      [DelayStep.step_name]: DelayStep,
+      [ParallelStep.step_name]: ParallelStep,
+      [PollStep.step_name]: PollStep,
+      [WaitForEventStep.step_name]: WaitForEventStep,
+      [WaitForStateStep.step_name]: WaitForStateStep,
+      [ApprovalStep.step_name]: ApprovalStep,
+    };
+    const resolved = { ...options };
+
+    for (const key of ['callable', 'true_callable', 'false_callable', 'default_callable', 'compensate', 'probe', 'fallback_callable', 'approve_callable', 'reject_callable']) {
+      resolved[key] = Workflow.resolveCallableReference(options[key], callables);
+    }
+
+    for (const key of ['iterable', 'subject', 'initial_value']) {
+      if (key in options) {
+        resolved[key] = Workflow.resolveValueReference(options[key], callables);
+      }
+    }
+
+    if (options.conditional) {
+      resolved.conditional = mapConditionalLeaves(options.conditional, leaf => ({
+        ...leaf,
+        subject: Workflow.resolveValueReference(leaf.subject, callables),
+        value: Workflow.resolveValueReference(leaf.value, callables),
+      }));
+    }
+
+    if (options.values) {
+      resolved.values = options.values.map(value => Workflow.resolveValueReference(value, callables));
+    }
+
+    if (options.retry_policy?.retry_on) {
+      resolved.retry_policy = { ...options.retry_policy, retry_on: callables[options.retry_policy.retry_on] };
+    }
+
+    if (options.cases) {
+      resolved.cases = options.cases.map(switch_case => Workflow.createStepFromDefinition(switch_case, callables));
+    }
+
+    if (options.callables) {
+      resolved.callables = options.callables.map(reference => Workflow.resolveCallableReference(reference, callables));
+    }
+
+    return new step_classes[type](resolved);
+  }
+
+  /**
+   * Builds a workflow from a JSON definition, as produced by `toJSON()`.
+   * Function names in the definition are looked up in `callables`.
+   * @static
+   * @param {Object|string} definition - The workflow definition, or its JSON string.
+   * @param {Object} [options={}] - Loader options.
+   * @param {Object} [options.callables={}] - Registry of the functions the definition refers to, by name.
+   * @returns {Workflow} The workflow. It keeps `callables` so `toJSON()` can name its functions again.
+   * @throws {Error} Throws if the definition is invalid. The message gives the path of every problem.
+   */
+  static fromJSON(definition, { callables = {} } = {}) {
+    const parsed = typeof definition === 'string' ? JSON.parse(definition) : definition;
+
+    this.validateDefinition(parsed, { callables });
+
+    return this.createFromDefinition(parsed, callables);
+  }
+
+  /**
+   * Resolves a callable reference from a definition.
+   * @static
+   * @param {string|Object|undefined} reference - A registry name, or a nested step or workflow definition.
+   * @param {Object} callables - Registry of functions by name.
+   * @returns {Function|Step|Workflow|undefined} The callable, or undefined if the reference is unset.
+   */
+  static resolveCallableReference(reference, callables) {
+    if (reference === undefined || reference === null) {
+      return undefined;
+    }
+
+    if (typeof reference === 'string') {
+      return callables[reference];
+    }
+
+    return Array.isArray(reference.steps)
+      ? Workflow.createFromDefinition(reference, callables)
+      : Workflow.createStepFromDefinition(reference, callables);
+  }
+
+  /**
+   * Resolves a value from a definition. `{ $callable: name }` becomes the function of that name.
+   * @static
+   * @param {*} value - The value.
+   * @param {Object} callables - Registry of functions by name.
+   * @returns {*} The resolved value.
+   */
+  static resolveValueReference(value, callables) {
+    return value && typeof value === 'object' && '$callable' in value ? callables[value.$callable] : value;
+  }
+
+  /**
+   * Rebuilds a workflow from its definition and the checkpoint saved under its ID.
+   * Call `execute()` on the returned workflow to continue from the first unfinished step.
+   * @static
+   * @async
+   * @param {string} id - ID of the workflow the checkpoint was saved under.
+   * @param {CheckpointAdapter} adapter - Storage the checkpoint was saved to. The restored workflow keeps saving to it.
+   * @param {Object} [definition={}] - Constructor options for the workflow, including its steps. Steps are matched to the checkpoint by ID, then by name.
+   * @returns {Promise<Workflow>} The restored workflow.
+   * @throws {Error} Throws if no checkpoint exists for the ID.
+   */
+  static async restore(id, adapter, definition = {}) {
+    const checkpoint = await adapter.load(id);
+
+    if (!checkpoint) {
+      throw new Error(`No checkpoint found for workflow ${id}`);
+    }
+
+    const workflow = new this({ ...definition, id, checkpoint_adapter: adapter });
+    workflow.applyCheckpoint(checkpoint);
+
+    return workflow;
+  }
+
+  /**
+   * Checks a workflow definition against the workflow definition schema without building it.
+   * @static
+   * @param {Object} definition - The workflow definition.
+   * @param {Object} [options={}] - Validation options.
+   * @param {Object} [options.callables] - Registry the definition's function names must resolve against. Names are not checked without it.
+   * @throws {Error} Throws if the definition is invalid. The message gives the path of every problem,
+   * and the error's `errors` property holds them as `{ path, message }` objects.
+   */
+  static validateDefinition(definition, { callables } = {}) {
+    validateWorkflowDefinition(definition, { callables });
   }
 
   /**
    * Executes the workflow by running all steps in sequence.
+   * Each step receives the workflow's abort signal, so `cancel()` stops the running step as well as the loop.
+   * The last step's output is stored in `output`, separately from the `results` log.
+   * With a checkpoint adapter, a checkpoint is saved after every step and once more when the run ends.
+   * A checkpoint that cannot be saved after a step fails the workflow; save errors are recorded in `results`.
    * @async
+   * @param {*} [input=null] - Input for the run. Pipeline workflows pass it to every callable.
    * @returns {Promise<Workflow>} The workflow instance with execution results.
    * @throws {Error} Throws if workflow is empty and throw_on_empty is true.
+   * @throws {Error} Throws if a step dependency cannot be resolved.
    */
-  async execute() {
+  async execute(input = null) {
+    // Resolve the graph up front so unknown dependencies fail before the workflow starts running
+    const execution_order = this.isGraph() ? this.getExecutionOrder() : null;
+
     if (!this.current_session_id) {
       this.current_session_id = crypto.randomUUID();
+      this.input = input;
+      this.output = null;
+      this.results_by_name = {};
+      this.completed_steps = [];
+    } else {
+      // Paused and restored sessions keep their progress and input
+      this.input = input ?? this.input;
     }
 
+    if (this.isolated_state && !this.state_scope) {
+      this.state_scope = new StateScope({ id: this.current_session_id, read_through: this.state_read_through });
+    }
+
+    const session_id = this.current_session_id;
+
+    this.should_cancel = false;
+    this.cancel_reason = null;
+    this.abort_controller = new AbortController();
+    this.interrupted_steps = [];
+    this.error = null;
+    this.compensation_errors = [];
+
     if (this.isEmpty()) {
       if (this.throw_on_empty) {
         throw new Error('Cannot execute an empty workflow');
@@ -57,7 +292,181 @@ export default class Workflow extends Base {
   
     this.markAsRunning();
 
-    for (let i = 0; i < this._steps.length; i++) {
+    if (execution_order) {
+      await this.executeGraph(execution_order);
+    } else {
+      await this.executeSequence();
+    }
+
+    try {
+      await this.saveCheckpoint(session_id);
+    } catch (error) {
+      this.prepareResult('Workflow checkpoint failed', { error });
+    }
+
+    return this;
+  }
+
+  /**
+   * Executes the steps as a dependency graph. Independent branches run concurrently and each step
+   * starts once all of its dependencies have finished. With exit_on_error, a failed step cancels
+   * only its downstream dependents; unrelated branches keep running.
+   * @async
+   * @param {Step[]} [execution_order=this.getExecutionOrder()] - Topologically ordered steps.
+   * @returns {Promise<Workflow>} The workflow instance with execution results.
+   */
+  async executeGraph(execution_order = this.getExecutionOrder()) {
+    const { COMPLETE, FAILED } = this.getState('statuses.step');
+    const SKIPPED = this.getState('statuses.workflow').SKIPPED;
+    const dependencies = new Map(execution_order.map(step => [step.id, this.getStepDependencies(step)]));
+    // Steps finished in an earlier run of this session (e.g. before a restore) count as complete
+    const outcomes = Object.fromEntries(this.completed_steps.map(id => [id, COMPLETE]));
+    const running = new Map();
+    const compensating = this.on_failure === failure_strategies.COMPENSATE;
+    let has_failed = false;
+    let first_error = null;
+    let checkpoint_error = null;
+
+    const launch = (step) => {
+      this.current_step = step.id;
+      this.running_steps.push(step.id);
+
+      const promise = this.step(step.id)
+        .then((step_result) => {
+          outcomes[step.id] = COMPLETE;
+
+          if (this.should_pause) {
+            this.interrupted_steps.push(step.id);
+          }
+
+          if (!this.should_cancel) {
+            this.prepareResult('Success', step_result);
+          }
+        }, (error) => {
+          outcomes[step.id] = FAILED;
+          has_failed = true;
+          first_error ??= error;
+          this.prepareResult(`Workflow execution failed at step ${step.name} - ${step.id}`, { error });
+        })
+        .then(() => {
+          this.running_steps = this.running_steps.filter(id => id !== step.id);
+          return this.saveCheckpoint();
+        })
+        // A failed save is recorded here so it cannot reject the race that schedules the other steps
+        .catch((error) => {
+          checkpoint_error ??= error;
+          this.prepareResult(`Workflow checkpoint failed after step ${step.name} - ${step.id}`, { error });
+        })
+        .finally(() => running.delete(step.id));
+
+      running.set(step.id, promise);
+    };
+
+    while (true) {
+      let progressed = true;
+
+      // With compensation, a failure stops new steps from starting; running ones finish before the rollback
+      while (progressed && !this.should_break && !this.should_pause && !this.should_cancel && !checkpoint_error && !(has_failed && compensating)) {
+        progressed = false;
+
+        for (const step of execution_order) {
+          if (outcomes[step.id] || running.has(step.id)) {
+            continue;
+          }
+
+          const step_dependencies = dependencies.get(step.id);
+
+          if (!step_dependencies.every(dependency => outcomes[dependency.id])) {
+            continue;
+          }
+
+          const upstream = step_dependencies.find(dependency => outcomes[dependency.id] !== COMPLETE);
+
+          if (upstream && this.exit_on_error) {
+            outcomes[step.id] = SKIPPED;
+            this.prepareResult(
+              `Step ${step.name} - ${step.id} skipped because upstream step ${upstream.name} - ${upstream.id} did not complete`,
+              { skipped: true, step_id: step.id, upstream_step_id: upstream.id }
+            );
+            this.log(
+              this.getState('event_names.workflow').WORKFLOW_STEP_SKIPPED,
+              `Workflow "${this.name}" skipping step ${step.name} - ${step.id}, upstream step ${upstream.name} did not complete.`
+            );
+            progressed = true;
+            continue;
+          }
+
+          if (this.should_skip) {
+            outcomes[step.id] = SKIPPED;
+            this.should_skip = false;
+            this.log(
+              this.getState('event_names.workflow').WORKFLOW_STEP_SKIPPED,
+              `Workflow "${this.name}" skipping step ${step.name} - ${step.id}.`
+            );
+            progressed = true;
+            continue;
+          }
+
+          launch(step);
+          progressed = true;
+        }
+      }
+
+      if (!running.size) {
+        break;
+      }
+
+      await Promise.race(running.values());
+    }
+
+    if (this.should_cancel) {
+      this.prepareResult('Workflow cancelled', { reason: this.cancel_reason, step_id: this.current_step });
+      this.markAsCancelled();
+      return this;
+    }
+
+    if (checkpoint_error) {
+      this.markAsFailed();
+      return this;
+    }
+
+    if (has_failed && compensating) {
+      await this.compensate(first_error);
+      return this;
+    }
+
+    if (this.should_break) {
+      this.log(this.getState('event_names.workflow').WORKFLOW_BREAK_EXECUTED, `Workflow "${this.name}" execution broken.`);
+    }
+
+    if (this.should_pause) {
+      const cursor = this._steps.findIndex(step => !outcomes[step.id]);
+      this.cursor = cursor === -1 ? this._steps.length : cursor;
+      this.markAsPaused();
+      this.should_pause = false;
+      return this;
+    }
+
+    if (has_failed && this.exit_on_error) {
+      this.markAsFailed();
+      return this;
+    }
+
+    this.markAsComplete();
+    return this;
+  }
+
+  /**
+   * Executes the steps one after another, starting at `cursor`.
+   * @async
+   * @returns {Promise<Workflow>} The workflow instance with execution results.
+   */
+  async executeSequence() {
+    for (let i = this.cursor; i < this._steps.length; i++) {
+      if (this.should_cancel) {
+        break;
+      }
+
       if (this.should_break) {
         this.log(this.getState('event_names.workflow').WORKFLOW_BREAK_EXECUTED, `Workflow "${this.name}" execution broken at step ${this._steps[i].name} - ${this._steps[i].id}.`);
         break;
@@ -76,58 +485,137 @@ export default class Workflow extends Base {
 
       try {
         const step_result = await this.step();
-        this.prepareResult('Success', step_result);
+
+        if (!this.should_cancel) {
+          this.prepareResult('Success', step_result);
+        }
       } catch (error) {
-        this.markAsFailed();
-        this.prepareResult(`Workflow execution failed at step ${this.steps_by_id[this.current_step].name} - ${this.current_step}`, { error });
-  
+        const message = `Workflow execution failed at step ${this.steps_by_id[this.current_step].name} - ${this.current_step}`;
+
+        if (this.on_failure === failure_strategies.COMPENSATE) {
+          this.prepareResult(message, { error });
+          await this.compensate(error);
+          return this;
+        }
+
+        this.prepareResult(message, { error });
+
         if (this.exit_on_error) {
+          this.markAsFailed();
           return this;
         }
+
+        // The run carries on, so WORKFLOW_FAILED is emitted without closing the session and its state scope
+        super.markAsFailed();
+      }
+
+      try {
+        await this.saveCheckpoint();
+      } catch (error) {
+        this.prepareResult(`Workflow checkpoint failed after step ${this._steps[i].name} - ${this._steps[i].id}`, { error });
+        this.markAsFailed();
+        return this;
       }
 
       if (this.should_pause) {
+        this.cursor = i + 1;
+        this.interrupted_steps = [this._steps[i].id];
         this.markAsPaused();
         this.should_pause = false;
         return this;
       }
     }
 
+    if (this.should_cancel) {
+      this.prepareResult('Workflow cancelled', { reason: this.cancel_reason, step_id: this.current_step });
+      this.markAsCancelled();
+      return this;
+    }
+
     this.markAsComplete();
     return this;
   }
 
   /**
-   * Resumes a paused workflow.
+   * Cancels the workflow. A running or waiting workflow aborts its running steps and stops before starting another;
+   * a workflow that is paused or has not started yet is marked as cancelled straight away.
+   * @param {*} [reason] - Why the workflow was cancelled. Used as the abort reason and recorded in the session snapshot.
+   * @returns {Workflow} The workflow instance.
+   */
+  cancel(reason = `Workflow "${this.name}" was cancelled`) {
+    const { CANCELLED, COMPENSATED, COMPENSATION_FAILED, COMPLETE, FAILED, RUNNING, WAITING } = this.getState('statuses.workflow');
+
+    if ([CANCELLED, COMPENSATED, COMPENSATION_FAILED, COMPLETE, FAILED].includes(this.status)) {
+      return this;
+    }
+
+    this.should_cancel = true;
+    this.cancel_reason = reason;
+    this.abort_controller?.abort(reason);
+
+    if (![RUNNING, WAITING].includes(this.status)) {
+      this.markAsCancelled();
+    }
+
+    return this;
+  }
+
+  /**
+   * Resumes a paused workflow from where it stopped. Steps that completed before the pause are not run again.
    * @async
+   * @param {Object} [options={}] - Resume options.
+   * @param {boolean} [options.rerun_interrupted_step=false] - Whether to run the step that was executing when the workflow paused again,
+   * instead of continuing after it.
    * @returns {Promise<Workflow>} The workflow instance.
    */
-  async resume() {
+  async resume({ rerun_interrupted_step = false } = {}) {
     this.should_pause = false;
-    this.timing.resume_time = new Date();
 
-    this.getState('events.workflow').emit(
-      this.getState('event_names.workflow').WORKFLOW_RESUMED,
-      this.getState()
-    );
-    return this.execute();
+    if (rerun_interrupted_step && this.interrupted_steps.length) {
+      const indexes = this.interrupted_steps.map(id => this._steps.findIndex(step => step.id === id)).filter(index => index !== -1);
+
+      this.completed_steps = this.completed_steps.filter(id => !this.interrupted_steps.includes(id));
+      this.cursor = Math.min(this.cursor, ...indexes);
+    }
+
+    const step = this._steps[this.cursor];
+    this.resume_position = {
+      index: this.cursor,
+      step_id: step?.id ?? null,
+      step_name: step?.name ?? null,
+      interrupted_steps: [...this.interrupted_steps],
+      rerun_interrupted_step,
+    };
+
+    this.markAsResumed();
+    return this.execute(this.input);
   }
 
   /**
-   * Executes a single step in the workflow.
+   * Executes a single step in the workflow and records its output.
    * @async
+   * @param {string} [step_id=this.current_step] - ID of the step to execute.
    * @returns {Promise<*>} The result of the step execution.
    */
-  async step() {
-    const step = this.steps_by_id[this.current_step];
+  async step(step_id = this.current_step) {
+    const step = this.steps_by_id[step_id];
 
     step.parentWorkflowId = this.id;
-    const result = await step.execute();
+    const result = await step.execute(this.getStepContext(step));
 
     if (step.status === this.getState('statuses.step.FAILED')) {
       throw step.errors[step.errors.length - 1] ?? new Error(`Step "${step.name}" failed`);
     }
 
+    if (step.status !== this.getState('statuses.step.CANCELLED')) {
+      this.output = this.getStepOutput(result);
+      this.results_by_name[step.name] = this.output;
+
+      if (!this.completed_steps.includes(step.id)) {
+        this.completed_steps.push(step.id);
+      }
+    }
+
     return result;
   }
 
@@ -135,6 +623,7 @@ export default class Workflow extends Base {
    * Adds a step to the workflow.
    * @param {Step} step - The step to add.
    * @throws {Error} Throws if step is not a valid Step instance.
+   * @throws {Error} Throws if the step's dependencies would create a cycle.
    */
   addStep(step) {
     if (typeof step.getCallableType !== 'function') {
@@ -149,6 +638,8 @@ export default class Workflow extends Base {
       this.steps_by_id = {};
     }
 
+    this.assertAcyclic([...this._steps, step]);
+
     this.steps_by_id[step.id] = step;
 
     step.parentWorkflowId = this.id;
@@ -165,6 +656,8 @@ export default class Workflow extends Base {
       this.steps_by_id = {};
     }
 
+    this.assertAcyclic([...this._steps, step]);
+
     this.steps_by_id[step.id] = step;
     step.parentWorkflowId = this.id;
     this._steps.splice(index, 0, step);
@@ -178,6 +671,81 @@ export default class Workflow extends Base {
     steps.forEach(step => this.addStep(step));
   }
 
+  /**
+   * Applies a saved checkpoint: restores the session, results, outputs, input, state keys and pending approvals,
+   * and moves the cursor to the first step that has not completed.
+   * @param {Object} checkpoint - A checkpoint produced by createCheckpoint.
+   */
+  applyCheckpoint(checkpoint) {
+    this.completed_steps = (checkpoint.completed_steps ?? [])
+      .map(({ id, name }) => this.resolveStepReference(id) ?? this.resolveStepReference(name))
+      .filter(Boolean)
+      .map(step => step.id);
+
+    this.current_session_id = checkpoint.session_id ?? crypto.randomUUID();
+    this.results = [...(checkpoint.results ?? [])];
+    this.results_by_name = { ...checkpoint.results_by_name };
+    this.input = checkpoint.input ?? null;
+    this.output = checkpoint.output ?? null;
+
+    const cursor = this._steps.findIndex(step => !this.completed_steps.includes(step.id));
+    this.cursor = cursor === -1 ? this._steps.length : cursor;
+
+    if (this.isolated_state) {
+      this.state_scope = new StateScope({ id: this.current_session_id, read_through: this.state_read_through });
+    }
+
+    Object.entries(checkpoint.state ?? {}).forEach(([path, value]) => this.setState(path, value));
+
+    (checkpoint.approvals ?? []).forEach((request) => {
+      const step = this.resolveStepReference(request.step_id) ?? this.resolveStepReference(request.step_name);
+      step?.restoreApprovalRequest?.(request);
+    });
+
+    this.log(
+      this.getState('event_names.workflow').WORKFLOW_RESTORED,
+      `Workflow "${this.name}" restored with ${this.completed_steps.length} of ${this._steps.length} steps complete.`
+    );
+  }
+
+  /**
+   * Checks a set of steps for circular dependencies.
+   * Dependencies that do not resolve to one of the given steps are ignored here; they are reported at execution time.
+   * @param {Step[]} [steps=this._steps] - The steps to check.
+   * @throws {Error} Throws if the dependencies form a cycle.
+   */
+  assertAcyclic(steps = this._steps) {
+    const resolve = (reference) => steps.find(step => step.id === reference) ?? steps.find(step => step.name === reference);
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (step, path) => {
+      if (visiting.has(step.id)) {
+        const cycle = [...path.slice(path.indexOf(step)), step].map(node => node.name).join(' -> ');
+        throw new Error(`Circular dependency detected: ${cycle}`);
+      }
+
+      if (visited.has(step.id)) {
+        return;
+      }
+
+      visiting.add(step.id);
+
+      for (const reference of step.depends_on ?? []) {
+        const dependency = resolve(reference);
+
+        if (dependency) {
+          visit(dependency, [...path, step]);
+        }
+      }
+
+      visiting.delete(step.id);
+      visited.add(step.id);
+    };
+
+    steps.forEach(step => visit(step, []));
+  }
+
   /**
    * Clears all steps from the workflow.
    */
@@ -186,7 +754,7 @@ export default class Workflow extends Base {
   }
 
   /**
-   * Closes the current session and stores a snapshot of the workflow state.
+   * Closes the current session, stores a snapshot of the workflow state, and disposes the session's state scope.
    */
   closeCurrentSession() {
     if (!this.current_session_id) {
@@ -197,9 +765,84 @@ export default class Workflow extends Base {
       results: [...this.results],
       status: this.status,
       timing: { ...this.timing },
+      cancel_reason: this.cancel_reason,
+      error: this.error,
+      compensation_errors: [...this.compensation_errors],
+      output: this.output,
+      state: this.state_scope ? { ...this.state_scope.store } : null,
       closed_at: new Date()
     };
     this.current_session_id = null;
+    this.cursor = 0;
+
+    this.state_scope?.dispose();
+    this.state_scope = null;
+  }
+
+  /**
+   * Undoes the completed steps after a failure by running their `compensate` callables in reverse completion order.
+   * Each outcome is recorded in `results`. A failed compensation does not stop the others; its error is collected
+   * in `compensation_errors` while the original failure stays in `error`.
+   * @async
+   * @param {Error} error - The error that made the workflow fail.
+   * @returns {Promise<Workflow>} The workflow instance, marked as compensated or compensation failed.
+   */
+  async compensate(error) {
+    this.error = error;
+    this.compensation_errors = [];
+
+    const steps = [...this.completed_steps]
+      .reverse()
+      .map(id => this.resolveStepReference(id))
+      .filter(step => step?.compensate);
+
+    this.log(
+      this.getState('event_names.workflow').WORKFLOW_COMPENSATING,
+      `Workflow "${this.name}" compensating ${steps.length} completed steps after error: ${error?.message ?? error}`
+    );
+
+    for (const step of steps) {
+      step.parentWorkflowId = this.id;
+
+      try {
+        const result = await step.runCompensation({ input: this.input, result: this.results_by_name[step.name], error });
+        this.prepareResult(`Compensated step ${step.name} - ${step.id}`, { compensated: true, step_id: step.id, result });
+      } catch (compensation_error) {
+        this.compensation_errors.push(compensation_error);
+        this.prepareResult(`Compensation failed for step ${step.name} - ${step.id}`, { compensated: false, step_id: step.id, error: compensation_error });
+      }
+    }
+
+    this.markAsCompensated();
+    return this;
+  }
+
+  /**
+   * Builds a serializable snapshot of the workflow's progress.
+   * Step and workflow instances in the results are reduced to their ID, name, status and output.
+   * @param {string|null} [session_id=this.current_session_id] - The session the checkpoint belongs to.
+   * @returns {Object} The checkpoint.
+   */
+  createCheckpoint(session_id = this.current_session_id) {
+    const summarize = (data) => data instanceof Base
+      ? { id: data.id, name: data.name, base_type: data.base_type, status: data.status, output: this.getStepOutput(data) }
+      : data;
+
+    return {
+      version: 1,
+      workflow_id: this.id,
+      workflow_name: this.name,
+      session_id,
+      status: this.status,
+      completed_steps: this.completed_steps.map(id => ({ id, name: this.resolveStepReference(id)?.name ?? null })),
+      results: this.results.map(({ message, data }) => ({ message, data: summarize(data) })),
+      results_by_name: { ...this.results_by_name },
+      input: this.input,
+      output: this.output,
+      state: this.getCheckpointState(),
+      approvals: this.getPendingApprovals(),
+      saved_at: new Date().toISOString(),
+    };
   }
 
   /**
@@ -218,6 +861,131 @@ export default class Workflow extends Base {
     this._steps.splice(index, 1);
   }
 
+  /**
+   * Removes a step from the steps waiting for a signal. The workflow is marked as running again once none are left.
+   * @param {Step} step - The step that stopped waiting.
+   */
+  endWaiting(step) {
+    const { RUNNING, WAITING } = this.getState('statuses.workflow');
+
+    delete this.waiting_steps[step.id];
+
+    if (this.status === WAITING && !Object.keys(this.waiting_steps).length) {
+      this.status = RUNNING;
+    }
+  }
+
+  /**
+   * Collects the state saved with a checkpoint: the `checkpoint_state_keys` paths,
+   * or the whole isolated state scope when no keys are configured.
+   * @returns {Object} The state values keyed by path.
+   */
+  getCheckpointState() {
+    if (!this.checkpoint_state_keys.length) {
+      return this.state_scope ? { ...this.state_scope.store } : {};
+    }
+
+    return Object.fromEntries(this.checkpoint_state_keys.map(path => [path, this.getState(path)]));
+  }
+
+  /**
+   * Lists the approval requests the workflow is waiting on, including those of steps nested in other steps.
+   * @returns {Object[]} The requests, as returned by `ApprovalStep.getApprovalRequest()`.
+   */
+  getPendingApprovals() {
+    return Object.values(this.waiting_steps)
+      .filter(step => typeof step.getApprovalRequest === 'function')
+      .map(step => step.getApprovalRequest());
+  }
+
+  /**
+   * Computes a topological order for the workflow's steps.
+   * Steps without dependencies keep their relative position.
+   * @returns {Step[]} The steps ordered so that every step comes after its dependencies.
+   * @throws {Error} Throws if a dependency cannot be resolved or the dependencies form a cycle.
+   */
+  getExecutionOrder() {
+    this.assertAcyclic();
+
+    const order = [];
+    const placed = new Set();
+
+    const place = (step) => {
+      if (placed.has(step.id)) {
+        return;
+      }
+
+      placed.add(step.id);
+      this.getStepDependencies(step).forEach(place);
+      order.push(step);
+    };
+
+    this._steps.forEach(place);
+
+    return order;
+  }
+
+  /**
+   * Resolves a step's `depends_on` references to step instances.
+   * @param {Step} step - The step whose dependencies should be resolved.
+   * @returns {Step[]} The dependency steps.
+   * @throws {Error} Throws if a dependency does not match any step ID or name in the workflow.
+   */
+  getStepDependencies(step) {
+    return (step.depends_on ?? []).map(reference => {
+      const dependency = this.resolveStepReference(reference);
+
+      if (!dependency) {
+        throw new Error(`Unknown dependency "${reference}" for step ${step.name} - ${step.id}`);
+      }
+
+      return dependency;
+    });
+  }
+
+  /**
+   * Builds the context passed to a step's execute method.
+   * Every step gets the abort signal; pipeline workflows also pass the workflow input, the previous step's output,
+   * and the outputs so far keyed by step name. In graph mode the previous output is that of the step's last declared dependency.
+   * @param {Step} step - The step about to run.
+   * @returns {Object} The execution context.
+   */
+  getStepContext(step) {
+    const context = { signal: this.abort_controller?.signal };
+
+    if (!this.pipeline) {
+      return context;
+    }
+
+    let previous_result = this.output;
+
+    if (this.isGraph()) {
+      const dependency = this.getStepDependencies(step).at(-1);
+      previous_result = dependency ? this.results_by_name[dependency.name] : null;
+    }
+
+    return {
+      ...context,
+      input: this.input,
+      previous_result,
+      results: { ...this.results_by_name },
+    };
+  }
+
+  /**
+   * Extracts a step's output from what its execute method returned.
+   * Steps return themselves (or their inner Step), so the output is their `result`; nested workflows expose `output`.
+   * @param {Step|Workflow} step_result - The value returned by the step's execute method.
+   * @returns {*} The step's output.
+   */
+  getStepOutput(step_result) {
+    if (step_result?.base_type === base_types.WORKFLOW) {
+      return step_result.output;
+    }
+
+    return step_result?.result;
+  }
+
   /**
    * Initializes the workflow state with default values.
    */
@@ -225,6 +993,22 @@ export default class Workflow extends Base {
     this.results = [];
     this.exit_on_error = false;
     this.current_step = null;
+    this.running_steps = [];
+    this.waiting_steps = {};
+    this.completed_steps = [];
+    this.cursor = 0;
+    this.interrupted_steps = [];
+    this.resume_position = null;
+    this.checkpoint_write = null;
+    this.input = null;
+    this.output = null;
+    this.results_by_name = {};
+    this.error = null;
+    this.compensation_errors = [];
+    this.abort_controller = null;
+    this.state_scope = null;
+    this.cancel_reason = null;
+    this.should_cancel = false;
     this.should_break = false;
     this.should_continue = false;
     this.should_pause = false;
@@ -249,6 +1033,14 @@ export default class Workflow extends Base {
     );
   }
 
+  /**
+   * Checks if any step declares dependencies, meaning the workflow runs as a dependency graph.
+   * @returns {boolean} True if the workflow runs in graph mode.
+   */
+  isGraph() {
+    return !!this._steps && this._steps.some(step => step.depends_on?.length);
+  }
+
   /**
    * Checks if the workflow has no steps.
    * @returns {boolean} True if the workflow is empty.
@@ -257,6 +1049,36 @@ export default class Workflow extends Base {
     return !this._steps || !this._steps.length
   }
 
+  /**
+   * Marks the workflow as cancelled and closes the current session.
+   */
+  markAsCancelled() {
+    super.markAsCancelled();
+    this.closeCurrentSession();
+  }
+
+  /**
+   * Marks the workflow as compensated, or as compensation failed if any compensation threw, and closes the current session.
+   */
+  markAsCompensated() {
+    const { COMPENSATED, COMPENSATION_FAILED } = this.getState('statuses.workflow');
+    const event_names = this.getState('event_names.workflow');
+    const failed = this.compensation_errors.length > 0;
+
+    this.timing.complete_time = new Date();
+    this.timing.execution_time_ms = this.timing.complete_time - this.timing.start_time;
+    this.status = failed ? COMPENSATION_FAILED : COMPENSATED;
+
+    this.log(
+      failed ? event_names.WORKFLOW_COMPENSATION_FAILED : event_names.WORKFLOW_COMPENSATED,
+      failed
+        ? `Workflow "${this.name}" compensation failed for ${this.compensation_errors.length} steps.`
+        : `Workflow "${this.name}" compensated.`
+    );
+
+    this.closeCurrentSession();
+  }
+
   /**
    * Marks the workflow as complete and closes the current session.
    */
@@ -302,18 +1124,36 @@ export default class Workflow extends Base {
   }
   
   /**
-   * Marks the workflow as resumed.
+   * Marks the workflow as resumed. The event carries the workflow, including its `resume_position`.
    */
   markAsResumed() {
     this.timing.resume_time = new Date();
     this.status = this.getState('statuses.workflow').RUNNING;
 
-    this.getState('events.workflow').emit(
+    this.log(
       this.getState('event_names.workflow').WORKFLOW_RESUMED,
-      this.getState()
+      `Workflow "${this.name}" resumed at step ${this.resume_position?.step_name ?? this.cursor}.`
     );
   }
 
+  /**
+   * Marks the workflow as waiting for a signal to the given step, and saves a checkpoint so the request survives a restart.
+   * @async
+   * @param {Step} step - The step that is waiting.
+   * @returns {Promise<void>}
+   */
+  async markAsWaiting(step) {
+    this.waiting_steps[step.id] = step;
+    this.status = this.getState('statuses.workflow').WAITING;
+
+    this.log(
+      this.getState('event_names.workflow').WORKFLOW_WAITING,
+      `Workflow "${this.name}" waiting on step ${step.name} - ${step.id}.`
+    );
+
+    await this.saveCheckpoint();
+  }
+
   /**
    * Moves a step from one index to another.
    * @param {number} fromIndex - The current index of the step.
@@ -359,6 +1199,15 @@ export default class Workflow extends Base {
     this.results.push({ message, data });
   }
 
+  /**
+   * Finds a step in the workflow by ID, falling back to name.
+   * @param {string} reference - The ID or name of the step.
+   * @returns {Step|undefined} The matching step, if any.
+   */
+  resolveStepReference(reference) {
+    return this._steps.find(step => step.id === reference) ?? this._steps.find(step => step.name === reference);
+  }
+
   /**
    * Adds a step to the end of the workflow.
    * @param {Step} step - The step to add.
@@ -375,6 +1224,33 @@ export default class Workflow extends Base {
     steps.forEach(step => this.addStep(step));
   }
 
+  /**
+   * Saves a checkpoint to the checkpoint adapter, if one is configured.
+   * Writes are queued so checkpoints from concurrent graph steps land in the order they were taken.
+   * @async
+   * @param {string|null} [session_id=this.current_session_id] - The session the checkpoint belongs to.
+   * @returns {Promise<Object|null>} The saved checkpoint, or null without an adapter.
+   */
+  async saveCheckpoint(session_id = this.current_session_id) {
+    if (!this.checkpoint_adapter) {
+      return null;
+    }
+
+    const checkpoint = this.createCheckpoint(session_id);
+
+    this.checkpoint_write = Promise.resolve(this.checkpoint_write)
+      .catch(() => {})
+      .then(() => this.checkpoint_adapter.save(this.id, checkpoint));
+    await this.checkpoint_write;
+
+    this.log(
+      this.getState('event_names.workflow').WORKFLOW_CHECKPOINT_SAVED,
+      `Workflow "${this.name}" checkpoint saved with ${checkpoint.completed_steps.length} of ${this._steps.length} steps complete.`
+    );
+
+    return checkpoint;
+  }
+
   /**
    * Removes and returns the first step from the workflow.
    * @returns {Step} The first step.
@@ -383,6 +1259,52 @@ export default class Workflow extends Base {
     return this._steps.shift();
   }
 
+  /**
+   * Sends a signal, such as an approver's decision, to a step the workflow is waiting on, then saves a checkpoint.
+   * @async
+   * @param {string} step_id - ID or name of the waiting step.
+   * @param {Object} payload - The signal. For an ApprovalStep, `{ decision, approver, comment }`.
+   * @returns {Promise<Step>} The step the signal was sent to.
+   * @throws {Error} Throws if no waiting step matches, or the step rejects the signal.
+   */
+  async signal(step_id, payload) {
+    const waiting = Object.values(this.waiting_steps);
+    const step = waiting.find(step => step.id === step_id) ?? waiting.find(step => step.name === step_id);
+
+    if (!step) {
+      throw new Error(`Workflow "${this.name}" has no step "${step_id}" waiting for a signal`);
+    }
+
+    step.signal(payload);
+    await this.saveCheckpoint();
+
+    return step;
+  }
+
+  /**
+   * Converts the workflow into a JSON definition that `Workflow.fromJSON()` can load.
+   * Functions are referenced by their name in `callables`. Checkpoint adapters are not part of the definition.
+   * @param {Object} [options={}] - Serialization options.
+   * @param {Object} [options.callables=this.callables] - Registry of functions by name. Defaults to the registry the workflow was loaded with.
+   * @returns {Object} The workflow definition.
+   * @throws {Error} Throws if a function is not in `callables`.
+   */
+  toJSON({ callables = this.callables } = {}) {
+    return {
+      version: 1,
+      id: this.id,
+      name: this.name,
+      exit_on_error: this.exit_on_error,
+      on_failure: this.on_failure,
+      throw_on_empty: this.throw_on_empty,
+      pipeline: this.pipeline,
+      isolated_state: this.isolated_state,
+      state_read_through: this.state_read_through,
+      checkpoint_state_keys: this.checkpoint_state_keys,
+      steps: this._steps.map(step => step.toJSON({ callables })),
+    };
+  }
+
   /**
    * Adds a step to the beginning of the workflow.
    * @param {Step} step - The step to add.
@@ -397,6 +1319,8 @@ export default class Workflow extends Base {
       this.steps_by_id = {};
     }
 
+    this.assertAcyclic([step, ...this._steps]);
+
     this.steps_by_id[step.id] = step;
 
     step.parentWorkflowId = this.id;
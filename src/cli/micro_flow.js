@@ -0,0 +1,240 @@
+import { readFile } from 'fs/promises';
+import { dirname, extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { parse as parseYaml } from 'yaml';
+import CheckpointAdapter from '../classes/checkpoints/checkpoint_adapter.js';
+import FileCheckpointAdapter from '../classes/checkpoints/file_checkpoint_adapter.js';
+import State from '../classes/state.js';
+import Workflow from '../classes/workflow.js';
+import { step_event_names, step_statuses, workflow_statuses } from '../enums/index.js';
+
+/**
+ * Process exit codes returned by `run()`.
+ * @enum {number}
+ * @readonly
+ */
+export const exit_codes = {
+  SUCCESS: 0,
+  WORKFLOW_FAILED: 1,
+  INVALID_USAGE: 2,
+};
+
+/**
+ * Workflow statuses that make the CLI exit with `WORKFLOW_FAILED`.
+ * @type {string[]}
+ */
+const failed_statuses = [
+  workflow_statuses.FAILED,
+  workflow_statuses.CANCELLED,
+  workflow_statuses.COMPENSATED,
+  workflow_statuses.COMPENSATION_FAILED,
+];
+
+/**
+ * Step statuses that make the CLI exit with `WORKFLOW_FAILED`, even when the workflow went on without `exit_on_error`.
+ * @type {string[]}
+ */
+const failed_step_statuses = [
+  step_statuses.FAILED,
+  step_statuses.CANCELLED,
+];
+
+const usage = `Usage: micro-flow <definition> [options]
+
+Runs a workflow definition (.json, .yaml or .yml).
+
+Options:
+  -c, --callables <module>     Module whose exports are the callables the definition refers to
+  -i, --input <file.json>      JSON file passed to the workflow as its input
+  -r, --resume <checkpoint>    Checkpoint file to continue from
+      --checkpoint-dir <dir>   Save a checkpoint after every step to this directory
+      --dry-run                Validate the definition and print the steps without running them
+  -h, --help                   Show this help
+`;
+
+/**
+ * Loads the callables registry from a module. Named exports and the properties of a default export object
+ * are both registered; named exports win on conflicts.
+ * @async
+ * @param {string} path - Path of the module, relative to `cwd`.
+ * @param {string} [cwd=process.cwd()] - Directory relative paths resolve against.
+ * @returns {Promise<Object>} Registry of functions by name.
+ */
+export async function loadCallables(path, cwd = process.cwd()) {
+  const { default: default_export, ...named } = await import(pathToFileURL(resolve(cwd, path)).href);
+  const registry = default_export && typeof default_export === 'object' ? default_export : {};
+
+  return { ...registry, ...named };
+}
+
+/**
+ * Reads a workflow definition file. Files ending in `.yaml` or `.yml` are parsed as YAML, anything else as JSON.
+ * @async
+ * @param {string} path - Path of the definition file, relative to `cwd`.
+ * @param {string} [cwd=process.cwd()] - Directory relative paths resolve against.
+ * @returns {Promise<Object>} The workflow definition.
+ */
+export async function loadDefinitionFile(path, cwd = process.cwd()) {
+  const contents = await readFile(resolve(cwd, path), 'utf8');
+
+  return ['.yaml', '.yml'].includes(extname(path).toLowerCase()) ? parseYaml(contents) : JSON.parse(contents);
+}
+
+/**
+ * Runs the micro-flow CLI.
+ * @async
+ * @param {string[]} argv - Command-line arguments, without the node and script paths.
+ * @param {Object} [io={}] - Where output goes.
+ * @param {{write: Function}} [io.stdout=process.stdout] - Receives step events and the run summary.
+ * @param {{write: Function}} [io.stderr=process.stderr] - Receives usage and load errors.
+ * @param {string} [io.cwd=process.cwd()] - Directory relative paths resolve against.
+ * @returns {Promise<number>} The exit code, from `exit_codes`.
+ */
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}) {
+  let options;
+
+  try {
+    options = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        callables: { type: 'string', short: 'c' },
+        input: { type: 'string', short: 'i' },
+        resume: { type: 'string', short: 'r' },
+        'checkpoint-dir': { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${usage}`);
+    return exit_codes.INVALID_USAGE;
+  }
+
+  const { values, positionals } = options;
+
+  if (values.help) {
+    stdout.write(usage);
+    return exit_codes.SUCCESS;
+  }
+
+  if (positionals.length !== 1) {
+    stderr.write(usage);
+    return exit_codes.INVALID_USAGE;
+  }
+
+  const log_suppress = State.get('log_suppress');
+
+  // Step events are printed instead of the library's own log lines
+  State.set('log_suppress', true);
+
+  try {
+    return await runDefinition(values, positionals[0], { stdout, stderr, cwd });
+  } finally {
+    State.set('log_suppress', log_suppress);
+  }
+}
+
+/**
+ * Loads and runs the workflow definition for parsed CLI arguments.
+ * @async
+ * @param {Object} values - Parsed options.
+ * @param {string} definition_path - Path of the definition file.
+ * @param {Object} io - Output streams and working directory, as passed to `run()`.
+ * @returns {Promise<number>} The exit code, from `exit_codes`.
+ */
+async function runDefinition(values, definition_path, { stdout, stderr, cwd }) {
+  let workflow;
+  let checkpoint = null;
+  let input = null;
+
+  try {
+    const definition = await loadDefinitionFile(definition_path, cwd);
+    const callables = values.callables ? await loadCallables(values.callables, cwd) : undefined;
+
+    if (values.resume) {
+      checkpoint = JSON.parse(await readFile(resolve(cwd, values.resume), 'utf8'));
+    }
+
+    if (values['dry-run']) {
+      Workflow.validateDefinition(definition, { callables });
+      printPlan(definition, checkpoint, stdout);
+
+      return exit_codes.SUCCESS;
+    }
+
+    workflow = Workflow.fromJSON(checkpoint ? { ...definition, id: checkpoint.workflow_id } : definition, { callables });
+
+    const checkpoint_directory = values['checkpoint-dir'] ?? (values.resume && dirname(resolve(cwd, values.resume)));
+
+    if (checkpoint_directory) {
+      workflow.checkpoint_adapter = new FileCheckpointAdapter({ directory: resolve(cwd, checkpoint_directory) });
+    }
+
+    if (checkpoint) {
+      workflow.applyCheckpoint(checkpoint);
+    }
+
+    if (values.input) {
+      input = JSON.parse(await readFile(resolve(cwd, values.input), 'utf8'));
+    }
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return exit_codes.INVALID_USAGE;
+  }
+
+  const step_events = State.get('events.step');
+  const listeners = Object.values(step_event_names).map(event_name => {
+    const listener = (step) => stdout.write(`[${event_name}] ${step.name}\n`);
+    step_events.on(event_name, listener);
+
+    return [event_name, listener];
+  });
+  let threw = false;
+
+  try {
+    await workflow.execute(input);
+  } catch (error) {
+    threw = true;
+    stderr.write(`${error.message}\n`);
+  } finally {
+    listeners.forEach(([event_name, listener]) => step_events.off(event_name, listener));
+  }
+
+  const failed_steps = workflow.steps.filter(step => failed_step_statuses.includes(step.status));
+  // Without exit_on_error the workflow completes after a failed step, but the run still failed
+  const status = failed_steps.length && !failed_statuses.includes(workflow.status) ? workflow_statuses.FAILED : workflow.status;
+
+  stdout.write(`Workflow "${workflow.name}" finished with status ${status}\n`);
+
+  if (workflow.output !== null && workflow.output !== undefined) {
+    // The checkpoint serializer copes with errors and circular references in step results
+    stdout.write(`${new CheckpointAdapter().serialize(workflow.output)}\n`);
+  }
+
+  failed_steps.forEach((step) => {
+    const error = step.errors?.at(-1);
+    stderr.write(`Step "${step.name}" ${step.status}${error ? `: ${error.message}` : ''}\n`);
+  });
+
+  return threw || failed_steps.length || failed_statuses.includes(workflow.status) ? exit_codes.WORKFLOW_FAILED : exit_codes.SUCCESS;
+}
+
+/**
+ * Prints the steps of a definition for `--dry-run`, marking the ones a checkpoint has already completed.
+ * @param {Object} definition - The validated workflow definition.
+ * @param {Object|null} checkpoint - The checkpoint being resumed, if any.
+ * @param {{write: Function}} stdout - Where the plan is written.
+ */
+function printPlan(definition, checkpoint, stdout) {
+  const completed = checkpoint?.completed_steps ?? [];
+
+  stdout.write(`Workflow "${definition.name ?? definition.id ?? 'unnamed'}" is valid. Steps:\n`);
+  definition.steps.forEach((step, index) => {
+    const done = completed.some(({ id, name }) => (step.id ? id === step.id : name === step.name)) ? ' (completed)' : '';
+    const depends_on = step.depends_on?.length ? ` after ${step.depends_on.join(', ')}` : '';
+
+    stdout.write(`  ${index + 1}. ${step.name ?? '(unnamed)'} [${step.type}]${depends_on}${done}\n`);
+  });
+}
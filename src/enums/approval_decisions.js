@@ -0,0 +1,28 @@
+/**
+ * Enumeration of the decisions on an ApprovalStep.
+ * Approvers signal `APPROVED` or `REJECTED`; `EXPIRED` is recorded when the request runs out of time.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const approval_decisions = {
+  /**
+   * The request was approved, or an approver approved it.
+   * @type {string}
+   */
+  APPROVED: 'approved',
+
+  /**
+   * The request was rejected, or an approver rejected it.
+   * @type {string}
+   */
+  REJECTED: 'rejected',
+
+  /**
+   * The request expired before enough approvers decided.
+   * @type {string}
+   */
+  EXPIRED: 'expired',
+};
+
+export default approval_decisions;
@@ -0,0 +1,35 @@
+/**
+ * Enumeration of backoff strategies for step retry policies.
+ * 
+ * @enum {string}
+ * @readonly
+ * @example
+ * import { backoff_types } from 'micro-flow';
+ * 
+ * const step = new Step({
+ *   name: 'fetch-orders',
+ *   max_retries: 5,
+ *   retry_policy: { backoff: backoff_types.EXPONENTIAL, delay_ms: 200, max_delay_ms: 5000 }
+ * });
+ */
+const backoff_types = {
+  /**
+   * Delay grows by `factor` on every retry: delay_ms, delay_ms * factor, delay_ms * factor^2...
+   * @type {string}
+   */
+  EXPONENTIAL: 'exponential',
+
+  /**
+   * Wait the same delay before every retry.
+   * @type {string}
+   */
+  FIXED: 'fixed',
+
+  /**
+   * Delay grows by delay_ms on every retry: delay_ms, 2 * delay_ms, 3 * delay_ms...
+   * @type {string}
+   */
+  LINEAR: 'linear',
+};
+
+export default backoff_types;
@@ -0,0 +1,43 @@
+/**
+ * Enumeration of the groups a LogicStep conditional can nest its `{ subject, operator, value }` checks in.
+ * Each value is the key of the group object.
+ *
+ * @enum {string}
+ * @readonly
+ * @example
+ * import { ConditionalStep } from 'micro-flow';
+ *
+ * const step = new ConditionalStep({
+ *   conditional: {
+ *     any: [
+ *       { all: [
+ *         { subject: () => user.status, operator: '===', value: 'active' },
+ *         { subject: () => user.age, operator: '>=', value: 18 },
+ *       ] },
+ *       { subject: () => user.role, operator: 'in', value: ['admin'] },
+ *     ],
+ *   },
+ *   true_callable: grantAccess,
+ * });
+ */
+const conditional_group_types = {
+  /**
+   * True when every child is true. Stops at the first false child.
+   * @type {string}
+   */
+  ALL: 'all',
+
+  /**
+   * True when at least one child is true. Stops at the first true child.
+   * @type {string}
+   */
+  ANY: 'any',
+
+  /**
+   * True when its single child is false.
+   * @type {string}
+   */
+  NOT: 'not',
+};
+
+export default conditional_group_types;
@@ -51,6 +51,25 @@ const conditional_step_comparators = {
   IS_TYPE: 'is_type',
   IS_NOT_TYPE: 'is_not_type',
 
+  BETWEEN: 'between',
+  NOT_BETWEEN: 'not_between',
+
+  BEFORE: 'before',
+  AFTER: 'after',
+  WITHIN_LAST: 'within_last',
+
+  DEEP_EQUALS: 'deep_equals',
+
+  LENGTH_EQUALS: 'length_equals',
+  LENGTH_GT: 'length_gt',
+  LENGTH_LT: 'length_lt',
+
+  HAS_KEY: 'has_key',
+
+  EQUALS_IGNORE_CASE: 'equals_ignore_case',
+  STRING_CONTAINS_IGNORE_CASE: 'string_contains_ignore_case',
+  STRING_STARTS_WITH_IGNORE_CASE: 'string_starts_with_ignore_case',
+
   CUSTOM_FUNCTION: 'custom_function'
 };
 
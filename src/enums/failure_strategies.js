@@ -0,0 +1,29 @@
+/**
+ * Enumeration of what a Workflow does when a step fails.
+ * 
+ * @enum {string}
+ * @readonly
+ * @example
+ * import { failure_strategies } from 'micro-flow';
+ * 
+ * const workflow = new Workflow({
+ *   name: 'provision-account',
+ *   on_failure: failure_strategies.COMPENSATE,
+ *   steps: [createUser, createBucket, sendWelcomeEmail]
+ * });
+ */
+const failure_strategies = {
+  /**
+   * Stop the workflow and run the `compensate` callables of the completed steps in reverse order.
+   * @type {string}
+   */
+  COMPENSATE: 'compensate',
+
+  /**
+   * Take no extra action. `exit_on_error` decides whether the workflow stops.
+   * @type {string}
+   */
+  NONE: 'none',
+};
+
+export default failure_strategies;
@@ -1,14 +1,20 @@
+export { default as approval_decisions } from './approval_decisions.js';
+export { default as backoff_types } from './backoff_types.js';
+export { default as conditional_group_types } from './conditional_group_types.js';
 export { default as conditional_step_comparators } from './conditional_step_comparators.js';
 export { default as delay_types } from './delay_types.js';
 export * from './errors.js';
+export { default as failure_strategies } from './failure_strategies.js';
 export { default as flow_control_types } from './flow_control_types.js';
 export { default as logic_step_types } from './logic_step_types.js';
+export { default as loop_end_reasons } from './loop_end_reasons.js';
 export { default as loop_types } from './loop_types.js';
 export { default as state_event_names } from './state_event_names.js';
 export { default as step_event_names } from './step_event_names.js';
 export { default as step_statuses } from './step_statuses.js';
 export { default as step_types } from './step_types.js';
 export { default as sub_step_types } from './sub_step_types.js';
+export { default as switch_match_modes } from './switch_match_modes.js';
 export { default as workflow_event_names } from './workflow_event_names.js';
 export { default as workflow_statuses } from './workflow_statuses.js';
 export { default as base_types } from './base_types.js';
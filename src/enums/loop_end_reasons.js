@@ -0,0 +1,28 @@
+/**
+ * Enumeration of why a condition-based LoopStep (`while`, `do_while` or `until`) stopped.
+ * Stored on the step as `ended_by` and returned with the loop's result.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const loop_end_reasons = {
+  /**
+   * The conditional ended the loop.
+   * @type {string}
+   */
+  CONDITION: 'condition',
+
+  /**
+   * The loop ran `max_iterations` times.
+   * @type {string}
+   */
+  MAX_ITERATIONS: 'max_iterations',
+
+  /**
+   * An iteration called `loop.break()`.
+   * @type {string}
+   */
+  BREAK: 'break',
+};
+
+export default loop_end_reasons;
@@ -7,8 +7,12 @@
 const loop_types = {
   FOR: 'for',
   FOR_EACH: 'for_each',
+  PARALLEL_FOR_EACH: 'parallel_for_each',
+  REDUCE: 'reduce',
   GENERATOR: 'generator',
   WHILE: 'while',
+  DO_WHILE: 'do_while',
+  UNTIL: 'until',
 };
 
 export default loop_types;
@@ -10,6 +10,7 @@ const state_event_names = {
   GET_STATE: 'get_state',
   MERGE: 'merge',
   RESET: 'reset',
+  SCOPE_DISPOSED: 'scope_disposed',
   SET: 'set',
   SET_TO_PROPERTY_PATH: 'set_to_property_path',
 }
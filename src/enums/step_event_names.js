@@ -6,6 +6,8 @@
  * @readonly
  */
 const step_event_names = {
+  APPROVAL_DECIDED: 'approval_decided',
+  APPROVAL_SIGNAL: 'approval_signal',
   CONDITIONAL_FALSE_BRANCH_EXECUTED: 'conditional_false_branch_executed',
   CONDITIONAL_TRUE_BRANCH_EXECUTED: 'conditional_true_branch_executed',
   DELAY_STEP_ABSOLUTE_SCHEDULED: 'delay_step_absolute_scheduled',
@@ -13,6 +15,10 @@ const step_event_names = {
   DELAY_STEP_ABSOLUTE_COMPLETE: 'delay_step_absolute_complete',
   DELAY_STEP_RELATIVE_COMPLETE: 'delay_step_relative_complete',
   LOOP_ITERATION_COMPLETE: 'loop_iteration_complete',
+  POLL_PROBE: 'poll_probe',
+  STEP_CANCELLED: 'step_cancelled',
+  STEP_COMPENSATED: 'step_compensated',
+  STEP_COMPENSATION_FAILED: 'step_compensation_failed',
   STEP_COMPLETE: 'step_complete',
   STEP_FAILED: 'step_failed',
   STEP_RUNNING: 'step_running',
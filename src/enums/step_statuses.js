@@ -6,6 +6,9 @@
  * @readonly
  */
 const step_statuses = {
+  CANCELLED: 'cancelled',
+  COMPENSATED: 'compensated',
+  COMPENSATION_FAILED: 'compensation_failed',
   COMPLETE: 'complete',
   FAILED: 'failed',
   PENDING: 'pending',
@@ -15,6 +15,11 @@ const sub_step_types = {
   SwitchStep: 'switch',
   Case: 'case',
   DelayStep: 'delay',
+  ParallelStep: 'parallel',
+  PollStep: 'poll',
+  WaitForEventStep: 'wait_for_event',
+  WaitForStateStep: 'wait_for_state',
+  ApprovalStep: 'approval',
 };
 
 export default sub_step_types;
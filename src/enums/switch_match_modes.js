@@ -0,0 +1,32 @@
+/**
+ * Enumeration of how a SwitchStep picks the cases it runs.
+ *
+ * @enum {string}
+ * @readonly
+ * @example
+ * import { SwitchStep, Case, switch_match_modes } from 'micro-flow';
+ *
+ * const step = new SwitchStep({
+ *   subject: () => order.tags,
+ *   match_mode: switch_match_modes.ALL,
+ *   cases: [
+ *     new Case({ conditional: { operator: 'contains', value: 'gift' }, callable: wrapGift }),
+ *     new Case({ conditional: { operator: 'contains', value: 'express' }, callable: shipExpress }),
+ *   ],
+ * });
+ */
+const switch_match_modes = {
+  /**
+   * Run the first matching case, plus any cases it falls through to. The step's result is the last case's result.
+   * @type {string}
+   */
+  FIRST: 'first',
+
+  /**
+   * Run every matching case, plus any cases they fall through to. The step's result is an array of their results.
+   * @type {string}
+   */
+  ALL: 'all',
+};
+
+export default switch_match_modes;
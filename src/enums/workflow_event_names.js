@@ -8,11 +8,16 @@
 const workflow_event_names = {
   WORKFLOW_BREAK_EXECUTED: 'workflow_break_executed',
   WORKFLOW_CANCELLED: 'workflow_cancelled',
+  WORKFLOW_CHECKPOINT_SAVED: 'workflow_checkpoint_saved',
+  WORKFLOW_COMPENSATED: 'workflow_compensated',
+  WORKFLOW_COMPENSATING: 'workflow_compensating',
+  WORKFLOW_COMPENSATION_FAILED: 'workflow_compensation_failed',
   WORKFLOW_COMPLETE: 'workflow_complete',
   WORKFLOW_CREATED: 'workflow_created',
   WORKFLOW_ERRORED: 'workflow_errored',
   WORKFLOW_FAILED: 'workflow_failed',
   WORKFLOW_PAUSED: 'workflow_paused',
+  WORKFLOW_RESTORED: 'workflow_restored',
   WORKFLOW_RESUMED: 'workflow_resumed',
   WORKFLOW_RUNNING: 'workflow_running',
   WORKFLOW_STEP_ADDED: 'workflow_step_added',
@@ -22,6 +27,7 @@ const workflow_event_names = {
   WORKFLOW_STEP_SKIPPED: 'workflow_step_skipped',
   WORKFLOW_STEPS_ADDED: 'workflow_steps_added',
   WORKFLOW_STEPS_CLEARED: 'workflow_steps_cleared',
+  WORKFLOW_WAITING: 'workflow_waiting',
 }
 
 export default workflow_event_names;
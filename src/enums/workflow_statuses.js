@@ -7,6 +7,8 @@
  */
 const workflow_statuses = {
   CANCELLED: 'cancelled',
+  COMPENSATED: 'compensated',
+  COMPENSATION_FAILED: 'compensation_failed',
   COMPLETE: 'complete',
   CREATED: 'created',
   ERRORED: 'errored',
@@ -15,7 +17,8 @@ const workflow_statuses = {
   PAUSED: 'paused',
   PENDING: 'pending',
   RUNNING: 'running',
-  SKIPPED: 'skipped'
+  SKIPPED: 'skipped',
+  WAITING: 'waiting'
 };
 
 export default workflow_statuses;
@@ -0,0 +1,69 @@
+import backoff_types from '../enums/backoff_types.js';
+
+/**
+ * Calculates how long to wait before a retry.
+ * @param {Object} policy - The backoff settings.
+ * @param {string} [policy.backoff=backoff_types.FIXED] - Backoff strategy from the backoff_types enum.
+ * @param {number} [policy.delay_ms=0] - Base delay in milliseconds.
+ * @param {number} [policy.factor=2] - Multiplier applied on every retry by exponential backoff.
+ * @param {number} [policy.max_delay_ms=Infinity] - Upper bound for the delay, applied before jitter.
+ * @param {number|boolean} [policy.jitter=0] - Fraction of the delay (0-1) that is randomized away; `true` is full jitter.
+ * @param {number} attempt - The retry number, starting at 1.
+ * @param {Function} [random=Math.random] - Source of randomness for jitter.
+ * @returns {number} The delay in milliseconds.
+ * @throws {Error} Throws if the backoff strategy is unknown.
+ */
+export function calculateBackoffDelay({
+  backoff = backoff_types.FIXED,
+  delay_ms = 0,
+  factor = 2,
+  max_delay_ms = Infinity,
+  jitter = 0,
+} = {}, attempt, random = Math.random) {
+  let delay;
+
+  switch (backoff) {
+    case backoff_types.EXPONENTIAL:
+      delay = delay_ms * factor ** (attempt - 1);
+      break;
+    case backoff_types.LINEAR:
+      delay = delay_ms * attempt;
+      break;
+    case backoff_types.FIXED:
+      delay = delay_ms;
+      break;
+    default:
+      throw new Error(`Unknown backoff type "${backoff}". Must be one of ${Object.values(backoff_types).join(', ')}.`);
+  }
+
+  const jitter_ratio = jitter === true ? 1 : Math.min(Math.max(Number(jitter) || 0, 0), 1);
+  const capped = Math.min(delay, max_delay_ms);
+
+  return Math.round(capped - capped * jitter_ratio * random());
+}
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms - How long to wait.
+ * @param {AbortSignal} [signal] - Signal that ends the wait early. The promise then rejects with the abort reason.
+ * @returns {Promise<void>} Resolves once the time has passed.
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
@@ -0,0 +1,171 @@
+import { isValid, sub } from 'date-fns';
+import conditional_step_comparators from '../enums/conditional_step_comparators.js';
+
+/**
+ * Milliseconds per unit of the duration strings accepted by `subtractDuration()`.
+ * @type {Object<string, number>}
+ */
+const duration_units = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Comparators registered with `registerComparator()`, by name.
+ * @type {Map<string, Function>}
+ */
+const custom_comparators = new Map();
+
+/**
+ * Registers a named comparator that conditionals can use as their `operator`.
+ * @param {string} name - Operator name. Must not be a conditional_step_comparators value or already registered.
+ * @param {Function} comparator - Called as `comparator(subject, value, step)` with the resolved subject and value.
+ * Returns a boolean or a Promise of one.
+ * @throws {Error} Throws if the name is empty, built in, or already registered, or the comparator is not a function.
+ */
+export function registerComparator(name, comparator) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Comparator name must be a non-empty string.');
+  }
+
+  if (Object.values(conditional_step_comparators).includes(name)) {
+    throw new Error(`Comparator "${name}" is built in and cannot be replaced.`);
+  }
+
+  if (custom_comparators.has(name)) {
+    throw new Error(`Comparator "${name}" is already registered.`);
+  }
+
+  if (typeof comparator !== 'function') {
+    throw new Error(`Comparator "${name}" must be a function.`);
+  }
+
+  custom_comparators.set(name, comparator);
+}
+
+/**
+ * Removes a comparator added with `registerComparator()`.
+ * @param {string} name - Operator name.
+ * @returns {boolean} True if a comparator was removed.
+ */
+export function unregisterComparator(name) {
+  return custom_comparators.delete(name);
+}
+
+/**
+ * Gets a comparator added with `registerComparator()`.
+ * @param {string} name - Operator name.
+ * @returns {Function|null} The comparator, or null if none is registered under the name.
+ */
+export function getComparator(name) {
+  return custom_comparators.get(name) ?? null;
+}
+
+/**
+ * Lists every operator a conditional can use: the conditional_step_comparators values, then registered names.
+ * @returns {string[]} The operator names.
+ */
+export function getComparatorNames() {
+  return [...Object.values(conditional_step_comparators), ...custom_comparators.keys()];
+}
+
+/**
+ * Converts a Date, timestamp, or date string into a Date.
+ * @param {Date|number|string} value - The value to convert.
+ * @returns {Date|null} The date, or null if the value is not a valid date.
+ */
+export function toDate(value) {
+  if (!(value instanceof Date) && typeof value !== 'number' && typeof value !== 'string') {
+    return null;
+  }
+
+  const date = new Date(value);
+
+  return isValid(date) ? date : null;
+}
+
+/**
+ * Subtracts a duration from a date.
+ * @param {Date} date - The date to subtract from.
+ * @param {number|string|Object} duration - Milliseconds, a string such as `'90s'`, `'15m'`, `'24h'`, `'7d'` or `'2w'`,
+ * or a date-fns duration object such as `{ months: 1 }`.
+ * @returns {Date} The earlier date.
+ * @throws {Error} Throws if the duration is not in one of the supported forms.
+ */
+export function subtractDuration(date, duration) {
+  if (typeof duration === 'number' && Number.isFinite(duration)) {
+    return new Date(date.getTime() - duration);
+  }
+
+  if (typeof duration === 'string') {
+    const match = duration.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/);
+
+    if (match) {
+      return new Date(date.getTime() - Number(match[1]) * duration_units[match[2]]);
+    }
+  }
+
+  if (duration && typeof duration === 'object' && !Array.isArray(duration)) {
+    return sub(date, duration);
+  }
+
+  throw new Error(`Invalid duration: ${JSON.stringify(duration)}`);
+}
+
+/**
+ * Gets the length of a string or array, or the size of a Map or Set.
+ * @param {*} value - The value to measure.
+ * @returns {number|null} The length, or null if the value has none.
+ */
+export function getLength(value) {
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length;
+  }
+
+  if (value instanceof Map || value instanceof Set) {
+    return value.size;
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether two values are structurally equal. Arrays, plain objects, Maps and Sets are compared by contents,
+ * Dates by time, and everything else with `Object.is`.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are equal.
+ */
+export function deepEquals(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false;
+  }
+
+  if (a instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => deepEquals(item, b[index]));
+  }
+
+  if (a instanceof Map) {
+    return a.size === b.size && [...a].every(([key, value]) => b.has(key) && deepEquals(value, b.get(key)));
+  }
+
+  if (a instanceof Set) {
+    return a.size === b.size && [...a].every(item => b.has(item));
+  }
+
+  const keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && deepEquals(a[key], b[key]));
+}
@@ -0,0 +1,83 @@
+import conditional_group_types from '../enums/conditional_group_types.js';
+
+/**
+ * Finds which group a conditional is: `{ all: [...] }`, `{ any: [...] }`, or `{ not: {...} }`.
+ * @param {Object} conditional - A conditional group or `{ subject, operator, value }` leaf.
+ * @returns {string|null} Value from the conditional_group_types enum, or null for a leaf.
+ */
+export function getConditionalGroupType(conditional) {
+  if (!conditional || typeof conditional !== 'object') {
+    return null;
+  }
+
+  return Object.values(conditional_group_types).find(group_type => group_type in conditional) ?? null;
+}
+
+/**
+ * Rebuilds a conditional tree with every `{ subject, operator, value }` leaf replaced by the result of `callback`.
+ * Groups keep their shape; children that are not arrays are passed through for validation to report.
+ * @param {Object} conditional - A conditional group or leaf.
+ * @param {Function} callback - Called with each leaf; returns its replacement.
+ * @returns {Object} The new conditional.
+ */
+export function mapConditionalLeaves(conditional, callback) {
+  const group_type = getConditionalGroupType(conditional);
+
+  switch (group_type) {
+    case conditional_group_types.ALL:
+    case conditional_group_types.ANY:
+      return {
+        [group_type]: Array.isArray(conditional[group_type])
+          ? conditional[group_type].map(child => mapConditionalLeaves(child, callback))
+          : conditional[group_type],
+      };
+    case conditional_group_types.NOT:
+      return { [group_type]: mapConditionalLeaves(conditional[group_type], callback) };
+    default:
+      return callback(conditional);
+  }
+}
+
+/**
+ * Lists the `{ subject, operator, value }` leaves of a conditional tree, in order.
+ * @param {Object} conditional - A conditional group or leaf.
+ * @returns {Array<Object>} The leaf objects themselves, not copies.
+ */
+export function getConditionalLeaves(conditional) {
+  const leaves = [];
+
+  mapConditionalLeaves(conditional, (leaf) => {
+    leaves.push(leaf);
+    return leaf;
+  });
+
+  return leaves;
+}
+
+/**
+ * Checks whether a conditional subject or value is a `{ $state: 'path' }` reference to a State property.
+ * @param {*} operand - The subject or value.
+ * @returns {boolean} True for state references.
+ */
+export function isStateReference(operand) {
+  return isPlainObject(operand) && typeof operand.$state === 'string';
+}
+
+/**
+ * Checks whether a conditional subject or value is a `{ $result: 'step', path? }` reference to the output
+ * of an earlier step in the same workflow.
+ * @param {*} operand - The subject or value.
+ * @returns {boolean} True for result references.
+ */
+export function isResultReference(operand) {
+  return isPlainObject(operand) && typeof operand.$result === 'string';
+}
+
+/**
+ * Checks whether a value is a plain object rather than an array, class instance, or primitive.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
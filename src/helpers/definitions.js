@@ -0,0 +1,239 @@
+import workflow_definition from '../schemas/workflow_definition.js';
+import { getComparatorNames } from './comparisons.js';
+import { getConditionalGroupType, mapConditionalLeaves } from './conditionals.js';
+
+/**
+ * Shared no-op used as the default callable of steps, so serializers can tell an unset callable apart.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function noop() {}
+
+/**
+ * Returns the JSON Schema type name of a value.
+ * @param {*} value - The value to check.
+ * @returns {string} One of 'array', 'boolean', 'integer', 'null', 'number', 'object', 'string', or 'undefined'.
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+
+  return typeof value;
+}
+
+/**
+ * Appends a property or index to a definition path.
+ * @param {string} path - The path so far.
+ * @param {string|number} key - Property name or array index.
+ * @returns {string} The extended path, e.g. `steps[2].conditional.operator`.
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Checks a value against the subset of JSON Schema used by the workflow definition schema:
+ * `$ref`, `type`, `const`, `enum`, `minimum`, `format` (`callable`, `comparator`, `date-time`), `required`, `properties`,
+ * `additionalProperties`, `items`, `minItems`, `allOf`, and `if`/`then`/`else`.
+ * @param {Object} schema - The schema to check against.
+ * @param {*} value - The value to check.
+ * @param {Object} context - Validation context.
+ * @param {string} context.path - Path of the value within the definition.
+ * @param {Object} [context.callables] - Registry that `callable` formats must resolve against. Names are not checked without it.
+ * @param {Object} [context.root=workflow_definition] - Schema `$ref`s resolve against.
+ * @returns {Array<{path: string, message: string}>} The problems found, empty if the value is valid.
+ */
+export function validateAgainstSchema(schema, value, { path, callables, root = workflow_definition }) {
+  if (schema.$ref) {
+    const resolved = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+
+    if (!resolved) {
+      throw new Error(`Unresolvable schema reference ${schema.$ref}`);
+    }
+
+    return validateAgainstSchema(resolved, value, { path, callables, root });
+  }
+
+  const context = { callables, root };
+  const problems = [];
+  const type = getJsonType(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+
+    if (!matches) {
+      return [{ path, message: `must be ${allowed.join(' or ')}, got ${type}` }];
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    return [{ path, message: `must be ${JSON.stringify(schema.const)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `must be one of ${schema.enum.join(', ')}` }];
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    problems.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (schema.exclusiveMinimum !== undefined && typeof value === 'number' && value <= schema.exclusiveMinimum) {
+    problems.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+  }
+
+  if (schema.format === 'callable' && callables && typeof callables[value] !== 'function') {
+    problems.push({ path, message: `callable "${value}" is not in the callables registry` });
+  }
+
+  if (schema.format === 'comparator' && !getComparatorNames().includes(value)) {
+    return [{ path, message: `must be one of ${getComparatorNames().join(', ')}` }];
+  }
+
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    problems.push({ path, message: `"${value}" is not a valid date` });
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        problems.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    // Properties set to undefined count as absent, matching JSON.stringify
+    for (const [key, property] of Object.entries(value).filter(([, property]) => property !== undefined)) {
+      const property_schema = schema.properties?.[key];
+
+      if (property_schema) {
+        problems.push(...validateAgainstSchema(property_schema, property, { ...context, path: joinPath(path, key) }));
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: joinPath(path, key), message: 'is not a known property' });
+      }
+    }
+  }
+
+  if (type === 'array' && schema.minItems !== undefined && value.length < schema.minItems) {
+    problems.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateAgainstSchema(schema.items, item, { ...context, path: joinPath(path, index) }));
+    });
+  }
+
+  for (const subschema of schema.allOf ?? []) {
+    problems.push(...validateAgainstSchema(subschema, value, { ...context, path }));
+  }
+
+  if (schema.if) {
+    const branch = validateAgainstSchema(schema.if, value, { ...context, path }).length === 0
+      ? schema.then
+      : schema.else;
+
+    if (branch) {
+      problems.push(...validateAgainstSchema(branch, value, { ...context, path }));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validates a workflow definition against the workflow definition schema.
+ * @param {Object} definition - The workflow definition.
+ * @param {Object} [options={}] - Validation options.
+ * @param {Object} [options.callables] - Registry that callable names must resolve against. Names are not checked without it.
+ * @throws {Error} Throws if the definition is invalid. The message lists every problem with its path,
+ * and the error's `errors` property holds them as `{ path, message }` objects.
+ */
+export function validateWorkflowDefinition(definition, { callables } = {}) {
+  const problems = validateAgainstSchema(workflow_definition, definition, { path: '', callables });
+
+  if (problems.length) {
+    const error = new Error(
+      `Invalid workflow definition:\n${problems.map(({ path, message }) => `  ${path || '(root)'}: ${message}`).join('\n')}`
+    );
+    error.errors = problems;
+
+    throw error;
+  }
+}
+
+/**
+ * Finds the registry name of a function.
+ * @param {Function} callable - The function to look up.
+ * @param {Object} [callables={}] - Registry of functions by name.
+ * @returns {string} The name the function is registered under.
+ * @throws {Error} Throws if the function is not in the registry.
+ */
+export function getCallableName(callable, callables = {}) {
+  const registered = Object.keys(callables ?? {}).find(name => callables[name] === callable);
+
+  if (registered === undefined) {
+    throw new Error(`Callable "${callable.name || 'anonymous'}" is not in the callables registry`);
+  }
+
+  return registered;
+}
+
+/**
+ * Converts a step's callable into its definition form: a registry name, or a nested step or workflow definition.
+ * @param {Function|Step|Workflow|null} callable - The callable to convert.
+ * @param {Object} [callables={}] - Registry of functions by name.
+ * @returns {string|Object|undefined} The reference, or undefined when the callable is unset.
+ */
+export function toCallableReference(callable, callables = {}) {
+  if (!callable || callable === noop) {
+    return undefined;
+  }
+
+  if (callable.base_type) {
+    return callable.toJSON({ callables });
+  }
+
+  return getCallableName(callable, callables);
+}
+
+/**
+ * Converts a conditional configuration into its definition form. Groups are converted check by check.
+ * @param {Object} conditional - The `{ subject, operator, value }` configuration, or an `all`/`any`/`not` group.
+ * @param {Object} [callables={}] - Registry of functions by name.
+ * @returns {Object|undefined} The conditional, or undefined when it is a single check with no operator set.
+ */
+export function toConditionalDefinition(conditional, callables = {}) {
+  if (!getConditionalGroupType(conditional) && !conditional?.operator) {
+    return undefined;
+  }
+
+  return mapConditionalLeaves(conditional, leaf => ({
+    subject: toValueReference(leaf?.subject, callables),
+    operator: leaf?.operator,
+    value: toValueReference(leaf?.value, callables),
+  }));
+}
+
+/**
+ * Converts a value that may be a function into its definition form. Functions become `{ $callable: name }`.
+ * @param {*} value - The value to convert.
+ * @param {Object} [callables={}] - Registry of functions by name.
+ * @returns {*} The value, or a `$callable` reference for functions.
+ */
+export function toValueReference(value, callables = {}) {
+  return typeof value === 'function' ? { $callable: getCallableName(value, callables) } : value;
+}
@@ -0,0 +1,26 @@
+export { calculateBackoffDelay, sleep } from './backoff.js';
+export {
+  deepEquals,
+  getComparator,
+  getComparatorNames,
+  getLength,
+  registerComparator,
+  subtractDuration,
+  toDate,
+  unregisterComparator,
+} from './comparisons.js';
+export {
+  getConditionalGroupType,
+  getConditionalLeaves,
+  isResultReference,
+  isStateReference,
+  mapConditionalLeaves,
+} from './conditionals.js';
+export {
+  getCallableName,
+  noop,
+  toCallableReference,
+  toConditionalDefinition,
+  toValueReference,
+  validateWorkflowDefinition,
+} from './definitions.js';
@@ -1,2 +1,3 @@
 export * from './classes/index.js';
 export * from './enums/index.js';
+export * from './schemas/index.js';
@@ -0,0 +1 @@
+export { default as workflow_definition_schema } from './workflow_definition.js';
@@ -0,0 +1,291 @@
+import {
+  backoff_types,
+  conditional_group_types,
+  conditional_step_comparators,
+  delay_types,
+  failure_strategies,
+  flow_control_types,
+  loop_types,
+  sub_step_types,
+  switch_match_modes,
+} from '../enums/index.js';
+
+/**
+ * Reference to a function in the callables registry, a nested step definition, or a nested workflow definition.
+ * Strings are registry names, objects with a `steps` array are workflows, and any other object is a step.
+ */
+const callable_reference = {
+  if: { type: 'string' },
+  then: { $ref: '#/$defs/callable_name' },
+  else: {
+    if: { type: 'object', required: ['steps'] },
+    then: { $ref: '#/$defs/workflow' },
+    else: { $ref: '#/$defs/step_definition' },
+  },
+};
+
+/**
+ * A literal JSON value, or `{ "$callable": "name" }` for a function from the callables registry.
+ */
+const value_reference = {
+  if: { type: 'object', required: ['$callable'] },
+  then: {
+    type: 'object',
+    required: ['$callable'],
+    properties: { $callable: { $ref: '#/$defs/callable_name' } },
+    additionalProperties: false,
+  },
+};
+
+/**
+ * The subject or value of a conditional check: anything a value_reference allows, `{ "$state": "path" }` for a
+ * State property, or `{ "$result": "step", "path": "..." }` for the output of an earlier step.
+ */
+const conditional_operand = {
+  if: { type: 'object', required: ['$state'] },
+  then: {
+    type: 'object',
+    required: ['$state'],
+    properties: { $state: { type: 'string' } },
+    additionalProperties: false,
+  },
+  else: {
+    if: { type: 'object', required: ['$result'] },
+    then: {
+      type: 'object',
+      required: ['$result'],
+      properties: { $result: { type: 'string' }, path: { type: 'string' } },
+      additionalProperties: false,
+    },
+    else: { $ref: '#/$defs/value_reference' },
+  },
+};
+
+/**
+ * A `{ subject, operator, value }` check, or a group of conditionals: `{ all: [...] }`, `{ any: [...] }`, or `{ not: {...} }`.
+ */
+const conditional = [conditional_group_types.ALL, conditional_group_types.ANY, conditional_group_types.NOT].reduceRight(
+  (otherwise, group_type) => ({
+    if: { type: 'object', required: [group_type] },
+    then: {
+      type: 'object',
+      required: [group_type],
+      properties: {
+        [group_type]: group_type === conditional_group_types.NOT
+          ? { $ref: '#/$defs/conditional' }
+          : { type: 'array', minItems: 1, items: { $ref: '#/$defs/conditional' } },
+      },
+      additionalProperties: false,
+    },
+    else: otherwise,
+  }),
+  { $ref: '#/$defs/conditional_check' }
+);
+
+const step_properties = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  depends_on: { type: 'array', items: { type: 'string' } },
+};
+
+/**
+ * Builds the schema for one step type. Every step definition carries `type`, `id`, `name`, and `depends_on`.
+ * @param {string} type - Value from the sub_step_types enum.
+ * @param {Object} properties - Schemas of the options specific to the step type.
+ * @param {Object} [common=step_properties] - Schemas of the options every step of this type shares.
+ * @returns {Object} The step schema.
+ */
+const stepSchema = (type, properties, common = step_properties) => ({
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { const: type },
+    ...common,
+    ...properties,
+  },
+  additionalProperties: false,
+});
+
+/**
+ * JSON Schema (draft 2020-12) for workflow definitions loaded by `Workflow.fromJSON()`
+ * and produced by `workflow.toJSON()`.
+ * Functions are referenced by name and resolved from the callables registry passed to the loader.
+ * @type {Object}
+ * @readonly
+ */
+const workflow_definition = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://github.com/starkeysoft/micro-flow/schemas/workflow_definition.json',
+  title: 'Micro-Flow workflow definition',
+  $ref: '#/$defs/workflow',
+  $defs: {
+    workflow: {
+      type: 'object',
+      required: ['steps'],
+      properties: {
+        $schema: { type: 'string' },
+        version: { const: 1 },
+        id: { type: 'string' },
+        name: { type: 'string' },
+        exit_on_error: { type: 'boolean' },
+        on_failure: { enum: Object.values(failure_strategies) },
+        throw_on_empty: { type: 'boolean' },
+        pipeline: { type: 'boolean' },
+        isolated_state: { type: 'boolean' },
+        state_read_through: { type: 'boolean' },
+        checkpoint_state_keys: { type: 'array', items: { type: 'string' } },
+        steps: { type: 'array', items: { $ref: '#/$defs/step_definition' } },
+      },
+      additionalProperties: false,
+    },
+    step_definition: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: Object.values(sub_step_types) },
+      },
+      allOf: Object.values(sub_step_types).map(type => ({
+        if: { required: ['type'], properties: { type: { const: type } } },
+        then: { $ref: `#/$defs/${type}_step` },
+      })),
+    },
+    callable_name: { type: 'string', format: 'callable' },
+    callable_reference,
+    value_reference,
+    conditional_operand,
+    conditional,
+    conditional_check: {
+      type: 'object',
+      required: ['operator'],
+      properties: {
+        subject: { $ref: '#/$defs/conditional_operand' },
+        // Built-in comparators, or names added with LogicStep.registerComparator()
+        operator: { type: 'string', format: 'comparator', examples: Object.values(conditional_step_comparators) },
+        value: { $ref: '#/$defs/conditional_operand' },
+      },
+      additionalProperties: false,
+    },
+    retry_policy: {
+      type: 'object',
+      properties: {
+        backoff: { enum: Object.values(backoff_types) },
+        delay_ms: { type: 'number', minimum: 0 },
+        factor: { type: 'number', minimum: 0 },
+        max_delay_ms: { type: 'number', minimum: 0 },
+        jitter: { type: ['number', 'boolean'] },
+        retry_on: { $ref: '#/$defs/callable_name' },
+      },
+      additionalProperties: false,
+    },
+    [`${sub_step_types.Step}_step`]: stepSchema(sub_step_types.Step, {
+      callable: { $ref: '#/$defs/callable_reference' },
+      max_retries: { type: 'integer', minimum: 0 },
+      retry_policy: { $ref: '#/$defs/retry_policy' },
+      max_timeout_ms: { type: 'number', minimum: 0 },
+      compensate: { $ref: '#/$defs/callable_reference' },
+    }),
+    [`${sub_step_types.LogicStep}_step`]: stepSchema(sub_step_types.LogicStep, {
+      conditional: { $ref: '#/$defs/conditional' },
+      condition_timeout_ms: { type: 'number', minimum: 0 },
+      callable: { $ref: '#/$defs/callable_reference' },
+    }),
+    [`${sub_step_types.ConditionalStep}_step`]: stepSchema(sub_step_types.ConditionalStep, {
+      conditional: { $ref: '#/$defs/conditional' },
+      condition_timeout_ms: { type: 'number', minimum: 0 },
+      true_callable: { $ref: '#/$defs/callable_reference' },
+      false_callable: { $ref: '#/$defs/callable_reference' },
+    }),
+    [`${sub_step_types.FlowControlStep}_step`]: stepSchema(sub_step_types.FlowControlStep, {
+      conditional: { $ref: '#/$defs/conditional' },
+      condition_timeout_ms: { type: 'number', minimum: 0 },
+      flow_control_type: { enum: Object.values(flow_control_types) },
+    }),
+    [`${sub_step_types.LoopStep}_step`]: stepSchema(sub_step_types.LoopStep, {
+      loop_type: { enum: Object.values(loop_types) },
+      iterable: { $ref: '#/$defs/value_reference' },
+      callable: { $ref: '#/$defs/callable_reference' },
+      conditional: { $ref: '#/$defs/conditional' },
+      condition_timeout_ms: { type: 'number', minimum: 0 },
+      iterations: { type: 'integer', minimum: 0 },
+      max_iterations: { type: 'integer', minimum: 0 },
+      iteration_delay_ms: { type: 'number', minimum: 0 },
+      concurrency: { type: 'integer', minimum: 1 },
+      stop_on_error: { type: 'boolean' },
+      initial_value: { $ref: '#/$defs/value_reference' },
+      max_timeout_ms: { type: 'number', minimum: 0 },
+    }),
+    [`${sub_step_types.SwitchStep}_step`]: stepSchema(sub_step_types.SwitchStep, {
+      subject: { $ref: '#/$defs/value_reference' },
+      cases: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type'],
+          properties: { type: { enum: [sub_step_types.Case, sub_step_types.LogicStep] } },
+          allOf: [sub_step_types.Case, sub_step_types.LogicStep].map(type => ({
+            if: { required: ['type'], properties: { type: { const: type } } },
+            then: { $ref: `#/$defs/${type}_step` },
+          })),
+        },
+      },
+      default_callable: { $ref: '#/$defs/callable_reference' },
+      match_mode: { enum: Object.values(switch_match_modes) },
+    }),
+    [`${sub_step_types.Case}_step`]: stepSchema(sub_step_types.Case, {
+      conditional: { $ref: '#/$defs/conditional' },
+      condition_timeout_ms: { type: 'number', minimum: 0 },
+      values: { type: 'array', minItems: 1, items: { $ref: '#/$defs/value_reference' } },
+      callable: { $ref: '#/$defs/callable_reference' },
+      force_subject_override: { type: 'boolean' },
+      fallthrough: { type: 'boolean' },
+    }, { id: step_properties.id, name: step_properties.name }),
+    [`${sub_step_types.DelayStep}_step`]: stepSchema(sub_step_types.DelayStep, {
+      delay_type: { enum: Object.values(delay_types) },
+      relative_delay_ms: { type: 'number', minimum: 0 },
+      absolute_timestamp: { type: 'string', format: 'date-time' },
+    }),
+    [`${sub_step_types.ParallelStep}_step`]: stepSchema(sub_step_types.ParallelStep, {
+      callables: { type: 'array', items: { $ref: '#/$defs/callable_reference' } },
+      concurrency: { type: 'integer', minimum: 1 },
+      fail_fast: { type: 'boolean' },
+      max_retries: { type: 'integer', minimum: 0 },
+      retry_policy: { $ref: '#/$defs/retry_policy' },
+      max_timeout_ms: { type: 'number', minimum: 0 },
+      compensate: { $ref: '#/$defs/callable_reference' },
+    }),
+    [`${sub_step_types.PollStep}_step`]: stepSchema(sub_step_types.PollStep, {
+      conditional: { $ref: '#/$defs/conditional' },
+      condition_timeout_ms: { type: 'number', minimum: 0 },
+      probe: { $ref: '#/$defs/callable_reference' },
+      interval_ms: { type: 'number', exclusiveMinimum: 0 },
+      backoff: { enum: Object.values(backoff_types) },
+      backoff_factor: { type: 'number', minimum: 0 },
+      max_interval_ms: { type: 'number', minimum: 0 },
+      deadline_ms: { type: 'number', minimum: 0 },
+    }),
+    [`${sub_step_types.WaitForEventStep}_step`]: stepSchema(sub_step_types.WaitForEventStep, {
+      event_name: { type: 'string' },
+      event_source: { enum: ['workflow', 'step', 'state'] },
+      broadcast: { type: 'boolean' },
+      conditional: { $ref: '#/$defs/conditional' },
+      condition_timeout_ms: { type: 'number', minimum: 0 },
+      timeout_ms: { type: 'number', minimum: 0 },
+      fallback_callable: { $ref: '#/$defs/callable_reference' },
+    }),
+    [`${sub_step_types.WaitForStateStep}_step`]: stepSchema(sub_step_types.WaitForStateStep, {
+      path: { type: 'string' },
+      conditional: { $ref: '#/$defs/conditional' },
+      condition_timeout_ms: { type: 'number', minimum: 0 },
+      timeout_ms: { type: 'number', minimum: 0 },
+    }),
+    [`${sub_step_types.ApprovalStep}_step`]: stepSchema(sub_step_types.ApprovalStep, {
+      approvers: { type: 'array', items: { type: 'string' } },
+      required_approvals: { type: 'integer', minimum: 1 },
+      expires_in_ms: { type: 'number', exclusiveMinimum: 0 },
+      approve_callable: { $ref: '#/$defs/callable_reference' },
+      reject_callable: { $ref: '#/$defs/callable_reference' },
+    }),
+  },
+};
+
+export default workflow_definition;
@@ -0,0 +1,265 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getEventListeners } from 'events';
+import ApprovalStep from '../src/classes/steps/approval_step.js';
+import Step from '../src/classes/steps/step.js';
+import Workflow from '../src/classes/workflow.js';
+import State from '../src/classes/state.js';
+import MemoryCheckpointAdapter from '../src/classes/checkpoints/memory_checkpoint_adapter.js';
+import { approval_decisions, sub_step_types } from '../src/enums/index.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ApprovalStep', () => {
+  beforeEach(() => {
+    State.reset();
+    State.set('log_suppress', true);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    State.reset();
+  });
+
+  describe('constructor', () => {
+    it('should need one approval from anyone by default', () => {
+      const step = new ApprovalStep({ name: 'review' });
+
+      expect(step.approvers).toEqual([]);
+      expect(step.required_approvals).toBe(1);
+      expect(step.expires_in_ms).toBeNull();
+      expect(step.decision).toBeNull();
+    });
+
+    it('should throw for invalid approvers, required approvals or expiry', () => {
+      expect(() => new ApprovalStep({ name: 'review', approvers: ['ada', ''] }))
+        .toThrow('Approvers for approval step: review must be an array of non-empty strings');
+      expect(() => new ApprovalStep({ required_approvals: 0 })).toThrow('Invalid required approvals for approval step: 0');
+      expect(() => new ApprovalStep({ name: 'review', approvers: ['ada'], required_approvals: 2 }))
+        .toThrow('Approval step: review requires 2 approvals but has 1 approvers');
+      expect(() => new ApprovalStep({ expires_in_ms: 0 })).toThrow('Invalid expiry for approval step: 0');
+    });
+
+    it('should have static step_name property', () => {
+      expect(ApprovalStep.step_name).toBe(sub_step_types.ApprovalStep);
+    });
+  });
+
+  describe('decisions', () => {
+    it('should run the approve callable once approved', async () => {
+      const approve_callable = vi.fn(async () => 'shipped');
+      const reject_callable = vi.fn();
+      const step = new ApprovalStep({ name: 'review', approve_callable, reject_callable });
+
+      const executing = step.execute();
+      await tick();
+      expect(step.status).toBe(State.get('statuses.step').WAITING);
+
+      step.signal({ decision: approval_decisions.APPROVED, approver: 'ada', comment: 'Looks good' });
+      const result = await executing;
+
+      expect(result.status).toBe('complete');
+      expect(result.result).toMatchObject({ message: 'Approval step review approved', decision: 'approved', result: 'shipped' });
+      expect(result.result.approvals[0]).toMatchObject({ approver: 'ada', comment: 'Looks good' });
+      expect(reject_callable).not.toHaveBeenCalled();
+    });
+
+    it('should wait for the required approvals and reject on the first rejection', async () => {
+      const reject_callable = vi.fn(async () => 'closed');
+      const step = new ApprovalStep({ approvers: ['ada', 'grace', 'linus'], required_approvals: 2, reject_callable });
+
+      const executing = step.execute();
+      await tick();
+      step.signal({ decision: 'approved', approver: 'ada' });
+      expect(step.decision).toBeNull();
+
+      step.signal({ decision: 'rejected', approver: 'grace', comment: 'Missing tests' });
+      const result = await executing;
+
+      expect(result.result).toMatchObject({ decision: 'rejected', result: 'closed' });
+      expect(step.rejections).toEqual([{ approver: 'grace', comment: 'Missing tests', decided_at: expect.any(Date) }]);
+    });
+
+    it('should refuse signals it cannot accept', async () => {
+      const step = new ApprovalStep({ name: 'review', approvers: ['ada', 'grace'], required_approvals: 2 });
+
+      expect(() => step.signal({ decision: 'approved', approver: 'ada' })).toThrow('Approval step: review is not waiting for a decision');
+
+      const executing = step.execute();
+      await tick();
+
+      expect(() => step.signal({ decision: 'maybe', approver: 'ada' }))
+        .toThrow('Invalid decision for approval step: maybe. Must be one of approved, rejected');
+      expect(() => step.signal({ decision: 'approved', approver: 'eve' })).toThrow('Approver "eve" may not decide approval step: review');
+
+      step.signal({ decision: 'approved', approver: 'ada' });
+      expect(() => step.signal({ decision: 'approved', approver: 'ada' })).toThrow('Approver "ada" has already decided approval step: review');
+
+      step.signal({ decision: 'approved', approver: 'grace' });
+      await executing;
+    });
+
+    it('should run the reject callable when the request expires', async () => {
+      vi.useFakeTimers();
+      const reject_callable = vi.fn(async () => 'expired');
+      const step = new ApprovalStep({ expires_in_ms: 60_000, reject_callable });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(60_000);
+      const result = await executing;
+
+      expect(result.status).toBe('complete');
+      expect(result.result).toMatchObject({ decision: approval_decisions.EXPIRED, result: 'expired' });
+      expect(step.expires_at.getTime() - step.requested_at.getTime()).toBe(60_000);
+    });
+
+    it('should log APPROVAL_SIGNAL and APPROVAL_DECIDED', async () => {
+      const event_names = State.get('event_names.step');
+      const signalSpy = vi.fn();
+      const decidedSpy = vi.fn();
+      State.get('events.step').on(event_names.APPROVAL_SIGNAL, signalSpy);
+      State.get('events.step').on(event_names.APPROVAL_DECIDED, decidedSpy);
+
+      const step = new ApprovalStep({});
+      const executing = step.execute();
+      await tick();
+      step.signal({ decision: 'approved' });
+      await executing;
+
+      expect(signalSpy).toHaveBeenCalledTimes(1);
+      expect(decidedSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('workflows', () => {
+    it('should mark the workflow as waiting and take decisions through signal()', async () => {
+      const workflow = new Workflow({
+        name: 'release',
+        steps: [
+          new ApprovalStep({ id: 'sign-off', name: 'sign-off', approvers: ['ada'], approve_callable: async () => 'approved!' }),
+          new Step({ name: 'publish', callable: async () => 'published' }),
+        ],
+      });
+
+      const executing = workflow.execute();
+      await tick();
+
+      expect(workflow.status).toBe(State.get('statuses.workflow').WAITING);
+      expect(workflow.getPendingApprovals()).toEqual([expect.objectContaining({
+        step_id: 'sign-off',
+        step_name: 'sign-off',
+        approvers: ['ada'],
+        required_approvals: 1,
+        approvals: [],
+        requested_at: expect.any(Date),
+        expires_at: null,
+      })]);
+
+      const step = await workflow.signal('sign-off', { decision: 'approved', approver: 'ada' });
+      await executing;
+
+      expect(step).toBeInstanceOf(ApprovalStep);
+      expect(workflow.status).toBe('complete');
+      expect(workflow.results_by_name['sign-off'].result).toBe('approved!');
+      expect(workflow.getPendingApprovals()).toEqual([]);
+    });
+
+    it('should throw when no waiting step matches the signal', async () => {
+      const workflow = new Workflow({ name: 'release', steps: [new ApprovalStep({ name: 'sign-off' })] });
+
+      await expect(workflow.signal('sign-off', { decision: 'approved' }))
+        .rejects.toThrow('Workflow "release" has no step "sign-off" waiting for a signal');
+    });
+
+    it('should cancel a waiting workflow', async () => {
+      const workflow = new Workflow({ steps: [new ApprovalStep({ name: 'sign-off' })] });
+
+      const executing = workflow.execute();
+      await tick();
+      workflow.cancel('No longer needed');
+      await executing;
+
+      expect(workflow.status).toBe('cancelled');
+      expect(workflow.steps[0].status).toBe('cancelled');
+      expect(workflow.getPendingApprovals()).toEqual([]);
+    });
+
+    it('should stop waiting when the checkpoint cannot be saved', async () => {
+      const adapter = new MemoryCheckpointAdapter();
+      adapter.write = async () => { throw new Error('disk full'); };
+      const controller = new AbortController();
+      const step = new ApprovalStep({ name: 'sign-off', expires_in_ms: 3_600_000 });
+      const workflow = new Workflow({ steps: [step], checkpoint_adapter: adapter });
+      step.parentWorkflowId = workflow.id;
+
+      const result = await step.execute({ signal: controller.signal });
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].message).toBe('disk full');
+      expect(step.scheduled_job.pendingInvocations).toHaveLength(0);
+      expect(() => step.signal({ decision: 'approved' })).toThrow('Approval step: sign-off is not waiting for a decision');
+      expect(workflow.getPendingApprovals()).toEqual([]);
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+    });
+
+    it('should keep approvals and the expiry through a checkpoint restore', async () => {
+      const adapter = new MemoryCheckpointAdapter();
+      const build = () => ({
+        name: 'release',
+        steps: [new ApprovalStep({ id: 'sign-off', name: 'sign-off', approvers: ['ada', 'grace'], required_approvals: 2, expires_in_ms: 3_600_000 })],
+      });
+      const crashed = new Workflow({ ...build(), id: 'release-1', checkpoint_adapter: adapter });
+
+      crashed.execute();
+      await tick();
+      await crashed.signal('sign-off', { decision: 'approved', approver: 'ada', comment: 'Ship it' });
+
+      const checkpoint = await adapter.load('release-1');
+      expect(checkpoint.approvals[0]).toMatchObject({ step_id: 'sign-off', approvals: [{ approver: 'ada', comment: 'Ship it' }] });
+
+      const restored = await Workflow.restore('release-1', adapter, build());
+      crashed.cancel();
+
+      const executing = restored.execute();
+      await tick();
+      const [request] = restored.getPendingApprovals();
+
+      expect(request.approvals).toEqual([{ approver: 'ada', comment: 'Ship it', decided_at: expect.any(Date) }]);
+      expect(request.expires_at).toEqual(crashed.steps[0].expires_at);
+
+      await restored.signal('sign-off', { decision: 'approved', approver: 'grace' });
+      await executing;
+
+      expect(restored.status).toBe('complete');
+      expect(restored.results_by_name['sign-off'].decision).toBe('approved');
+    });
+  });
+
+  describe('workflow definitions', () => {
+    it('should round-trip through toJSON and fromJSON', () => {
+      const notify = async () => null;
+      const step = new ApprovalStep({
+        name: 'review',
+        approvers: ['ada', 'grace'],
+        required_approvals: 2,
+        expires_in_ms: 86_400_000,
+        reject_callable: notify,
+      });
+      const definition = new Workflow({ steps: [step] }).toJSON({ callables: { notify } });
+
+      expect(definition.steps[0]).toMatchObject({
+        type: 'approval',
+        approvers: ['ada', 'grace'],
+        required_approvals: 2,
+        expires_in_ms: 86_400_000,
+        reject_callable: 'notify',
+      });
+
+      const loaded = Workflow.fromJSON(definition, { callables: { notify } }).steps[0];
+
+      expect(loaded).toBeInstanceOf(ApprovalStep);
+      expect(loaded._reject_callable_raw).toBe(notify);
+      expect(() => Workflow.validateDefinition({ steps: [{ type: 'approval', required_approvals: 1.5 }] }))
+        .toThrow('steps[0].required_approvals: must be integer, got number');
+    });
+  });
+});
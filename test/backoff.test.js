@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { calculateBackoffDelay, sleep } from '../src/helpers/backoff.js';
+import backoff_types from '../src/enums/backoff_types.js';
+
+describe('backoff helpers', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('calculateBackoffDelay', () => {
+    it('should default to no delay', () => {
+      expect(calculateBackoffDelay({}, 3)).toBe(0);
+    });
+
+    it('should wait the same delay for fixed backoff', () => {
+      const policy = { backoff: backoff_types.FIXED, delay_ms: 100 };
+
+      expect([1, 2, 3].map(attempt => calculateBackoffDelay(policy, attempt))).toEqual([100, 100, 100]);
+    });
+
+    it('should grow the delay by delay_ms for linear backoff', () => {
+      const policy = { backoff: backoff_types.LINEAR, delay_ms: 100 };
+
+      expect([1, 2, 3].map(attempt => calculateBackoffDelay(policy, attempt))).toEqual([100, 200, 300]);
+    });
+
+    it('should multiply the delay by factor for exponential backoff', () => {
+      const policy = { backoff: backoff_types.EXPONENTIAL, delay_ms: 100 };
+
+      expect([1, 2, 3, 4].map(attempt => calculateBackoffDelay(policy, attempt))).toEqual([100, 200, 400, 800]);
+      expect(calculateBackoffDelay({ ...policy, factor: 3 }, 3)).toBe(900);
+    });
+
+    it('should cap the delay at max_delay_ms', () => {
+      const policy = { backoff: backoff_types.EXPONENTIAL, delay_ms: 100, max_delay_ms: 250 };
+
+      expect(calculateBackoffDelay(policy, 5)).toBe(250);
+    });
+
+    it('should randomize the jitter fraction of the delay', () => {
+      const policy = { delay_ms: 1000, jitter: 0.5 };
+
+      expect(calculateBackoffDelay(policy, 1, () => 0)).toBe(1000);
+      expect(calculateBackoffDelay(policy, 1, () => 1)).toBe(500);
+      expect(calculateBackoffDelay({ ...policy, jitter: true }, 1, () => 0.25)).toBe(750);
+    });
+
+    it('should throw for unknown backoff types', () => {
+      expect(() => calculateBackoffDelay({ backoff: 'random' }, 1)).toThrow('Unknown backoff type "random"');
+    });
+  });
+
+  describe('sleep', () => {
+    it('should resolve after the delay', async () => {
+      vi.useFakeTimers();
+      const resolved = vi.fn();
+
+      sleep(100).then(resolved);
+      await vi.advanceTimersByTimeAsync(99);
+      expect(resolved).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(resolved).toHaveBeenCalled();
+    });
+
+    it('should reject with the abort reason when the signal aborts', async () => {
+      const controller = new AbortController();
+      const sleeping = sleep(10000, controller.signal);
+
+      controller.abort('stop');
+
+      await expect(sleeping).rejects.toBe('stop');
+    });
+  });
+});
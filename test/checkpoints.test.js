@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import CheckpointAdapter from '../src/classes/checkpoints/checkpoint_adapter.js';
+import FileCheckpointAdapter from '../src/classes/checkpoints/file_checkpoint_adapter.js';
+import IndexedDBCheckpointAdapter from '../src/classes/checkpoints/indexed_db_checkpoint_adapter.js';
+import LocalStorageCheckpointAdapter from '../src/classes/checkpoints/local_storage_checkpoint_adapter.js';
+import MemoryCheckpointAdapter from '../src/classes/checkpoints/memory_checkpoint_adapter.js';
+import Workflow from '../src/classes/workflow.js';
+import Step from '../src/classes/steps/step.js';
+import State from '../src/classes/state.js';
+
+const createStorage = () => {
+  const items = new Map();
+
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    items,
+  };
+};
+
+describe('Checkpoints', () => {
+  beforeEach(() => {
+    State.reset();
+    State.set('log_suppress', true);
+  });
+
+  afterEach(() => {
+    State.reset();
+  });
+
+  describe('CheckpointAdapter', () => {
+    it('should throw for storage methods that are not implemented', async () => {
+      const adapter = new CheckpointAdapter();
+
+      await expect(adapter.read('id')).rejects.toThrow('Read method not implemented');
+      await expect(adapter.write('id', '{}')).rejects.toThrow('Write method not implemented');
+      await expect(adapter.remove('id')).rejects.toThrow('Remove method not implemented');
+    });
+
+    it('should serialize errors, drop functions and cut circular references', () => {
+      const adapter = new CheckpointAdapter();
+      const shared = { value: 1 };
+      const circular = { shared, again: shared, callback: () => {} };
+      circular.self = circular;
+
+      const serialized = adapter.deserialize(adapter.serialize({ circular, error: new Error('boom') }));
+
+      expect(serialized.error).toEqual({ name: 'Error', message: 'boom' });
+      expect(serialized.circular).toEqual({ shared: { value: 1 }, again: { value: 1 } });
+    });
+  });
+
+  describe('MemoryCheckpointAdapter', () => {
+    it('should save, load and delete checkpoints', async () => {
+      const adapter = new MemoryCheckpointAdapter();
+
+      await adapter.save('wf', { completed_steps: [{ id: 'a', name: 'a' }] });
+      expect(await adapter.load('wf')).toEqual({ completed_steps: [{ id: 'a', name: 'a' }] });
+
+      await adapter.delete('wf');
+      expect(await adapter.load('wf')).toBeNull();
+    });
+  });
+
+  describe('FileCheckpointAdapter', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'micro-flow-checkpoints-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should write one JSON file per workflow', async () => {
+      const adapter = new FileCheckpointAdapter({ directory: join(directory, 'nested') });
+
+      await adapter.save('order/42', { output: 'done' });
+
+      expect(await readdir(join(directory, 'nested'))).toEqual(['order%2F42.json']);
+      expect(await adapter.load('order/42')).toEqual({ output: 'done' });
+    });
+
+    it('should return null for missing checkpoints and ignore deleting them', async () => {
+      const adapter = new FileCheckpointAdapter({ directory });
+
+      expect(await adapter.load('missing')).toBeNull();
+      await expect(adapter.delete('missing')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('LocalStorageCheckpointAdapter', () => {
+    it('should store checkpoints under the prefix', async () => {
+      const storage = createStorage();
+      const adapter = new LocalStorageCheckpointAdapter({ storage, prefix: 'test:' });
+
+      await adapter.save('wf', { output: 1 });
+      expect([...storage.items.keys()]).toEqual(['test:wf']);
+      expect(await adapter.load('wf')).toEqual({ output: 1 });
+
+      await adapter.delete('wf');
+      expect(storage.items.size).toBe(0);
+    });
+
+    it('should throw when no storage is available', () => {
+      expect(() => new LocalStorageCheckpointAdapter({ storage: null })).toThrow('localStorage is not available');
+    });
+  });
+
+  describe('IndexedDBCheckpointAdapter', () => {
+    it('should throw when IndexedDB is not available', () => {
+      expect(() => new IndexedDBCheckpointAdapter({ indexed_db: null })).toThrow('IndexedDB is not available');
+    });
+  });
+
+  describe('Workflow checkpoints', () => {
+    const buildDefinition = (calls, { fail_at = null } = {}) => ({
+      name: 'order',
+      steps: ['reserve', 'charge', 'ship'].map(name => new Step({
+        name,
+        callable: async function () {
+          calls.push(name);
+
+          if (name === fail_at) {
+            throw new Error(`${name} crashed`);
+          }
+
+          this.setState(`order.${name}`, true);
+          return `${name}-done`;
+        },
+      })),
+    });
+
+    it('should save a checkpoint after each step and when the run ends', async () => {
+      const adapter = new MemoryCheckpointAdapter();
+      const saved = [];
+      State.get('events.workflow').on(State.get('event_names.workflow').WORKFLOW_CHECKPOINT_SAVED, () => saved.push(true));
+      const workflow = new Workflow({ ...buildDefinition([]), id: 'order-1', checkpoint_adapter: adapter });
+
+      await workflow.execute({ order_id: 42 });
+
+      const checkpoint = await adapter.load('order-1');
+      expect(saved).toHaveLength(4);
+      expect(checkpoint.status).toBe('complete');
+      expect(checkpoint.input).toEqual({ order_id: 42 });
+      expect(checkpoint.output).toBe('ship-done');
+      expect(checkpoint.completed_steps.map(step => step.name)).toEqual(['reserve', 'charge', 'ship']);
+      expect(checkpoint.results[0].data).toMatchObject({ name: 'reserve', status: 'complete', output: 'reserve-done' });
+    });
+
+    it('should restore a workflow and continue from the first unfinished step', async () => {
+      const adapter = new MemoryCheckpointAdapter();
+      const first_run = [];
+      const crashed = new Workflow({
+        ...buildDefinition(first_run, { fail_at: 'charge' }),
+        id: 'order-2',
+        exit_on_error: true,
+        checkpoint_adapter: adapter,
+        checkpoint_state_keys: ['order.reserve'],
+      });
+
+      await crashed.execute('input');
+      State.reset();
+      State.set('log_suppress', true);
+
+      const second_run = [];
+      const restored = await Workflow.restore('order-2', adapter, buildDefinition(second_run));
+
+      expect(restored.id).toBe('order-2');
+      expect(restored.cursor).toBe(1);
+      expect(State.get('order.reserve')).toBe(true);
+
+      await restored.execute();
+
+      expect(first_run).toEqual(['reserve', 'charge']);
+      expect(second_run).toEqual(['charge', 'ship']);
+      expect(restored.status).toBe('complete');
+      expect(restored.input).toBe('input');
+      expect(restored.results_by_name).toEqual({ reserve: 'reserve-done', charge: 'charge-done', ship: 'ship-done' });
+    });
+
+    it('should skip completed steps of a restored graph workflow', async () => {
+      const adapter = new MemoryCheckpointAdapter();
+      const calls = [];
+      const build = () => ({
+        steps: [
+          new Step({ id: 'a', callable: async () => calls.push('a') }),
+          new Step({ id: 'b', depends_on: ['a'], callable: async () => calls.push('b') }),
+        ],
+      });
+
+      await adapter.save('graph', { session_id: 'session', completed_steps: [{ id: 'a', name: null }] });
+      const restored = await Workflow.restore('graph', adapter, build());
+      await restored.execute();
+
+      expect(calls).toEqual(['b']);
+      expect(restored.status).toBe('complete');
+    });
+
+    it('should restore state keys into an isolated scope', async () => {
+      const adapter = new MemoryCheckpointAdapter();
+      await adapter.save('isolated', { completed_steps: [], state: { tenant: 'acme' } });
+
+      const restored = await Workflow.restore('isolated', adapter, {
+        isolated_state: true,
+        steps: [new Step({ callable: async function () { return this.getState('tenant'); } })],
+      });
+      await restored.execute();
+
+      expect(restored.output).toBe('acme');
+      expect(State.get('tenant')).toBeNull();
+    });
+
+    it('should fail the workflow instead of rejecting when a checkpoint cannot be saved', async () => {
+      const adapter = new MemoryCheckpointAdapter();
+      adapter.write = async () => { throw new Error('disk full'); };
+
+      for (const depends_on of [[], ['a']]) {
+        const calls = [];
+        const workflow = new Workflow({
+          checkpoint_adapter: adapter,
+          steps: [
+            new Step({ id: 'a', callable: async () => calls.push('a') }),
+            new Step({ id: 'b', depends_on, callable: async () => calls.push('b') }),
+          ],
+        });
+
+        await workflow.execute();
+
+        expect(calls).toEqual(['a']);
+        expect(workflow.status).toBe('failed');
+        expect(workflow.current_session_id).toBeNull();
+        expect(workflow.results.find(result => result.data?.error)).toMatchObject({
+          message: expect.stringContaining('Workflow checkpoint failed after step'),
+          data: { error: { message: 'disk full' } },
+        });
+      }
+    });
+
+    it('should throw when no checkpoint exists', async () => {
+      await expect(Workflow.restore('missing', new MemoryCheckpointAdapter())).rejects.toThrow('No checkpoint found for workflow missing');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exit_codes, loadCallables, loadDefinitionFile, run } from '../src/cli/micro_flow.js';
+import State from '../src/classes/state.js';
+
+const createOutput = () => {
+  const output = { text: '' };
+  output.write = (chunk) => { output.text += chunk; };
+
+  return output;
+};
+
+const yaml_definition = `
+name: greet
+steps:
+  - type: step
+    name: hello
+    callable: hello
+  - type: step
+    name: shout
+    callable: shout
+`;
+
+const callables_module = `
+export const hello = async function () { return 'hi'; };
+export const fail = async () => { throw new Error('boom'); };
+export default {
+  shout: async function (context) { return context.input?.loud ? 'HI' : 'hi'; },
+};
+`;
+
+describe('micro-flow CLI', () => {
+  let directory;
+  let stdout;
+  let stderr;
+
+  const cli = (...argv) => run(argv, { stdout, stderr, cwd: directory });
+
+  beforeEach(async () => {
+    State.reset();
+    directory = await mkdtemp(join(tmpdir(), 'micro-flow-cli-'));
+    stdout = createOutput();
+    stderr = createOutput();
+
+    await writeFile(join(directory, 'flow.yaml'), yaml_definition);
+    await writeFile(join(directory, 'callables.mjs'), callables_module);
+  });
+
+  afterEach(async () => {
+    State.reset();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should load YAML and JSON definitions', async () => {
+    await writeFile(join(directory, 'flow.json'), JSON.stringify({ name: 'json', steps: [] }));
+
+    expect((await loadDefinitionFile('flow.yaml', directory)).steps[1].callable).toBe('shout');
+    expect((await loadDefinitionFile('flow.json', directory)).name).toBe('json');
+  });
+
+  it('should register named exports and default export properties as callables', async () => {
+    const callables = await loadCallables('callables.mjs', directory);
+
+    expect(Object.keys(callables).sort()).toEqual(['fail', 'hello', 'shout']);
+  });
+
+  it('should run a workflow, stream step events, and pass the input file', async () => {
+    await writeFile(join(directory, 'input.json'), JSON.stringify({ loud: true }));
+    await writeFile(join(directory, 'flow.yaml'), yaml_definition.replace('name: greet', 'name: greet\npipeline: true'));
+
+    expect(await cli('flow.yaml', '--callables', 'callables.mjs', '--input', 'input.json')).toBe(exit_codes.SUCCESS);
+    expect(stdout.text).toContain('[step_running] hello\n[step_complete] hello\n');
+    expect(stdout.text).toContain('Workflow "greet" finished with status complete\n"HI"\n');
+  });
+
+  it('should exit non-zero when the workflow fails', async () => {
+    await writeFile(join(directory, 'failing.json'), JSON.stringify({
+      name: 'failing',
+      exit_on_error: true,
+      steps: [{ type: 'step', name: 'explode', callable: 'fail' }],
+    }));
+
+    const code = await cli('failing.json', '-c', 'callables.mjs');
+
+    expect(code).toBe(exit_codes.WORKFLOW_FAILED);
+    expect(stdout.text).toContain('[step_failed] explode');
+    expect(stdout.text).toContain('finished with status failed');
+  });
+
+  it('should exit non-zero when a step fails without exit_on_error', async () => {
+    await writeFile(join(directory, 'failing.json'), JSON.stringify({
+      name: 'failing',
+      steps: [
+        { type: 'step', name: 'explode', callable: 'fail' },
+        { type: 'step', name: 'hello', callable: 'hello' },
+      ],
+    }));
+
+    const code = await cli('failing.json', '-c', 'callables.mjs');
+
+    expect(code).toBe(exit_codes.WORKFLOW_FAILED);
+    expect(stdout.text).toContain('[step_complete] hello');
+    expect(stdout.text).toContain('Workflow "failing" finished with status failed\n');
+    expect(stderr.text).toBe('Step "explode" failed: boom\n');
+  });
+
+  it('should validate without running on --dry-run', async () => {
+    expect(await cli('flow.yaml', '--dry-run')).toBe(exit_codes.SUCCESS);
+    expect(stdout.text).toBe('Workflow "greet" is valid. Steps:\n  1. hello [step]\n  2. shout [step]\n');
+
+    expect(await cli('flow.yaml', '--dry-run', '-c', 'callables.mjs')).toBe(exit_codes.SUCCESS);
+    expect(stdout.text).not.toContain('[step_running]');
+  });
+
+  it('should report invalid definitions and usage with exit code 2', async () => {
+    await writeFile(join(directory, 'callables.mjs'), 'export const hello = async () => {};');
+
+    expect(await cli('flow.yaml', '-c', 'callables.mjs')).toBe(exit_codes.INVALID_USAGE);
+    expect(stderr.text).toContain('steps[1].callable: callable "shout" is not in the callables registry');
+
+    expect(await cli('flow.yaml', '--verbose')).toBe(exit_codes.INVALID_USAGE);
+    expect(await cli()).toBe(exit_codes.INVALID_USAGE);
+    expect(stderr.text).toContain('Usage: micro-flow <definition> [options]');
+  });
+
+  it('should save checkpoints and resume from one', async () => {
+    await writeFile(join(directory, 'flow.json'), JSON.stringify({
+      id: 'greeting',
+      name: 'greet',
+      exit_on_error: true,
+      steps: [
+        { type: 'step', name: 'hello', callable: 'hello' },
+        { type: 'step', name: 'shout', callable: 'fail' },
+      ],
+    }));
+
+    expect(await cli('flow.json', '-c', 'callables.mjs', '--checkpoint-dir', 'checkpoints')).toBe(exit_codes.WORKFLOW_FAILED);
+
+    const [file] = await readdir(join(directory, 'checkpoints'));
+    const checkpoint = join('checkpoints', file);
+    stdout.text = '';
+
+    expect(await cli('flow.json', '--dry-run', '--resume', checkpoint)).toBe(exit_codes.SUCCESS);
+    expect(stdout.text).toContain('1. hello [step] (completed)\n  2. shout [step]\n');
+
+    await writeFile(join(directory, 'flow.json'), JSON.stringify({
+      id: 'greeting',
+      name: 'greet',
+      steps: [
+        { type: 'step', name: 'hello', callable: 'hello' },
+        { type: 'step', name: 'shout', callable: 'shout' },
+      ],
+    }));
+    stdout.text = '';
+
+    expect(await cli('flow.json', '-c', 'callables.mjs', '--resume', checkpoint)).toBe(exit_codes.SUCCESS);
+    expect(stdout.text).not.toContain('[step_running] hello');
+    expect(stdout.text).toContain('[step_complete] shout');
+  });
+});
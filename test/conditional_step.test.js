@@ -144,438 +144,564 @@ describe('LogicStep', () => {
 
   describe('checkCondition', () => {
     describe('equality operators', () => {
-      it('should evaluate strict equals (===) correctly', () => {
+      it('should evaluate strict equals (===) correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 5, operator: '===', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: '5', operator: '===', value: 5 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate strict equals with named operator', () => {
+      it('should evaluate strict equals with named operator', async () => {
         const step = new LogicStep({
           conditional: { subject: 5, operator: 'strict_equals', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate loose equals (==) correctly', () => {
+      it('should evaluate loose equals (==) correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: '5', operator: '==', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate loose equals with named operator', () => {
+      it('should evaluate loose equals with named operator', async () => {
         const step = new LogicStep({
           conditional: { subject: '5', operator: 'equals', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate not equals (!=) correctly', () => {
+      it('should evaluate not equals (!=) correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 5, operator: '!=', value: 10 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: '5', operator: '!=', value: 5 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate not equals with named operator', () => {
+      it('should evaluate not equals with named operator', async () => {
         const step = new LogicStep({
           conditional: { subject: 5, operator: 'not_equals', value: 10 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate strict not equals (!==) correctly', () => {
+      it('should evaluate strict not equals (!==) correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: '5', operator: '!==', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 5, operator: '!==', value: 5 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate strict not equals with named operator', () => {
+      it('should evaluate strict not equals with named operator', async () => {
         const step = new LogicStep({
           conditional: { subject: '5', operator: 'strict_not_equals', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
     });
 
     describe('comparison operators', () => {
-      it('should evaluate greater than (>) correctly', () => {
+      it('should evaluate greater than (>) correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 10, operator: '>', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 5, operator: '>', value: 10 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate greater than with named operator', () => {
+      it('should evaluate greater than with named operator', async () => {
         const step = new LogicStep({
           conditional: { subject: 10, operator: 'greater_than', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate less than (<) correctly', () => {
+      it('should evaluate less than (<) correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 5, operator: '<', value: 10 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 10, operator: '<', value: 5 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate less than with named operator', () => {
+      it('should evaluate less than with named operator', async () => {
         const step = new LogicStep({
           conditional: { subject: 5, operator: 'less_than', value: 10 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate greater than or equal (>=) correctly', () => {
+      it('should evaluate greater than or equal (>=) correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 10, operator: '>=', value: 10 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 11, operator: '>=', value: 10 });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 9, operator: '>=', value: 10 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate greater than or equal with named operator', () => {
+      it('should evaluate greater than or equal with named operator', async () => {
         const step = new LogicStep({
           conditional: { subject: 10, operator: 'greater_than_or_equal', value: 10 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate less than or equal (<=) correctly', () => {
+      it('should evaluate less than or equal (<=) correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 10, operator: '<=', value: 10 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 9, operator: '<=', value: 10 });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 11, operator: '<=', value: 10 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate less than or equal with named operator', () => {
+      it('should evaluate less than or equal with named operator', async () => {
         const step = new LogicStep({
           conditional: { subject: 10, operator: 'less_than_or_equal', value: 10 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
     });
 
     describe('string operators', () => {
-      it('should evaluate string_contains correctly', () => {
+      it('should evaluate string_contains correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello world', operator: 'string_contains', value: 'world' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 'hello world', operator: 'string_contains', value: 'foo' });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate string_includes correctly', () => {
+      it('should evaluate string_includes correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello world', operator: 'string_includes', value: 'llo' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate string_not_contains correctly', () => {
+      it('should evaluate string_not_contains correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello world', operator: 'string_not_contains', value: 'foo' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 'hello world', operator: 'string_not_contains', value: 'hello' });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate string_not_includes correctly', () => {
+      it('should evaluate string_not_includes correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello world', operator: 'string_not_includes', value: 'bar' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate string_starts_with correctly', () => {
+      it('should evaluate string_starts_with correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello world', operator: 'string_starts_with', value: 'hello' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 'hello world', operator: 'string_starts_with', value: 'world' });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate string_ends_with correctly', () => {
+      it('should evaluate string_ends_with correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello world', operator: 'string_ends_with', value: 'world' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 'hello world', operator: 'string_ends_with', value: 'hello' });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should return false for string_starts_with with non-string subject', () => {
+      it('should return false for string_starts_with with non-string subject', async () => {
         const step = new LogicStep({
           conditional: { subject: 123, operator: 'string_starts_with', value: '1' }
         });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should return false for string_ends_with with non-string value', () => {
+      it('should return false for string_ends_with with non-string value', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello', operator: 'string_ends_with', value: 123 }
         });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
     });
 
     describe('array operators', () => {
-      it('should evaluate array_contains correctly', () => {
+      it('should evaluate array_contains correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: [1, 2, 3], operator: 'array_contains', value: 2 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: [1, 2, 3], operator: 'array_contains', value: 5 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate array_includes correctly', () => {
+      it('should evaluate array_includes correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: ['a', 'b', 'c'], operator: 'array_includes', value: 'b' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate array_not_contains correctly', () => {
+      it('should evaluate array_not_contains correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: [1, 2, 3], operator: 'array_not_contains', value: 5 }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: [1, 2, 3], operator: 'array_not_contains', value: 2 });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate array_not_includes correctly', () => {
+      it('should evaluate array_not_includes correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: ['a', 'b', 'c'], operator: 'array_not_includes', value: 'd' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate in operator correctly', () => {
+      it('should evaluate in operator correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 1, operator: 'in', value: [1, 2, 3] }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate not_in operator correctly', () => {
+      it('should evaluate not_in operator correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 4, operator: 'not_in', value: [1, 2, 3] }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
     });
 
     describe('empty/not_empty operators', () => {
-      it('should evaluate empty correctly for empty string', () => {
+      it('should evaluate empty correctly for empty string', async () => {
         const step = new LogicStep({
           conditional: { subject: '', operator: 'empty', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate empty correctly for null', () => {
+      it('should evaluate empty correctly for null', async () => {
         const step = new LogicStep({
           conditional: { subject: null, operator: 'empty', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate empty correctly for undefined', () => {
+      it('should evaluate empty correctly for undefined', async () => {
         const step = new LogicStep({
           conditional: { subject: undefined, operator: 'empty', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate empty correctly for empty array', () => {
+      it('should evaluate empty correctly for empty array', async () => {
         const step = new LogicStep({
           conditional: { subject: [], operator: 'empty', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate empty correctly for non-empty values', () => {
+      it('should evaluate empty correctly for non-empty values', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello', operator: 'empty', value: null }
         });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate not_empty correctly for non-empty string', () => {
+      it('should evaluate not_empty correctly for non-empty string', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello', operator: 'not_empty', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate not_empty correctly for non-empty array', () => {
+      it('should evaluate not_empty correctly for non-empty array', async () => {
         const step = new LogicStep({
           conditional: { subject: [1, 2, 3], operator: 'not_empty', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate not_empty correctly for empty values', () => {
+      it('should evaluate not_empty correctly for empty values', async () => {
         const step = new LogicStep({
           conditional: { subject: '', operator: 'not_empty', value: null }
         });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
     });
 
     describe('regex operators', () => {
-      it('should evaluate regex_match correctly', () => {
+      it('should evaluate regex_match correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello123world', operator: 'regex_match', value: '\\d+' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 'helloworld', operator: 'regex_match', value: '\\d+' });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate regex_not_match correctly', () => {
+      it('should evaluate regex_not_match correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'helloworld', operator: 'regex_not_match', value: '\\d+' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 'hello123', operator: 'regex_not_match', value: '\\d+' });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should throw error for regex_match with non-string value', () => {
+      it('should throw error for regex_match with non-string value', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello', operator: 'regex_match', value: 123 }
         });
-        expect(() => step.checkCondition()).toThrow('Regex input must be a string');
+        await expect(step.checkCondition()).rejects.toThrow('Regex input must be a string');
       });
 
-      it('should throw error for regex_not_match with non-string value', () => {
+      it('should throw error for regex_not_match with non-string value', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello', operator: 'regex_not_match', value: 123 }
         });
-        expect(() => step.checkCondition()).toThrow('Regex input must be a string');
+        await expect(step.checkCondition()).rejects.toThrow('Regex input must be a string');
       });
     });
 
     describe('nullish operators', () => {
-      it('should evaluate nullish correctly for null', () => {
+      it('should evaluate nullish correctly for null', async () => {
         const step = new LogicStep({
           conditional: { subject: null, operator: 'nullish', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate nullish correctly for undefined', () => {
+      it('should evaluate nullish correctly for undefined', async () => {
         const step = new LogicStep({
           conditional: { subject: undefined, operator: 'nullish', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate nullish correctly for non-nullish values', () => {
+      it('should evaluate nullish correctly for non-nullish values', async () => {
         const step = new LogicStep({
           conditional: { subject: 0, operator: 'nullish', value: null }
         });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
 
         step.setConditional({ subject: '', operator: 'nullish', value: null });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
 
         step.setConditional({ subject: false, operator: 'nullish', value: null });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should evaluate not_nullish correctly', () => {
+      it('should evaluate not_nullish correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello', operator: 'not_nullish', value: null }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 0, operator: 'not_nullish', value: null });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: null, operator: 'not_nullish', value: null });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
     });
 
     describe('type operators', () => {
-      it('should evaluate is_type correctly', () => {
+      it('should evaluate is_type correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello', operator: 'is_type', value: 'string' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 123, operator: 'is_type', value: 'number' });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: true, operator: 'is_type', value: 'boolean' });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: {}, operator: 'is_type', value: 'object' });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         // Function subjects are called to get their value - use a function that returns a function
         step.setConditional({ subject: () => (() => {}), operator: 'is_type', value: 'function' });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
       });
 
-      it('should evaluate is_not_type correctly', () => {
+      it('should evaluate is_not_type correctly', async () => {
         const step = new LogicStep({
           conditional: { subject: 'hello', operator: 'is_not_type', value: 'number' }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({ subject: 123, operator: 'is_not_type', value: 'string' });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
+      });
+    });
+
+    describe('range operators', () => {
+      it('should evaluate between and not_between inclusively', async () => {
+        const step = new LogicStep({
+          conditional: { subject: 10, operator: 'between', value: [10, 20] }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: 21, operator: 'between', value: [10, 20] });
+        expect(await step.checkCondition()).toBe(false);
+
+        step.setConditional({ subject: 21, operator: 'not_between', value: [10, 20] });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: new Date('2024-06-01'), operator: 'between', value: [new Date('2024-01-01'), new Date('2024-12-31')] });
+        expect(await step.checkCondition()).toBe(true);
+      });
+
+      it('should throw when the range is not a [min, max] array', async () => {
+        const step = new LogicStep({
+          conditional: { subject: 10, operator: 'between', value: 10 }
+        });
+        await expect(step.checkCondition()).rejects.toThrow('Range must be a [min, max] array.');
+      });
+    });
+
+    describe('date operators', () => {
+      it('should evaluate before and after with dates, timestamps, and strings', async () => {
+        const step = new LogicStep({
+          conditional: { subject: '2024-01-01', operator: 'before', value: new Date('2024-02-01') }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: Date.parse('2024-03-01'), operator: 'after', value: '2024-02-01' });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: 'not a date', operator: 'after', value: '2024-02-01' });
+        expect(await step.checkCondition()).toBe(false);
+      });
+
+      it('should evaluate within_last with millisecond, string, and object durations', async () => {
+        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        const step = new LogicStep({
+          conditional: { subject: twoHoursAgo, operator: 'within_last', value: '3h' }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: twoHoursAgo, operator: 'within_last', value: 60 * 60 * 1000 });
+        expect(await step.checkCondition()).toBe(false);
+
+        step.setConditional({ subject: twoHoursAgo, operator: 'within_last', value: { days: 1 } });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: new Date(Date.now() + 60000), operator: 'within_last', value: '1d' });
+        expect(await step.checkCondition()).toBe(false);
+      });
+
+      it('should throw for invalid durations', async () => {
+        const step = new LogicStep({
+          conditional: { subject: new Date(), operator: 'within_last', value: 'a while' }
+        });
+        await expect(step.checkCondition()).rejects.toThrow('Invalid duration: "a while"');
+      });
+    });
+
+    describe('structure operators', () => {
+      it('should evaluate deep_equals', async () => {
+        const step = new LogicStep({
+          conditional: { subject: { a: [1, { b: 2 }], c: new Date(0) }, operator: 'deep_equals', value: { a: [1, { b: 2 }], c: new Date(0) } }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: { a: [1, 2] }, operator: 'deep_equals', value: { a: [2, 1] } });
+        expect(await step.checkCondition()).toBe(false);
+
+        step.setConditional({ subject: [1, 2], operator: 'deep_equals', value: { 0: 1, 1: 2 } });
+        expect(await step.checkCondition()).toBe(false);
+      });
+
+      it('should evaluate length_equals, length_gt, and length_lt', async () => {
+        const step = new LogicStep({
+          conditional: { subject: [1, 2, 3], operator: 'length_equals', value: 3 }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: 'abc', operator: 'length_gt', value: 2 });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: new Set([1]), operator: 'length_lt', value: 2 });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: 42, operator: 'length_lt', value: 2 });
+        expect(await step.checkCondition()).toBe(false);
+      });
+
+      it('should evaluate has_key', async () => {
+        const step = new LogicStep({
+          conditional: { subject: { id: 1, name: undefined }, operator: 'has_key', value: 'name' }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: { id: 1 }, operator: 'has_key', value: 'toString' });
+        expect(await step.checkCondition()).toBe(false);
+
+        step.setConditional({ subject: new Map([['id', 1]]), operator: 'has_key', value: 'id' });
+        expect(await step.checkCondition()).toBe(true);
+      });
+    });
+
+    describe('case-insensitive operators', () => {
+      it('should compare strings ignoring case', async () => {
+        const step = new LogicStep({
+          conditional: { subject: 'Hello World', operator: 'equals_ignore_case', value: 'hello world' }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: 'Hello World', operator: 'string_contains_ignore_case', value: 'WORLD' });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: 'Hello World', operator: 'string_starts_with_ignore_case', value: 'hELLO' });
+        expect(await step.checkCondition()).toBe(true);
+
+        step.setConditional({ subject: 42, operator: 'equals_ignore_case', value: '42' });
+        expect(await step.checkCondition()).toBe(false);
       });
     });
 
     describe('custom_function operator', () => {
-      it('should evaluate custom_function correctly', () => {
+      it('should evaluate custom_function correctly', async () => {
         const step = new LogicStep({
           conditional: {
             subject: 10,
@@ -583,30 +709,217 @@ describe('LogicStep', () => {
             value: (subject) => subject > 5 && subject < 15
           }
         });
-        expect(step.checkCondition()).toBe(true);
+        expect(await step.checkCondition()).toBe(true);
 
         step.setConditional({
           subject: 20,
           operator: 'custom_function',
           value: (subject) => subject > 5 && subject < 15
         });
-        expect(step.checkCondition()).toBe(false);
+        expect(await step.checkCondition()).toBe(false);
       });
 
-      it('should throw error for custom_function with non-function value', () => {
+      it('should throw error for custom_function with non-function value', async () => {
         const step = new LogicStep({
           conditional: { subject: 10, operator: 'custom_function', value: 'not a function' }
         });
-        expect(() => step.checkCondition()).toThrow('Invalid custom function');
+        await expect(step.checkCondition()).rejects.toThrow('Invalid custom function');
+      });
+    });
+
+    describe('registered comparators', () => {
+      afterEach(() => {
+        LogicStep.unregisterComparator('is_valid_email');
+        LogicStep.unregisterComparator('within_business_hours');
+      });
+
+      it('should use a registered comparator by name with the resolved subject and value', async () => {
+        LogicStep.registerComparator('is_valid_email', (subject) => /^[^@\s]+@[^@\s]+$/.test(subject));
+        LogicStep.registerComparator('within_business_hours', async (subject, value, step) => {
+          return step.name === 'hours' && subject >= value.open && subject < value.close;
+        });
+
+        const email = new LogicStep({ conditional: { subject: async () => 'a@b.co', operator: 'is_valid_email' } });
+        const hours = new LogicStep({ name: 'hours', conditional: { subject: 10, operator: 'within_business_hours', value: () => ({ open: 9, close: 17 }) } });
+
+        expect(await email.checkCondition()).toBe(true);
+        expect(await hours.checkCondition()).toBe(true);
+      });
+
+      it('should reject built-in names, duplicates, and non-functions', () => {
+        LogicStep.registerComparator('is_valid_email', () => true);
+
+        expect(() => LogicStep.registerComparator('between', () => true)).toThrow('Comparator "between" is built in and cannot be replaced.');
+        expect(() => LogicStep.registerComparator('===', () => true)).toThrow('is built in');
+        expect(() => LogicStep.registerComparator('is_valid_email', () => true)).toThrow('Comparator "is_valid_email" is already registered.');
+        expect(() => LogicStep.registerComparator('within_business_hours', 'nope')).toThrow('must be a function');
+      });
+
+      it('should stop matching once unregistered', async () => {
+        LogicStep.registerComparator('is_valid_email', () => true);
+        const step = new LogicStep({ conditional: { subject: 'x', operator: 'is_valid_email' } });
+
+        expect(LogicStep.unregisterComparator('is_valid_email')).toBe(true);
+        await expect(step.checkCondition()).rejects.toThrow('Unknown operator: is_valid_email');
       });
     });
 
     describe('unknown operator', () => {
-      it('should throw error for unknown operator', () => {
+      it('should throw error for unknown operator', async () => {
         const step = new LogicStep({
           conditional: { subject: 10, operator: 'unknown_operator', value: 5 }
         });
-        expect(() => step.checkCondition()).toThrow('Unknown operator: unknown_operator');
+        await expect(step.checkCondition()).rejects.toThrow('Unknown operator: unknown_operator');
+      });
+    });
+
+    describe('async conditionals', () => {
+      it('should await async subjects, values, and custom functions', async () => {
+        const flag = async () => 'enabled';
+
+        expect(await new LogicStep({ conditional: { subject: flag, operator: '===', value: async () => 'enabled' } }).checkCondition()).toBe(true);
+        expect(await new LogicStep({ conditional: { subject: flag, operator: 'custom_function', value: async (subject) => subject === 'disabled' } }).checkCondition()).toBe(false);
+        expect(await new LogicStep({ conditional: { any: [{ subject: flag, operator: '===', value: 'off' }, { subject: flag, operator: 'not_empty' }] } }).checkCondition()).toBe(true);
+      });
+
+      it('should reject when an evaluation exceeds condition_timeout_ms', async () => {
+        const slow = () => new Promise(resolve => setTimeout(resolve, 50, true));
+
+        const step = new LogicStep({ name: 'slow-check', conditional: { subject: slow, operator: '===', value: true }, condition_timeout_ms: 5 });
+        await expect(step.checkCondition()).rejects.toThrow('Condition of step "slow-check" timed out after 5ms');
+
+        step.condition_timeout_ms = 500;
+        expect(await step.checkCondition()).toBe(true);
+      });
+    });
+
+    describe('state and result references', () => {
+      it('should read $state references from State', async () => {
+        State.set('user', { age: 21 });
+        State.set('limits.min_age', 18);
+
+        const step = new LogicStep({
+          conditional: { subject: { $state: 'user.age' }, operator: '>=', value: { $state: 'limits.min_age' } }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        State.set('user.age', 16);
+        expect(await step.checkCondition()).toBe(false);
+      });
+
+      it('should read $state references from an isolated workflow scope', async () => {
+        State.set('plan', 'free');
+        const workflow = new Workflow({
+          name: 'isolated',
+          isolated_state: true,
+          steps: [
+            new Step({ name: 'upgrade', callable: async function () { this.setState('plan', 'pro'); } }),
+            new ConditionalStep({
+              name: 'check',
+              conditional: { subject: { $state: 'plan' }, operator: '===', value: 'pro' },
+              true_callable: async () => 'pro',
+              false_callable: async () => 'free'
+            })
+          ]
+        });
+
+        await workflow.execute();
+
+        expect(workflow.output.result).toBe('pro');
+        expect(State.get('plan')).toBe('free');
+      });
+
+      it('should read $result references by step name or ID, with an optional path', async () => {
+        const workflow = new Workflow({
+          name: 'results',
+          steps: [
+            new Step({ id: 'load-order', name: 'load order', callable: async () => ({ total: 250, items: ['a', 'b'] }) }),
+            new ConditionalStep({
+              name: 'check',
+              conditional: {
+                all: [
+                  { subject: { $result: 'load order', path: 'total' }, operator: '>', value: 100 },
+                  { subject: { $result: 'load-order', path: 'items[1]' }, operator: '===', value: 'b' },
+                  { subject: { $result: 'not run yet' }, operator: 'nullish' }
+                ]
+              },
+              true_callable: async () => 'large',
+              false_callable: async () => 'small'
+            })
+          ]
+        });
+
+        await workflow.execute();
+
+        expect(workflow.output.result).toBe('large');
+      });
+
+      it('should throw for $result references outside a workflow', async () => {
+        const step = new LogicStep({ name: 'orphan', conditional: { subject: { $result: 'load' }, operator: 'nullish' } });
+
+        await expect(step.checkCondition()).rejects.toThrow('Step "orphan" must run in a workflow to read the result of "load".');
+      });
+    });
+
+    describe('conditional groups', () => {
+      const user = { status: 'active', age: 16, role: 'admin' };
+
+      it('should combine all, any, and not groups', async () => {
+        const step = new LogicStep({
+          conditional: {
+            any: [
+              { all: [
+                { subject: () => user.status, operator: '===', value: 'active' },
+                { subject: () => user.age, operator: '>=', value: 18 },
+              ] },
+              { subject: () => user.role, operator: 'in', value: ['admin', 'owner'] },
+            ],
+          }
+        });
+        expect(await step.checkCondition()).toBe(true);
+
+        user.role = 'guest';
+        expect(await step.checkCondition()).toBe(false);
+
+        step.setConditional({ not: step.conditional_config });
+        expect(await step.checkCondition()).toBe(true);
+      });
+
+      it('should short-circuit all and any groups', async () => {
+        const skipped = vi.fn(() => 1);
+
+        const all = new LogicStep({
+          conditional: { all: [{ subject: 1, operator: '===', value: 2 }, { subject: skipped, operator: '===', value: 1 }] }
+        });
+        const any = new LogicStep({
+          conditional: { any: [{ subject: 1, operator: '===', value: 1 }, { subject: skipped, operator: '===', value: 1 }] }
+        });
+
+        expect(await all.checkCondition()).toBe(false);
+        expect(await any.checkCondition()).toBe(true);
+        expect(skipped).not.toHaveBeenCalled();
+      });
+
+      it('should throw when an all or any group is not an array', async () => {
+        const step = new LogicStep({ conditional: { all: { subject: 1, operator: '===', value: 1 } } });
+        await expect(step.checkCondition()).rejects.toThrow('Conditional group "all" must be an array.');
+      });
+
+      it('should validate the whole tree', () => {
+        const check = { subject: 1, operator: '===', value: 1 };
+
+        expect(new LogicStep({ conditional: { all: [check, { not: { any: [check] } }] } }).conditionalIsValid()).toBe(true);
+        expect(new LogicStep({ conditional: { all: [check, { not: { any: [{ subject: null, operator: '===' }] } }] } }).conditionalIsValid()).toBe(false);
+        expect(new LogicStep({ conditional: { any: [] } }).conditionalIsValid()).toBe(false);
+        expect(new LogicStep({ conditional: { not: null } }).conditionalIsValid()).toBe(false);
+      });
+
+      it('should copy groups in setConditional', () => {
+        const conditional = { all: [{ subject: 1, operator: '===', value: 1, extra: true }] };
+        const step = new LogicStep({ conditional });
+
+        expect(step.conditional_config).toEqual({ all: [{ subject: 1, operator: '===', value: 1 }] });
+        expect(step.conditional_config.all).not.toBe(conditional.all);
       });
     });
   });
@@ -822,6 +1135,20 @@ describe('ConditionalStep', () => {
     });
   });
 
+  describe('async conditionals', () => {
+    it('should run the branch picked by an async subject', async () => {
+      const step = new ConditionalStep({
+        conditional: { subject: async () => false, operator: '===', value: true },
+        true_callable: async () => 'yes',
+        false_callable: async () => 'no'
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toBe('no');
+    });
+  });
+
   describe('events', () => {
     it('should emit CONDITIONAL_TRUE_BRANCH_EXECUTED when condition is true', async () => {
       const eventSpy = vi.fn();
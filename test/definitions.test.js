@@ -0,0 +1,331 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Workflow from '../src/classes/workflow.js';
+import Step from '../src/classes/steps/step.js';
+import ConditionalStep from '../src/classes/steps/conditional_step.js';
+import LogicStep from '../src/classes/steps/logic_step.js';
+import State from '../src/classes/state.js';
+import { workflow_definition_schema } from '../src/schemas/index.js';
+import { sub_step_types } from '../src/enums/index.js';
+
+const createDefinition = () => ({
+  version: 1,
+  id: 'order-flow',
+  name: 'order flow',
+  exit_on_error: true,
+  steps: [
+    { type: 'step', name: 'load', callable: 'loadOrder', max_retries: 2, retry_policy: { backoff: 'fixed', delay_ms: 0, retry_on: 'isTransient' } },
+    {
+      type: 'conditional',
+      name: 'check total',
+      conditional: { subject: { $callable: 'getTotal' }, operator: '>', value: 100 },
+      true_callable: 'flagLarge',
+      false_callable: { type: 'step', name: 'nested', callable: 'flagSmall' },
+    },
+    {
+      type: 'switch',
+      name: 'route',
+      subject: 'express',
+      cases: [
+        { type: 'case', name: 'standard', conditional: { operator: '===', value: 'standard' }, callable: 'shipStandard' },
+        { type: 'case', name: 'express', conditional: { operator: '===', value: 'express' }, callable: 'shipExpress' },
+      ],
+      default_callable: 'shipStandard',
+    },
+    { type: 'loop', name: 'items', loop_type: 'for_each', iterable: [1, 2, 3], callable: 'double' },
+    { type: 'logic', name: 'logic', conditional: { subject: 1, operator: '===', value: 1 }, condition_timeout_ms: 1000, callable: 'flagLarge' },
+    { type: 'flow_control', name: 'skip', conditional: { subject: 1, operator: '===', value: 2 }, flow_control_type: 'skip' },
+    { type: 'delay', name: 'wait', delay_type: 'relative', relative_delay_ms: 0 },
+    {
+      type: 'parallel',
+      name: 'notify',
+      callables: ['notifyEmail', { steps: [{ type: 'step', name: 'sms', callable: 'notifySms' }] }],
+      concurrency: 2,
+    },
+  ],
+});
+
+describe('Workflow definitions', () => {
+  let calls;
+  let callables;
+
+  beforeEach(() => {
+    State.reset();
+    State.set('log_suppress', true);
+
+    calls = [];
+    callables = {
+      loadOrder: async () => calls.push('load'),
+      isTransient: () => true,
+      getTotal: () => 250,
+      flagLarge: async () => calls.push('large'),
+      flagSmall: async () => calls.push('small'),
+      shipStandard: async () => calls.push('standard'),
+      shipExpress: async () => calls.push('express'),
+      double: async function () { return this.current_item * 2; },
+      notifyEmail: async () => calls.push('email'),
+      notifySms: async () => calls.push('sms'),
+    };
+  });
+
+  afterEach(() => {
+    State.reset();
+  });
+
+  describe('fromJSON', () => {
+    it('should build every step type from a definition and run it', async () => {
+      const workflow = Workflow.fromJSON(createDefinition(), { callables });
+
+      expect(workflow.id).toBe('order-flow');
+      expect(workflow.exit_on_error).toBe(true);
+      expect(workflow.steps.map(step => step.constructor.step_name)).toEqual([
+        'step', 'conditional', 'switch', 'loop', 'logic', 'flow_control', 'delay', 'parallel',
+      ]);
+
+      await workflow.execute();
+
+      expect(calls).toEqual(expect.arrayContaining(['load', 'large', 'express', 'email', 'sms']));
+      expect(calls).not.toContain('small');
+      expect(workflow.steps[3].results).toEqual([2, 4, 6]);
+    });
+
+    it('should resolve retry_on and $callable values from the registry', () => {
+      const workflow = Workflow.fromJSON(createDefinition(), { callables });
+
+      expect(workflow.steps[0].retry_policy.retry_on).toBe(callables.isTransient);
+      expect(workflow.steps[1].conditional_config.subject).toBe(callables.getTotal);
+    });
+
+    it('should accept a JSON string', () => {
+      const workflow = Workflow.fromJSON(JSON.stringify(createDefinition()), { callables });
+
+      expect(workflow.name).toBe('order flow');
+      expect(workflow.steps).toHaveLength(8);
+    });
+
+    it('should load, validate, and serialize conditional groups', async () => {
+      const definition = createDefinition();
+      definition.steps[1].conditional = {
+        all: [
+          { subject: { $callable: 'getTotal' }, operator: '>', value: 100 },
+          { not: { subject: 'express', operator: '===', value: 'standard' } },
+        ],
+      };
+
+      const workflow = Workflow.fromJSON(definition, { callables });
+
+      expect(workflow.steps[1].conditional_config.all[0].subject).toBe(callables.getTotal);
+      expect(await workflow.steps[1].checkCondition()).toBe(true);
+      expect(workflow.toJSON().steps[1].conditional).toEqual(definition.steps[1].conditional);
+
+      definition.steps[1].conditional = { any: [] };
+      expect(() => Workflow.validateDefinition(definition)).toThrow('steps[1].conditional.any: must have at least 1 item');
+    });
+
+    it('should accept $state and $result references in conditionals', async () => {
+      State.set('limits.large_order', 100);
+      const definition = createDefinition();
+      definition.steps[1].conditional = { subject: { $result: 'load' }, operator: '<', value: { $state: 'limits.large_order' } };
+
+      const workflow = Workflow.fromJSON(definition, { callables });
+      await workflow.execute();
+
+      expect(calls).toContain('large');
+      expect(workflow.toJSON().steps[1].conditional).toEqual(definition.steps[1].conditional);
+
+      definition.steps[1].conditional.value = { $state: 'limits', extra: true };
+      expect(() => Workflow.validateDefinition(definition)).toThrow('steps[1].conditional.value.extra: is not a known property');
+    });
+
+    it('should load multi-value cases, fallthrough, and match modes', async () => {
+      const definition = createDefinition();
+      definition.steps[2].match_mode = 'all';
+      definition.steps[2].cases = [
+        { type: 'case', name: 'standard', conditional: { operator: '===' }, values: ['standard', 'economy'], callable: 'shipStandard' },
+        { type: 'case', name: 'express', values: ['express', 'overnight'], fallthrough: true, callable: 'shipExpress' },
+      ];
+
+      const workflow = Workflow.fromJSON(definition, { callables });
+      await workflow.execute();
+
+      expect(calls).toEqual(expect.arrayContaining(['express', 'standard']));
+      expect(workflow.steps[2].result).toHaveLength(2);
+      expect(workflow.toJSON().steps[2]).toMatchObject({
+        match_mode: 'all',
+        cases: [
+          { conditional: { subject: null, operator: '===' }, values: ['standard', 'economy'], fallthrough: false },
+          { conditional: { subject: null, operator: '===' }, values: ['express', 'overnight'], fallthrough: true },
+        ],
+      });
+
+      definition.steps[2].match_mode = 'every';
+      expect(() => Workflow.validateDefinition(definition)).toThrow('steps[2].match_mode: must be one of first, all');
+    });
+
+    it('should build nested step and workflow callables', () => {
+      const workflow = Workflow.fromJSON(createDefinition(), { callables });
+
+      expect(workflow.steps[1]._false_callable_raw).toBeInstanceOf(Step);
+      expect(workflow.steps[7].callables[1]).toBeInstanceOf(Workflow);
+      expect(workflow.steps[7].callables[1].steps[0].name).toBe('sms');
+    });
+  });
+
+  describe('validation', () => {
+    it('should point to the exact path of an invalid value', () => {
+      const definition = createDefinition();
+      definition.steps[2].cases[1].conditional.operator = 'roughly';
+
+      expect(() => Workflow.fromJSON(definition, { callables }))
+        .toThrow(/steps\[2\]\.cases\[1\]\.conditional\.operator: must be one of/);
+    });
+
+    it('should report callables missing from the registry', () => {
+      const definition = createDefinition();
+      definition.steps[7].callables[1].steps[0].callable = 'notifyPigeon';
+
+      expect(() => Workflow.fromJSON(definition, { callables }))
+        .toThrow('steps[7].callables[1].steps[0].callable: callable "notifyPigeon" is not in the callables registry');
+    });
+
+    it('should report unknown properties, unknown types, and missing steps', () => {
+      let error;
+
+      try {
+        Workflow.validateDefinition({
+          exit_on_eror: true,
+          steps: [
+            { type: 'teleport', name: 'x' },
+            { type: 'delay', relative_delay_ms: -1 },
+          ],
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.errors).toEqual([
+        { path: 'exit_on_eror', message: 'is not a known property' },
+        { path: 'steps[0].type', message: `must be one of ${Object.values(sub_step_types).join(', ')}` },
+        { path: 'steps[1].relative_delay_ms', message: 'must be at least 0' },
+      ]);
+      expect(() => Workflow.validateDefinition({ name: 'empty' })).toThrow('steps: is required');
+      expect(() => Workflow.validateDefinition({
+        steps: [{ type: 'poll', conditional: { subject: 1, operator: '===', value: 1 }, interval_ms: 0 }],
+      })).toThrow('steps[0].interval_ms: must be greater than 0');
+    });
+
+    it('should accept registered comparators as operators', async () => {
+      const definition = createDefinition();
+      definition.steps[1].conditional = { subject: { $callable: 'getTotal' }, operator: 'is_large_order' };
+
+      expect(() => Workflow.validateDefinition(definition)).toThrow('steps[1].conditional.operator: must be one of');
+
+      LogicStep.registerComparator('is_large_order', (subject) => subject > 100);
+
+      try {
+        const workflow = Workflow.fromJSON(definition, { callables });
+        await workflow.execute();
+
+        expect(calls).toContain('large');
+        expect(workflow.toJSON().steps[1].conditional.operator).toBe('is_large_order');
+      } finally {
+        LogicStep.unregisterComparator('is_large_order');
+      }
+    });
+
+    it('should skip callable name checks without a registry', () => {
+      expect(() => Workflow.validateDefinition(createDefinition())).not.toThrow();
+    });
+
+    it('should export the JSON schema', () => {
+      expect(workflow_definition_schema.$defs.step_definition.properties.type.enum).toEqual(Object.values(sub_step_types));
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should round-trip a loaded definition', () => {
+      const definition = Workflow.fromJSON(createDefinition(), { callables }).toJSON();
+      const reloaded = Workflow.fromJSON(JSON.parse(JSON.stringify(definition)), { callables });
+
+      expect(JSON.parse(JSON.stringify(reloaded))).toEqual(JSON.parse(JSON.stringify(definition)));
+      expect(definition.steps[1]).toMatchObject({
+        conditional: { subject: { $callable: 'getTotal' }, operator: '>', value: 100 },
+        true_callable: 'flagLarge',
+        false_callable: { type: 'step', name: 'nested', callable: 'flagSmall' },
+      });
+      expect(definition.steps[0].retry_policy.retry_on).toBe('isTransient');
+      expect(definition.steps[4].condition_timeout_ms).toBe(1000);
+      expect(definition.steps[7].callables[0]).toBe('notifyEmail');
+    });
+
+    it('should name functions from a registry', () => {
+      async function sendReceipt() {}
+      const charge = async () => {};
+      const workflow = new Workflow({
+        name: 'coded',
+        steps: [
+          new Step({ name: 'charge', callable: charge }),
+          new ConditionalStep({
+            name: 'receipt',
+            conditional: { subject: true, operator: '===', value: true },
+            true_callable: sendReceipt,
+          }),
+        ],
+      });
+
+      const definition = workflow.toJSON({ callables: { chargeCard: charge, sendReceipt } });
+
+      expect(definition.steps[0].callable).toBe('chargeCard');
+      expect(definition.steps[1].true_callable).toBe('sendReceipt');
+      expect(definition.steps[1].false_callable).toBeUndefined();
+      expect(() => Workflow.validateDefinition(definition)).not.toThrow();
+    });
+
+    it('should throw for functions that are not in the registry', () => {
+      async function sendReceipt() {}
+      const workflow = new Workflow({
+        steps: [
+          new Step({ name: 'charge', callable: async () => {} }),
+          new Step({ name: 'receipt', callable: sendReceipt }),
+        ],
+      });
+
+      expect(() => workflow.toJSON({ callables: { sendReceipt } }))
+        .toThrow('Callable "callable" is not in the callables registry');
+      expect(() => new Step({ callable: sendReceipt }).toJSON())
+        .toThrow('Callable "sendReceipt" is not in the callables registry');
+      expect(() => new Step({ callable: [() => {}][0] }).toJSON())
+        .toThrow('Callable "anonymous" is not in the callables registry');
+    });
+
+    it('should be used by JSON.stringify without changing event payloads', async () => {
+      const workflow = Workflow.fromJSON(createDefinition(), { callables });
+      let payload;
+
+      State.get('events.workflow').on(State.get('event_names.workflow').WORKFLOW_COMPLETE, (data) => {
+        payload = data;
+      });
+
+      expect(JSON.parse(JSON.stringify(workflow))).toEqual(JSON.parse(JSON.stringify(workflow.toJSON())));
+
+      await workflow.execute();
+
+      expect(payload.status).toBe(State.get('statuses.workflow').COMPLETE);
+      expect(payload.steps).toBeUndefined();
+    });
+
+    it('should not be used for event payloads of steps with unregistered callables', async () => {
+      const workflow = new Workflow({ steps: [new Step({ name: 'anonymous', callable: async () => 'done' })] });
+      let payload;
+
+      State.get('events.workflow').on(State.get('event_names.workflow').WORKFLOW_COMPLETE, (data) => {
+        payload = data;
+      });
+
+      await workflow.execute();
+
+      expect(payload.results[0].data.name).toBe('anonymous');
+      expect(payload.results[0].data.result).toBe('done');
+      expect(payload.results[0].data.type).toBeUndefined();
+    });
+  });
+});
@@ -287,6 +287,35 @@ describe('DelayStep', () => {
     });
   });
 
+  describe('cancellation', () => {
+    it('should cancel the scheduled job when the signal aborts', async () => {
+      const controller = new AbortController();
+      const step = new DelayStep({ relative_delay_ms: 1000 });
+
+      const executing = step.execute({ signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const cancelSpy = vi.spyOn(step.scheduled_job, 'cancel');
+      controller.abort();
+      await executing;
+
+      expect(cancelSpy).toHaveBeenCalled();
+      expect(step.status).toBe(State.get('statuses.step').CANCELLED);
+    });
+
+    it('should cancel a pending delay when the workflow is cancelled', async () => {
+      const step = new DelayStep({ relative_delay_ms: 1000 });
+      const workflow = new Workflow({ steps: [step] });
+
+      const executing = workflow.execute();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      workflow.cancel();
+      await executing;
+
+      expect(workflow.status).toBe(State.get('statuses.workflow').CANCELLED);
+      expect(step.scheduled_job.nextInvocation()).toBeNull();
+    });
+  });
+
   describe('integration with Workflow', () => {
     it('should work as a step in a workflow', async () => {
       const results = [];
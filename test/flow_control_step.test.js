@@ -105,6 +105,38 @@ describe('FlowControlStep', () => {
       expect(result.results[0].data.result).toBe(false);
     });
 
+    it('should evaluate conditional groups', async () => {
+      const workflow = new Workflow({
+        name: 'test-workflow',
+        steps: [
+          new FlowControlStep({
+            conditional: { not: { any: [{ subject: 5, operator: '<', value: 3 }, { subject: 'a', operator: '===', value: 'b' }] } },
+            flow_control_type: flow_control_types.BREAK
+          })
+        ]
+      });
+
+      const result = await workflow.execute();
+
+      expect(result.results[0].data.result).toBe(true);
+    });
+
+    it('should await an async condition', async () => {
+      const workflow = new Workflow({
+        name: 'test-workflow',
+        steps: [
+          new FlowControlStep({
+            conditional: { subject: async () => 5, operator: '>', value: 3 },
+            flow_control_type: flow_control_types.BREAK
+          })
+        ]
+      });
+
+      const result = await workflow.execute();
+
+      expect(result.results[0].data.result).toBe(true);
+    });
+
     it('should emit true branch event when condition is met', async () => {
       const eventSpy = vi.fn();
       const stepEvents = State.get('events.step');
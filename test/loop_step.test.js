@@ -1,9 +1,10 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import LoopStep from '../src/classes/steps/loop_step.js';
 import Step from '../src/classes/steps/step.js';
+import FlowControlStep from '../src/classes/steps/flow_control_step.js';
 import Workflow from '../src/classes/workflow.js';
 import State from '../src/classes/state.js';
-import { loop_types, step_types } from '../src/enums/index.js';
+import { flow_control_types, loop_end_reasons, loop_types, step_types } from '../src/enums/index.js';
 
 describe('LoopStep', () => {
   beforeEach(() => {
@@ -12,6 +13,7 @@ describe('LoopStep', () => {
   });
 
   afterEach(() => {
+    vi.useRealTimers();
     State.reset();
   });
 
@@ -242,6 +244,242 @@ describe('LoopStep', () => {
     });
   });
 
+  describe('iteration context', () => {
+    it('should pass the index as item and key in for loops', async () => {
+      const step = new LoopStep({
+        loop_type: loop_types.FOR,
+        iterations: 3,
+        callable: async ({ item, index, key, results_so_far }) => `${item}${index}${key}:${results_so_far.length}`
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual(['000:0', '111:1', '222:2']);
+    });
+
+    it('should pass the item, index and key in for_each loops', async () => {
+      const step = new LoopStep({
+        iterable: ['a', 'b'],
+        callable: async ({ item, index, key }) => [item, index, key]
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([['a', 0, 0], ['b', 1, 1]]);
+    });
+
+    it('should iterate over plain object entries and Map entries by key', async () => {
+      const callable = async ({ item, key, index }) => `${index}:${key}=${item}`;
+      const objectLoop = new LoopStep({ iterable: { a: 1, b: 2 }, callable });
+      const mapLoop = new LoopStep({ iterable: () => new Map([[{ id: 7 }, 'x']]), callable: async ({ key, item }) => [key.id, item] });
+
+      expect((await objectLoop.execute()).result.result).toEqual(['0:a=1', '1:b=2']);
+      expect(objectLoop.current_item).toEqual(['b', 2]);
+      expect((await mapLoop.execute()).result.result).toEqual([[7, 'x']]);
+    });
+
+    it('should throw when the iterable cannot be looped over', async () => {
+      const step = new LoopStep({ name: 'numbers', iterable: 42 });
+
+      const result = await step.execute();
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].message).toBe('Iterable of loop step numbers is not iterable');
+    });
+
+    it('should emit LOOP_ITERATION_COMPLETE after every iteration', async () => {
+      const eventSpy = vi.fn();
+      State.get('events.step').on('loop_iteration_complete', eventSpy);
+
+      const step = new LoopStep({
+        iterable: { first: 'a', second: 'b' },
+        callable: async ({ item }) => item
+      });
+
+      await step.execute();
+
+      expect(eventSpy).toHaveBeenCalledTimes(2);
+      expect(eventSpy.mock.calls.map(([data]) => data.last_iteration)).toEqual([
+        { index: 0, key: 'first', item: 'a' },
+        { index: 1, key: 'second', item: 'b' },
+      ]);
+    });
+  });
+
+  describe('REDUCE loop', () => {
+    it('should thread the accumulator and return the final value', async () => {
+      const step = new LoopStep({
+        name: 'sum',
+        loop_type: loop_types.REDUCE,
+        iterable: [1, 2, 3, 4],
+        initial_value: 10,
+        callable: async ({ accumulator, item }) => accumulator + item
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toBe(20);
+      expect(result.result.message).toBe('Reduce loop sum completed after 4 iterations');
+      expect(step.accumulator).toBe(20);
+      expect(step.results).toEqual([11, 13, 16, 20]);
+    });
+
+    it('should call a function initial_value on every run', async () => {
+      const step = new LoopStep({
+        loop_type: loop_types.REDUCE,
+        iterable: { a: 1, b: 2 },
+        initial_value: () => ({}),
+        callable: async ({ accumulator, key, item }) => {
+          accumulator[key] = item * 2;
+          return accumulator;
+        }
+      });
+
+      const first = (await step.execute()).result.result;
+
+      expect(first).toEqual({ a: 2, b: 4 });
+      expect((await step.execute()).result.result).not.toBe(first);
+    });
+
+    it('should keep the accumulator when an iteration continues or breaks', async () => {
+      const step = new LoopStep({
+        loop_type: loop_types.REDUCE,
+        iterable: [1, -1, 2, 99, 3],
+        initial_value: 0,
+        callable: async ({ accumulator, item, loop }) => {
+          if (item < 0) {
+            loop.continue('negative');
+          }
+          if (item === 99) {
+            loop.break('sentinel');
+          }
+          return accumulator + item;
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toBe(3);
+      expect(result.result.message).toContain('broken after 4 iterations: sentinel (1 skipped: negative)');
+    });
+  });
+
+  describe('PARALLEL_FOR_EACH loop', () => {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('should keep result order and pass each item and index in the context', async () => {
+      const step = new LoopStep({
+        name: 'parallel',
+        loop_type: loop_types.PARALLEL_FOR_EACH,
+        iterable: [30, 10, 20],
+        callable: async ({ item, index }) => {
+          await delay(item);
+          return `${index}:${item}`;
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual(['0:30', '1:10', '2:20']);
+      expect(result.result.message).toBe('Parallel for each loop parallel completed after 3 iterations');
+      expect(step.current_item).toBeNull();
+    });
+
+    it('should limit the number of items in flight to concurrency', async () => {
+      let running = 0;
+      let peak = 0;
+      const step = new LoopStep({
+        loop_type: loop_types.PARALLEL_FOR_EACH,
+        iterable: () => [1, 2, 3, 4, 5, 6],
+        concurrency: 2,
+        callable: async ({ item }) => {
+          peak = Math.max(peak, ++running);
+          await delay(5);
+          running--;
+          return item * 2;
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(peak).toBe(2);
+      expect(result.result.result).toEqual([2, 4, 6, 8, 10, 12]);
+    });
+
+    it('should stop starting items and fail on the first error by default', async () => {
+      const started = [];
+      const step = new LoopStep({
+        loop_type: loop_types.PARALLEL_FOR_EACH,
+        iterable: [1, 2, 3, 4],
+        concurrency: 1,
+        callable: async ({ item }) => {
+          started.push(item);
+          if (item === 2) {
+            throw new Error('bad item');
+          }
+          return item;
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].message).toBe('bad item');
+      expect(started).toEqual([1, 2]);
+    });
+
+    it('should collect item errors when stop_on_error is false', async () => {
+      const step = new LoopStep({
+        name: 'collect',
+        loop_type: loop_types.PARALLEL_FOR_EACH,
+        iterable: ['a', 'b', 'c'],
+        stop_on_error: false,
+        callable: async ({ item }) => {
+          if (item === 'b') {
+            throw new Error('no b');
+          }
+          return item.toUpperCase();
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.status).toBe('complete');
+      expect(result.result.result).toEqual(['A', 'C']);
+      expect(result.result.errors).toEqual([{ index: 1, item: 'b', error: expect.objectContaining({ message: 'no b' }) }]);
+      expect(result.result.message).toBe('Parallel for each loop collect completed after 3 iterations, 1 failed');
+    });
+
+    it('should give every invocation its own break and continue controls', async () => {
+      const step = new LoopStep({
+        loop_type: loop_types.PARALLEL_FOR_EACH,
+        iterable: [1, 2, 3, 4, 5, 6],
+        concurrency: 2,
+        callable: async ({ item, loop }) => {
+          if (item === 2) {
+            loop.continue('even');
+          }
+          await delay(item);
+          if (item === 3) {
+            loop.break('three');
+          }
+          return item;
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([1, 4]);
+      expect(step.skipped_iterations).toEqual([{ index: 1, reason: 'even' }]);
+      expect(step.loop_break).toEqual({ index: 2, reason: 'three' });
+    });
+
+    it('should reject an invalid concurrency', () => {
+      expect(() => new LoopStep({ loop_type: loop_types.PARALLEL_FOR_EACH, concurrency: 0 }))
+        .toThrow('Invalid concurrency for loop step: 0');
+    });
+  });
+
   describe('WHILE loop', () => {
     it('should execute while condition is true', async () => {
       let counter = 0;
@@ -263,6 +501,39 @@ describe('LoopStep', () => {
       expect(result.result.message).toContain('5 iterations');
     });
 
+    it('should loop while a conditional group holds', async () => {
+      let counter = 0;
+
+      const step = new LoopStep({
+        loop_type: loop_types.WHILE,
+        conditional: {
+          all: [
+            { subject: () => counter, operator: '<', value: 5 },
+            { not: { subject: () => counter, operator: '===', value: 3 } }
+          ]
+        },
+        callable: async () => ++counter
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([1, 2, 3]);
+    });
+
+    it('should await an async condition on every iteration', async () => {
+      let counter = 0;
+
+      const step = new LoopStep({
+        loop_type: loop_types.WHILE,
+        conditional: { subject: async () => counter, operator: '<', value: 3 },
+        callable: async () => ++counter
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([1, 2, 3]);
+    });
+
     it('should not execute when condition is initially false', async () => {
       const step = new LoopStep({
         loop_type: loop_types.WHILE,
@@ -334,6 +605,155 @@ describe('LoopStep', () => {
     });
   });
 
+  describe('DO_WHILE and UNTIL loops', () => {
+    it('should run a do_while loop once even when the condition starts false', async () => {
+      const subject = vi.fn(() => false);
+      const step = new LoopStep({
+        name: 'once',
+        loop_type: loop_types.DO_WHILE,
+        conditional: { subject, operator: '===', value: true },
+        callable: async () => 'ran'
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual(['ran']);
+      expect(result.result.ended_by).toBe(loop_end_reasons.CONDITION);
+      expect(result.result.message).toBe('Do while loop once completed after 1 iterations');
+      expect(subject).toHaveBeenCalledTimes(1);
+    });
+
+    it('should poll with a do_while loop until the job is done', async () => {
+      let polls = 0;
+      const step = new LoopStep({
+        loop_type: loop_types.DO_WHILE,
+        conditional: { subject: () => polls, operator: '<', value: 3 },
+        callable: async () => ++polls
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([1, 2, 3]);
+    });
+
+    it('should run an until loop until the condition becomes true', async () => {
+      let count = 0;
+      const step = new LoopStep({
+        loop_type: loop_types.UNTIL,
+        conditional: { subject: () => count, operator: '>=', value: 2 },
+        callable: async () => ++count
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([1, 2]);
+      expect(step.ended_by).toBe(loop_end_reasons.CONDITION);
+    });
+
+    it('should not run an until loop whose condition is already true', async () => {
+      const callable = vi.fn();
+      const step = new LoopStep({
+        loop_type: loop_types.UNTIL,
+        conditional: { subject: 1, operator: '===', value: 1 },
+        callable
+      });
+
+      await step.execute();
+
+      expect(callable).not.toHaveBeenCalled();
+    });
+
+    it('should report hitting max_iterations', async () => {
+      const step = new LoopStep({
+        name: 'capped',
+        loop_type: loop_types.UNTIL,
+        max_iterations: 3,
+        conditional: { subject: 1, operator: '===', value: 2 },
+        callable: async () => 'tick'
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toHaveLength(3);
+      expect(result.result.ended_by).toBe(loop_end_reasons.MAX_ITERATIONS);
+      expect(result.result.message).toBe('Until loop capped stopped at max_iterations after 3 iterations');
+    });
+
+    it('should report a break', async () => {
+      const step = new LoopStep({
+        loop_type: loop_types.DO_WHILE,
+        conditional: { subject: 1, operator: '===', value: 1 },
+        callable: async ({ index, loop }) => index === 1 ? loop.break('enough') : index
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([0]);
+      expect(result.result.ended_by).toBe(loop_end_reasons.BREAK);
+    });
+
+    it('should wait iteration_delay_ms between iterations but not before the first', async () => {
+      const times = [];
+      const step = new LoopStep({
+        loop_type: loop_types.WHILE,
+        iteration_delay_ms: 20,
+        conditional: { subject: () => times.length, operator: '<', value: 3 },
+        callable: async () => times.push(Date.now())
+      });
+
+      const start = Date.now();
+      await step.execute();
+
+      expect(times[0] - start).toBeLessThan(20);
+      expect(times[1] - times[0]).toBeGreaterThanOrEqual(15);
+      expect(times[2] - times[1]).toBeGreaterThanOrEqual(15);
+    });
+
+    it('should cancel while waiting between iterations', async () => {
+      const controller = new AbortController();
+      const step = new LoopStep({
+        loop_type: loop_types.DO_WHILE,
+        iteration_delay_ms: 1000,
+        conditional: { subject: 1, operator: '===', value: 1 },
+        callable: async () => 'tick'
+      });
+
+      const execution = step.execute({ signal: controller.signal });
+      setTimeout(() => controller.abort(), 10);
+      const result = await execution;
+
+      expect(result.status).toBe('cancelled');
+      expect(step.results).toEqual(['tick']);
+    });
+
+    it('should keep polling past the default step timeout when max_timeout_ms allows it', async () => {
+      vi.useFakeTimers();
+      let checks = 0;
+      const getChecks = () => checks;
+      const check = async () => ++checks;
+      const step = new LoopStep({
+        loop_type: loop_types.UNTIL,
+        iteration_delay_ms: 10_000,
+        max_timeout_ms: 120_000,
+        conditional: { subject: getChecks, operator: '>=', value: 5 },
+        callable: check
+      });
+
+      const execution = step.execute();
+      await vi.advanceTimersByTimeAsync(50_000);
+      const result = await execution;
+
+      expect(result.status).toBe('complete');
+      expect(step.results).toEqual([1, 2, 3, 4, 5]);
+      expect(step.toJSON({ callables: { getChecks, check } }).max_timeout_ms).toBe(120_000);
+    });
+
+    it('should reject a negative iteration_delay_ms', () => {
+      expect(() => new LoopStep({ loop_type: loop_types.UNTIL, iteration_delay_ms: -1 }))
+        .toThrow('Invalid iteration delay for loop step: -1');
+    });
+  });
+
   describe('GENERATOR loop', () => {
     it('should iterate over generator function', async () => {
       function* numberGenerator() {
@@ -402,6 +822,128 @@ describe('LoopStep', () => {
     });
   });
 
+  describe('break and continue', () => {
+    it('should break a for loop and record the reason in the message', async () => {
+      const step = new LoopStep({
+        name: 'count',
+        loop_type: loop_types.FOR,
+        iterations: 10,
+        callable: async function(context) {
+          if (this.results.length === 3) {
+            return context.loop.break('reached three');
+          }
+          return this.results.length;
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([0, 1, 2]);
+      expect(result.result.message).toBe('For loop count broken after 4 iterations: reached three');
+      expect(step.loop_break).toEqual({ index: 3, reason: 'reached three' });
+    });
+
+    it('should skip the result of a continued for_each iteration', async () => {
+      const step = new LoopStep({
+        name: 'odds',
+        loop_type: loop_types.FOR_EACH,
+        iterable: [1, 2, 3, 4, 5],
+        callable: async function(context) {
+          if (this.current_item % 2 === 0) {
+            context.loop.continue('even');
+          }
+          return this.current_item;
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([1, 3, 5]);
+      expect(result.result.message).toBe('For each loop odds completed after 5 iterations (2 skipped: even)');
+      expect(step.skipped_iterations).toEqual([{ index: 1, reason: 'even' }, { index: 3, reason: 'even' }]);
+    });
+
+    it('should break a while loop before checking the condition again', async () => {
+      let counter = 0;
+      const subject = vi.fn(() => counter);
+      const step = new LoopStep({
+        loop_type: loop_types.WHILE,
+        conditional: { subject, operator: '<', value: 100 },
+        callable: async (context) => {
+          if (++counter === 2) {
+            context.loop.break();
+          }
+          return counter;
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([1]);
+      expect(result.result.message).toContain('broken after 2 iterations');
+      expect(subject).toHaveBeenCalledTimes(2);
+    });
+
+    it('should honor break and continue from a generator', async () => {
+      const step = new LoopStep({
+        loop_type: loop_types.GENERATOR,
+        callable: async function* (context) {
+          for (let i = 0; ; i++) {
+            if (i === 1) {
+              context.loop.continue();
+            }
+            if (i === 3) {
+              context.loop.break('done');
+            }
+            yield i;
+          }
+        }
+      });
+
+      const result = await step.execute();
+
+      expect(result.result.result).toEqual([0, 2]);
+      expect(result.result.message).toContain('broken after 4 iterations: done (1 skipped)');
+    });
+
+    it('should break or continue the loop from a nested FlowControlStep', async () => {
+      let skip_checks = 0;
+      let break_checks = 0;
+      const workflow = new Workflow({
+        name: 'loop-flow-control',
+        steps: [
+          new LoopStep({
+            name: 'skip-second',
+            iterable: ['a', 'b', 'c'],
+            callable: new FlowControlStep({
+              name: 'skip-check',
+              flow_control_type: flow_control_types.SKIP,
+              conditional: { subject: () => ++skip_checks, operator: '===', value: 2 },
+            }),
+          }),
+          new LoopStep({
+            name: 'stop-at-third',
+            loop_type: loop_types.FOR,
+            iterations: 5,
+            callable: new FlowControlStep({
+              name: 'break-check',
+              conditional: { subject: () => ++break_checks, operator: '===', value: 3 },
+            }),
+          }),
+          new Step({ name: 'after', callable: async () => 'still runs' }),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(workflow.steps[0].results).toHaveLength(2);
+      expect(workflow.steps[0].skipped_iterations).toEqual([{ index: 1, reason: 'Skip condition met for step: skip-check' }]);
+      expect(workflow.steps[1].loop_break).toEqual({ index: 2, reason: 'Break condition met for step: break-check' });
+      expect(workflow.steps[1].results).toHaveLength(2);
+      expect(workflow.results_by_name.after).toBe('still runs');
+    });
+  });
+
   describe('integration with Workflow', () => {
     it('should work as a step in a workflow', async () => {
       const workflow = new Workflow({
@@ -0,0 +1,278 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import ParallelStep from '../src/classes/steps/parallel_step.js';
+import Step from '../src/classes/steps/step.js';
+import Workflow from '../src/classes/workflow.js';
+import State from '../src/classes/state.js';
+import { sub_step_types } from '../src/enums/index.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('ParallelStep', () => {
+  beforeEach(() => {
+    State.reset();
+    State.set('log_suppress', true);
+  });
+
+  afterEach(() => {
+    State.reset();
+  });
+
+  describe('constructor', () => {
+    it('should create a parallel step with default options', () => {
+      const step = new ParallelStep({});
+
+      expect(step.id).toBeDefined();
+      expect(step.step_type).toBe('parallel');
+      expect(step.concurrency).toBe(Infinity);
+      expect(step.fail_fast).toBe(false);
+      expect(step.children).toEqual([]);
+      expect(step.results).toEqual([]);
+    });
+
+    it('should wrap function callables in Step instances', () => {
+      const step = new ParallelStep({
+        name: 'fan-out',
+        callables: [async () => 1, async () => 2],
+      });
+
+      expect(step.children).toHaveLength(2);
+      expect(step.children[0]).toBeInstanceOf(Step);
+      expect(step.children[0].name).toBe('fan-out-0');
+    });
+
+    it('should keep Step and Workflow callables as-is', () => {
+      const inner = new Step({ name: 'inner' });
+      const workflow = new Workflow({ name: 'inner-workflow' });
+      const step = new ParallelStep({ callables: [inner, workflow] });
+
+      expect(step.children[0]).toBe(inner);
+      expect(step.children[1]).toBe(workflow);
+    });
+
+    it('should throw for an invalid concurrency', () => {
+      expect(() => new ParallelStep({ concurrency: 0 })).toThrow('Invalid concurrency');
+    });
+
+    it('should take the timeout, retry and compensation options of a Step', () => {
+      const undo = async () => null;
+      const retry_on = () => true;
+      const step = new ParallelStep({
+        callables: [undo],
+        max_retries: 2,
+        retry_policy: { delay_ms: 100, retry_on },
+        max_timeout_ms: 120000,
+        compensate: undo,
+      });
+      const definition = new Workflow({ steps: [step] }).toJSON({ callables: { undo, retry_on } });
+
+      expect(definition.steps[0]).toMatchObject({
+        max_retries: 2,
+        retry_policy: { delay_ms: 100, retry_on: 'retry_on' },
+        max_timeout_ms: 120000,
+        compensate: 'undo',
+      });
+
+      const loaded = Workflow.fromJSON(definition, { callables: { undo, retry_on } }).steps[0];
+
+      expect(loaded.max_retries).toBe(2);
+      expect(loaded.retry_policy).toEqual({ delay_ms: 100, retry_on });
+      expect(loaded.max_timeout_ms).toBe(120000);
+      expect(loaded.compensate).toBe(undo);
+    });
+
+    it('should have static step_name property', () => {
+      expect(ParallelStep.step_name).toBe(sub_step_types.ParallelStep);
+    });
+  });
+
+  describe('execute', () => {
+    it('should return settled results in declaration order', async () => {
+      const step = new ParallelStep({
+        callables: [
+          async () => { await sleep(20); return 'slow'; },
+          async () => 'fast',
+        ],
+      });
+
+      await step.execute();
+
+      expect(step.result.result).toEqual([
+        { status: 'fulfilled', value: 'slow' },
+        { status: 'fulfilled', value: 'fast' },
+      ]);
+    });
+
+    it('should run callables concurrently', async () => {
+      let running = 0;
+      let peak = 0;
+      const task = async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(10);
+        running--;
+      };
+
+      const step = new ParallelStep({ callables: [task, task, task] });
+      await step.execute();
+
+      expect(peak).toBe(3);
+    });
+
+    it('should respect the concurrency cap', async () => {
+      let running = 0;
+      let peak = 0;
+      const task = async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(10);
+        running--;
+      };
+
+      const step = new ParallelStep({ callables: [task, task, task, task, task], concurrency: 2 });
+      await step.execute();
+
+      expect(peak).toBe(2);
+      expect(step.result.result).toHaveLength(5);
+    });
+
+    it('should collect failures without failing the step', async () => {
+      const step = new ParallelStep({
+        callables: [
+          async () => 'ok',
+          async () => { throw new Error('boom'); },
+        ],
+      });
+
+      await step.execute();
+
+      expect(step.status).toBe(State.get('statuses.step').COMPLETE);
+      expect(step.result.result[0]).toEqual({ status: 'fulfilled', value: 'ok' });
+      expect(step.result.result[1].status).toBe('rejected');
+      expect(step.result.result[1].reason.message).toBe('boom');
+    });
+
+    it('should fail the step and stop starting callables when fail_fast is set', async () => {
+      const started = [];
+      const step = new ParallelStep({
+        concurrency: 1,
+        fail_fast: true,
+        callables: [
+          async () => { started.push(0); throw new Error('first failure'); },
+          async () => { started.push(1); return 'never'; },
+        ],
+      });
+
+      await step.execute();
+
+      expect(started).toEqual([0]);
+      expect(step.status).toBe(State.get('statuses.step').FAILED);
+      expect(step.errors[0].message).toBe('first failure');
+    });
+
+    it('should cancel running siblings without waiting for them when fail_fast is set', async () => {
+      let finished = false;
+      const slow = new Step({
+        name: 'slow',
+        callable: ({ signal }) => new Promise((resolve) => {
+          const timer = setTimeout(() => { finished = true; resolve(); }, 200);
+          signal.addEventListener('abort', () => clearTimeout(timer));
+        }),
+      });
+      const step = new ParallelStep({
+        fail_fast: true,
+        callables: [slow, async () => { throw new Error('first failure'); }],
+      });
+
+      const started_at = Date.now();
+      await step.execute();
+
+      expect(Date.now() - started_at).toBeLessThan(200);
+      expect(step.status).toBe(State.get('statuses.step').FAILED);
+      expect(step.errors[0].message).toBe('first failure');
+      expect(slow.status).toBe(State.get('statuses.step').CANCELLED);
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+      expect(finished).toBe(false);
+    });
+
+    it('should emit step events for each child', async () => {
+      const completed = [];
+      const listener = (data) => completed.push(data.name);
+      State.get('events.step').on(State.get('event_names.step').STEP_COMPLETE, listener);
+
+      const step = new ParallelStep({
+        name: 'evented',
+        callables: [async () => 1, async () => 2],
+      });
+      await step.execute();
+
+      State.get('events.step').off(State.get('event_names.step').STEP_COMPLETE, listener);
+
+      expect(completed).toContain('evented-0');
+      expect(completed).toContain('evented-1');
+      expect(completed).toContain('evented');
+    });
+
+    it('should settle Workflow children with their results', async () => {
+      const workflow = new Workflow({
+        name: 'child-workflow',
+        steps: [new Step({ name: 'a', callable: async () => 'a' })],
+      });
+
+      const step = new ParallelStep({ callables: [workflow] });
+      await step.execute();
+
+      expect(step.result.result[0].status).toBe('fulfilled');
+      expect(step.result.result[0].value[0].message).toBe('Success');
+    });
+
+    it('should cancel running children and skip the rest when the signal aborts', async () => {
+      const controller = new AbortController();
+      const started = [];
+      const step = new ParallelStep({
+        concurrency: 1,
+        callables: [
+          async () => { started.push(0); await sleep(50); },
+          async () => { started.push(1); },
+        ],
+      });
+
+      const executing = step.execute({ signal: controller.signal });
+      await sleep(5);
+      controller.abort();
+      await executing;
+
+      expect(started).toEqual([0]);
+      expect(step.status).toBe(State.get('statuses.step').CANCELLED);
+      expect(step.children[0].status).toBe(State.get('statuses.step').CANCELLED);
+    });
+
+    it('should retry the group when fail_fast fails it', async () => {
+      let calls = 0;
+      const step = new ParallelStep({
+        fail_fast: true,
+        max_retries: 1,
+        callables: [async () => { calls++; if (calls === 1) throw new Error('flaky'); return 'ok'; }],
+      });
+
+      await step.execute();
+
+      expect(calls).toBe(2);
+      expect(step.status).toBe(State.get('statuses.step').COMPLETE);
+      expect(step.result.result).toEqual([{ status: 'fulfilled', value: 'ok' }]);
+    });
+
+    it('should work as a step in a workflow', async () => {
+      const step = new ParallelStep({
+        name: 'fetch-all',
+        callables: [async () => 'users', async () => 'orders'],
+      });
+      const workflow = new Workflow({ steps: [step] });
+
+      await workflow.execute();
+
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
+      expect(step.result.result.map(settled => settled.value)).toEqual(['users', 'orders']);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import PollStep from '../src/classes/steps/poll_step.js';
+import Step from '../src/classes/steps/step.js';
+import Workflow from '../src/classes/workflow.js';
+import State from '../src/classes/state.js';
+import { backoff_types, sub_step_types } from '../src/enums/index.js';
+
+describe('PollStep', () => {
+  beforeEach(() => {
+    State.reset();
+    State.set('log_suppress', true);
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    State.reset();
+  });
+
+  describe('constructor', () => {
+    it('should create a poll step with default options', () => {
+      const step = new PollStep({ name: 'ready', probe: async () => true });
+
+      expect(step.interval_ms).toBe(1000);
+      expect(step.backoff).toBe(backoff_types.FIXED);
+      expect(step.max_interval_ms).toBe(Infinity);
+      expect(step.deadline_ms).toBeNull();
+      expect(step.probes).toBe(0);
+    });
+
+    it('should throw for invalid options', () => {
+      const probe = async () => true;
+
+      expect(() => new PollStep({ probe, interval_ms: 0 })).toThrow('Invalid interval for poll step: 0');
+      expect(() => new PollStep({ probe, backoff: 'random' })).toThrow('Invalid backoff for poll step: random');
+      expect(() => new PollStep({ probe, deadline_ms: -1 })).toThrow('Invalid deadline for poll step: -1');
+    });
+
+    it('should throw without a valid conditional or probe', () => {
+      expect(() => new PollStep({ name: 'nothing' })).toThrow('Poll step: nothing requires a valid conditional or a probe callable');
+    });
+
+    it('should have static step_name property', () => {
+      expect(PollStep.step_name).toBe(sub_step_types.PollStep);
+    });
+  });
+
+  describe('polling', () => {
+    it('should re-check the conditional every interval until it is met', async () => {
+      let status = 'pending';
+      setTimeout(() => { status = 'ready'; }, 2500);
+
+      const step = new PollStep({
+        name: 'wait for job',
+        conditional: { subject: () => status, operator: '===', value: 'ready' },
+        interval_ms: 1000,
+      });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(step.probes).toBe(3);
+      expect(step.status).not.toBe('complete');
+
+      await vi.advanceTimersByTimeAsync(1000);
+      const result = await executing;
+
+      expect(result.status).toBe('complete');
+      expect(result.result.probes).toBe(4);
+      expect(result.result.message).toBe('Poll step wait for job met its condition after 4 probes');
+    });
+
+    it('should return the result of a truthy probe', async () => {
+      const probe = vi.fn()
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ url: 'https://example.com/report.csv' });
+      const step = new PollStep({ probe, interval_ms: 500 });
+
+      const executing = step.execute({ input: 'report' });
+      await vi.advanceTimersByTimeAsync(500);
+      const result = await executing;
+
+      expect(probe).toHaveBeenCalledTimes(2);
+      expect(probe.mock.calls[0][0].input).toBe('report');
+      expect(result.result.result).toEqual({ url: 'https://example.com/report.csv' });
+    });
+
+    it('should run Step probes', async () => {
+      let calls = 0;
+      const step = new PollStep({
+        probe: new Step({ name: 'check', callable: async () => ++calls >= 2 }),
+        interval_ms: 100,
+      });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect((await executing).status).toBe('complete');
+      expect(calls).toBe(2);
+    });
+
+    it('should grow the interval with backoff up to max_interval_ms', async () => {
+      const probe_times = [];
+      const start = Date.now();
+      const step = new PollStep({
+        probe: async () => { probe_times.push(Date.now() - start); return probe_times.length === 5; },
+        interval_ms: 100,
+        backoff: backoff_types.EXPONENTIAL,
+        max_interval_ms: 300,
+      });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(1000);
+      await executing;
+
+      expect(probe_times).toEqual([0, 100, 300, 600, 900]);
+    });
+
+    it('should emit POLL_PROBE after every probe', async () => {
+      const probeSpy = vi.fn();
+      State.get('events.step').on(State.get('event_names.step').POLL_PROBE, probeSpy);
+
+      let calls = 0;
+      const step = new PollStep({ probe: async () => ++calls === 2, interval_ms: 50 });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(50);
+      await executing;
+
+      expect(probeSpy).toHaveBeenCalledTimes(2);
+      expect(probeSpy.mock.calls[0][0].probes).toBe(1);
+      expect(probeSpy.mock.calls[0][0].next_probe_at).toBe(new Date(Date.now()).toISOString());
+      expect(probeSpy.mock.calls[1][0].next_probe_at).toBeNull();
+    });
+  });
+
+  describe('deadline', () => {
+    it('should fail with a timeout error once the deadline passes', async () => {
+      const probe = vi.fn(async () => false);
+      const step = new PollStep({ name: 'never ready', probe, interval_ms: 400, deadline_ms: 1000 });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(1000);
+      const result = await executing;
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].message).toBe('Poll step "never ready" timed out after 1000ms: condition not met after 4 probes');
+      expect(probe).toHaveBeenCalledTimes(4);
+    });
+
+    it('should make the last probe at the deadline', async () => {
+      let ready = false;
+      setTimeout(() => { ready = true; }, 900);
+
+      const step = new PollStep({ probe: async () => ready, interval_ms: 5000, deadline_ms: 1000 });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(1000);
+      const result = await executing;
+
+      expect(result.status).toBe('complete');
+      expect(result.result.probes).toBe(2);
+    });
+
+    it('should keep polling past the default step timeout until the deadline', async () => {
+      let ready = false;
+      setTimeout(() => { ready = true; }, 45_000);
+
+      const step = new PollStep({ probe: async () => ready, interval_ms: 10_000, deadline_ms: 60_000 });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(50_000);
+      const result = await executing;
+
+      expect(step.max_timeout_ms).toBe(Infinity);
+      expect(result.status).toBe('complete');
+      expect(result.result.probes).toBe(6);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should cancel the pending wait when the signal aborts', async () => {
+      const controller = new AbortController();
+      const probe = vi.fn(async () => false);
+      const step = new PollStep({ probe, interval_ms: 1000 });
+
+      const executing = step.execute({ signal: controller.signal });
+      await vi.advanceTimersByTimeAsync(1500);
+      const cancelSpy = vi.spyOn(step.scheduled_job, 'cancel');
+      controller.abort();
+      await executing;
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(cancelSpy).toHaveBeenCalled();
+      expect(step.status).toBe(State.get('statuses.step').CANCELLED);
+      expect(probe).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('workflow definitions', () => {
+    it('should round-trip through toJSON and fromJSON', async () => {
+      const isReady = async () => true;
+      const step = new PollStep({
+        name: 'ready',
+        probe: isReady,
+        interval_ms: 250,
+        backoff: backoff_types.LINEAR,
+        deadline_ms: 5000,
+      });
+      const definition = new Workflow({ name: 'poll', steps: [step] }).toJSON({ callables: { isReady } });
+
+      expect(definition.steps[0]).toMatchObject({
+        type: 'poll',
+        probe: 'isReady',
+        interval_ms: 250,
+        backoff: 'linear',
+        deadline_ms: 5000,
+      });
+
+      const loaded = Workflow.fromJSON(definition, { callables: { isReady } }).steps[0];
+
+      expect(loaded).toBeInstanceOf(PollStep);
+      expect(loaded.probe).toBe(isReady);
+      expect(loaded.deadline_ms).toBe(5000);
+    });
+  });
+});
@@ -518,6 +518,26 @@ describe('State', () => {
       events.off(eventNames.SET, handler);
     });
 
+    it('should include the changed path in SET, MERGE and DELETED events', () => {
+      const events = State.get('events.state');
+      const eventNames = State.get('event_names.state');
+      const handler = vi.fn();
+      const listeners = [eventNames.SET, eventNames.MERGE, eventNames.DELETED].map(name => [name, payload => handler(payload)]);
+      listeners.forEach(([name, listener]) => events.on(name, listener));
+
+      State.set('upload.status', 'done');
+      State.merge({ user: { id: 1 }, theme: 'dark' });
+      State.delete('upload.status');
+
+      expect(handler.mock.calls.map(([payload]) => payload.path ?? payload.paths)).toEqual([
+        'upload.status',
+        ['user', 'theme'],
+        'upload.status',
+      ]);
+      expect(handler.mock.calls[0][0].state.upload.status).toBe('done');
+      listeners.forEach(([name, listener]) => events.off(name, listener));
+    });
+
     it('should emit DELETED event on delete()', () => {
       const events = State.get('events.state');
       const eventNames = State.get('event_names.state');
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import StateScope from '../src/classes/state_scope.js';
+import State from '../src/classes/state.js';
+
+describe('StateScope', () => {
+  beforeEach(() => {
+    State.reset();
+    State.set('log_suppress', true);
+  });
+
+  afterEach(() => {
+    State.reset();
+  });
+
+  describe('constructor', () => {
+    it('should create a scope with default options', () => {
+      const scope = new StateScope();
+
+      expect(scope.id).toBeDefined();
+      expect(scope.read_through).toBe(true);
+      expect(scope.store).toEqual({});
+      expect(scope.disposed).toBe(false);
+    });
+
+    it('should start with the initial state', () => {
+      const scope = new StateScope({ id: 'tenant-a', initial_state: { user: { id: 1 } } });
+
+      expect(scope.id).toBe('tenant-a');
+      expect(scope.get('user.id')).toBe(1);
+    });
+  });
+
+  describe('get', () => {
+    it('should read from the global State when a key is missing', () => {
+      State.set('config.region', 'eu');
+      const scope = new StateScope();
+
+      expect(scope.get('config.region')).toBe('eu');
+    });
+
+    it('should prefer its own values over global ones', () => {
+      State.set('config.region', 'eu');
+      const scope = new StateScope();
+      scope.set('config.region', 'us');
+
+      expect(scope.get('config.region')).toBe('us');
+      expect(State.get('config.region')).toBe('eu');
+    });
+
+    it('should not read through when read_through is false', () => {
+      State.set('config.region', 'eu');
+      const scope = new StateScope({ read_through: false });
+
+      expect(scope.get('config.region')).toBeNull();
+      expect(scope.get('config.region', 'none')).toBe('none');
+    });
+
+    it('should always read library keys from the global State', () => {
+      const scope = new StateScope({ read_through: false });
+
+      expect(scope.get('statuses.step')).toBe(State.get('statuses.step'));
+      expect(scope.get('events.state')).toBe(State.get('events.state'));
+    });
+
+    it('should return its own values for an empty path', () => {
+      const scope = new StateScope({ initial_state: { a: 1 } });
+
+      expect(scope.get()).toEqual({ a: 1 });
+    });
+  });
+
+  describe('set', () => {
+    it('should not write to the global State', () => {
+      const scope = new StateScope();
+      scope.set('items[0].name', 'first');
+
+      expect(scope.store).toEqual({ items: [{ name: 'first' }] });
+      expect(State.get('items')).toBeNull();
+    });
+
+    it('should write library keys to the global State', () => {
+      const scope = new StateScope();
+      scope.set('exit_on_error', true);
+
+      expect(State.get('exit_on_error')).toBe(true);
+      expect(scope.store).toEqual({});
+    });
+
+    it('should emit a set event tagged with the scope ID and path', () => {
+      const listener = vi.fn();
+      State.get('events.state').on(State.get('event_names.state').SET, listener);
+
+      const scope = new StateScope({ id: 'tenant-a' });
+      scope.set('count', 1);
+
+      State.get('events.state').off(State.get('event_names.state').SET, listener);
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ scope_id: 'tenant-a', path: 'count' }));
+    });
+
+    it('should throw for an empty path', () => {
+      expect(() => new StateScope().set('', 1)).toThrow(State.get('messages.errors').INVALID_STATE_PATH);
+    });
+  });
+
+  describe('delete', () => {
+    it('should delete nested values from the scope only', () => {
+      State.set('user.name', 'global');
+      const scope = new StateScope({ initial_state: { user: { name: 'scoped', id: 1 } } });
+
+      scope.delete('user.name');
+
+      expect(scope.store).toEqual({ user: { id: 1 } });
+      expect(State.get('user.name')).toBe('global');
+    });
+  });
+
+  describe('dispose', () => {
+    it('should discard values and reject further access', () => {
+      const scope = new StateScope({ initial_state: { a: 1 } });
+
+      scope.dispose();
+
+      expect(scope.disposed).toBe(true);
+      expect(scope.store).toEqual({});
+      expect(() => scope.get('a')).toThrow(State.get('messages.errors').STATE_SCOPE_DISPOSED);
+      expect(() => scope.set('a', 2)).toThrow(State.get('messages.errors').STATE_SCOPE_DISPOSED);
+    });
+
+    it('should emit scope_disposed once', () => {
+      const listener = vi.fn();
+      State.get('events.state').on(State.get('event_names.state').SCOPE_DISPOSED, listener);
+
+      const scope = new StateScope();
+      scope.dispose();
+      scope.dispose();
+
+      State.get('events.state').off(State.get('event_names.state').SCOPE_DISPOSED, listener);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getEventListeners } from 'events';
 import Step from '../src/classes/steps/step.js';
 import Workflow from '../src/classes/workflow.js';
 import State from '../src/classes/state.js';
@@ -359,26 +360,50 @@ describe('Step', () => {
       expect(step.result).toBe('done');
     });
 
-    it('should create the timeout promise only once across retries', async () => {
-      let callCount = 0;
+    it('should clear its timeout timer once it settles', async () => {
+      const step = new Step({ name: 'cleared-step', max_timeout_ms: 1000, callable: async () => 'done' });
+
+      await step.execute();
+
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should start a new timeout on every execute call', async () => {
+      const step = new Step({
+        name: 'rerun-step',
+        max_timeout_ms: 1000,
+        callable: async () => new Promise((resolve) => setTimeout(resolve, 600, 'done')),
+      });
+
+      const first = step.execute();
+      await vi.advanceTimersByTimeAsync(600);
+      await first;
+
+      const second = step.execute();
+      await vi.advanceTimersByTimeAsync(600);
+      await second;
+
+      expect(step.status).toBe(State.get('statuses.step').COMPLETE);
+      expect(step.errors).toHaveLength(0);
+    });
+
+    it('should start a new timeout promise for every attempt', async () => {
+      const timeouts = [];
       const step = new Step({
         name: 'retry-timeout-step',
         max_retries: 2,
         max_timeout_ms: 1000,
-        callable: async () => {
-          callCount++;
+        callable: async function () {
+          timeouts.push(this.timeout);
           throw new Error('fail');
         },
       });
 
-      const promise = step.execute();
-      await promise;
-
-      const firstTimeout = step.timeout;
-      expect(firstTimeout).not.toBeNull();
+      await step.execute();
 
-      // timeout is the same promise object set on first execute
-      expect(step.timeout).toBe(firstTimeout);
+      expect(timeouts).toHaveLength(3);
+      expect(new Set(timeouts).size).toBe(3);
+      expect(vi.getTimerCount()).toBe(0);
     });
 
     it('should set start_time only on the first execute call', async () => {
@@ -527,6 +552,304 @@ describe('Step', () => {
     });
   });
 
+  describe('retry policy', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should wait the backoff delay between attempts', async () => {
+      vi.useFakeTimers();
+      let callCount = 0;
+      const step = new Step({
+        name: 'backoff',
+        max_retries: 2,
+        max_timeout_ms: 60000,
+        retry_policy: { backoff: 'exponential', delay_ms: 100 },
+        callable: async () => {
+          callCount++;
+          if (callCount < 3) throw new Error('flaky');
+          return 'ok';
+        },
+      });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(callCount).toBe(1);
+
+      await vi.advanceTimersByTimeAsync(100);
+      expect(callCount).toBe(2);
+
+      await vi.advanceTimersByTimeAsync(199);
+      expect(callCount).toBe(2);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await executing;
+
+      expect(callCount).toBe(3);
+      expect(step.result).toBe('ok');
+    });
+
+    it('should give every attempt its own timeout and keep backoff waits out of it', async () => {
+      vi.useFakeTimers();
+      let callCount = 0;
+      const step = new Step({
+        name: 'r',
+        max_retries: 5,
+        max_timeout_ms: 100,
+        retry_policy: { delay_ms: 50 },
+        callable: async () => {
+          callCount++;
+          await new Promise(resolve => setTimeout(resolve, 40));
+          if (callCount < 4) throw new Error('flaky');
+          return 'ok';
+        },
+      });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(1000);
+      await executing;
+
+      expect(callCount).toBe(4);
+      expect(step.status).toBe(State.get('statuses.step').COMPLETE);
+      expect(step.retry_results.map(({ error }) => error?.message ?? null)).toEqual(['flaky', 'flaky', null]);
+    });
+
+    it('should retry an attempt that timed out', async () => {
+      vi.useFakeTimers();
+      let callCount = 0;
+      const retry_on = vi.fn(() => true);
+      const step = new Step({
+        name: 'r',
+        max_retries: 1,
+        max_timeout_ms: 100,
+        retry_policy: { retry_on },
+        callable: async () => {
+          callCount++;
+          return callCount === 1 ? new Promise(() => {}) : 'ok';
+        },
+      });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(100);
+      await executing;
+
+      expect(retry_on).toHaveBeenCalledTimes(1);
+      expect(retry_on.mock.calls[0][0].message).toBe('Step "r" timed out after 100ms');
+      expect(step.status).toBe(State.get('statuses.step').COMPLETE);
+      expect(step.result).toBe('ok');
+    });
+
+    it('should not retry errors rejected by retry_on', async () => {
+      let callCount = 0;
+      const retry_on = vi.fn((error) => error.message !== 'invalid input');
+      const step = new Step({
+        max_retries: 3,
+        retry_policy: { retry_on },
+        callable: async () => {
+          callCount++;
+          throw new Error('invalid input');
+        },
+      });
+
+      await step.execute();
+
+      expect(callCount).toBe(1);
+      expect(retry_on).toHaveBeenCalledWith(expect.any(Error), 1);
+      expect(step.status).toBe(State.get('statuses.step').FAILED);
+      expect(step.errors[0].message).toBe('invalid input');
+    });
+
+    it('should emit STEP_RETRYING with the attempt number and next delay', async () => {
+      const events = [];
+      State.get('events.step').on(State.get('event_names.step').STEP_RETRYING, (data) => events.push(data));
+      const step = new Step({
+        name: 'retrying',
+        max_retries: 2,
+        retry_policy: { backoff: 'linear', delay_ms: 1 },
+        callable: async () => {
+          throw new Error('down');
+        },
+      });
+
+      await step.execute();
+
+      expect(events.map(({ next_retry }) => next_retry)).toEqual([
+        { attempt: 1, delay_ms: 1, error: { name: 'Error', message: 'down' } },
+        { attempt: 2, delay_ms: 2, error: { name: 'Error', message: 'down' } },
+      ]);
+      expect(events[0].name).toBe('retrying');
+      expect(events[0].max_retries).toBe(2);
+      expect(step.next_retry).toBeNull();
+    });
+
+    it('should record the error, duration and timestamp of each retry', async () => {
+      let callCount = 0;
+      const step = new Step({
+        max_retries: 2,
+        callable: async () => {
+          callCount++;
+          if (callCount === 2) throw new Error('second attempt failed');
+          if (callCount === 1) throw new Error('first attempt failed');
+          return 'third time lucky';
+        },
+      });
+
+      await step.execute();
+
+      expect(step.retry_results).toHaveLength(2);
+      expect(step.retry_results[0]).toMatchObject({ retry_count: 1, result: null });
+      expect(step.retry_results[0].error.message).toBe('second attempt failed');
+      expect(step.retry_results[1]).toMatchObject({ retry_count: 2, result: 'third time lucky', error: null });
+      expect(step.retry_results[1].timestamp).toBeInstanceOf(Date);
+      expect(typeof step.retry_results[1].duration_ms).toBe('number');
+    });
+
+    it('should cancel the step while waiting to retry', async () => {
+      const controller = new AbortController();
+      let callCount = 0;
+      const step = new Step({
+        name: 'waiting',
+        max_retries: 3,
+        retry_policy: { delay_ms: 10000 },
+        callable: async () => {
+          callCount++;
+          throw new Error('down');
+        },
+      });
+
+      const executing = step.execute({ signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      controller.abort('shutting down');
+      await executing;
+
+      expect(callCount).toBe(1);
+      expect(step.status).toBe(State.get('statuses.step').CANCELLED);
+      expect(step.errors[0].message).toBe('Step "waiting" was cancelled: shutting down');
+    });
+
+    it('should throw for unknown backoff types', () => {
+      expect(() => new Step({ retry_policy: { backoff: 'random' } })).toThrow('Unknown backoff type "random"');
+    });
+  });
+
+  describe('runCompensation', () => {
+    it('should return null without a compensate callable', async () => {
+      const step = new Step({});
+
+      expect(await step.runCompensation()).toBeNull();
+    });
+
+    it('should bind function compensations to the step and record the result', async () => {
+      const step = new Step({
+        name: 'reserve',
+        compensate: async function ({ result }) {
+          return `${this.name} released ${result}`;
+        },
+      });
+
+      const result = await step.runCompensation({ result: 'seat-4' });
+
+      expect(result).toBe('reserve released seat-4');
+      expect(step.compensation_result).toBe(result);
+      expect(step.status).toBe(State.get('statuses.step').COMPENSATED);
+    });
+
+    it('should mark the step and rethrow when compensation fails', async () => {
+      const step = new Step({
+        compensate: async () => {
+          throw new Error('cannot undo');
+        },
+      });
+
+      await expect(step.runCompensation()).rejects.toThrow('cannot undo');
+      expect(step.compensation_error.message).toBe('cannot undo');
+      expect(step.status).toBe(State.get('statuses.step').COMPENSATION_FAILED);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should pass an abort signal to function callables', async () => {
+      const controller = new AbortController();
+      let received = null;
+      const step = new Step({
+        callable: async ({ signal }) => {
+          received = signal;
+        },
+      });
+
+      await step.execute({ signal: controller.signal });
+
+      expect(received).toBe(controller.signal);
+    });
+
+    it('should mark the step as cancelled when the signal aborts', async () => {
+      const controller = new AbortController();
+      const step = new Step({
+        name: 'long',
+        max_retries: 3,
+        callable: () => new Promise(resolve => setTimeout(resolve, 50)),
+      });
+
+      const executing = step.execute({ signal: controller.signal });
+      controller.abort('stop');
+      await executing;
+
+      expect(step.status).toBe(State.get('statuses.step').CANCELLED);
+      expect(step.retry_count).toBe(0);
+      expect(step.errors[0].message).toBe('Step "long" was cancelled: stop');
+      expect(step.timing.cancel_time).toBeInstanceOf(Date);
+    });
+
+    it('should not run the callable when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const callable = vi.fn();
+      const step = new Step({ callable });
+
+      await step.execute({ signal: controller.signal });
+
+      expect(callable).not.toHaveBeenCalled();
+      expect(step.status).toBe(State.get('statuses.step').CANCELLED);
+    });
+
+    it('should not throw on cancel when exit_on_error is set', async () => {
+      State.set('exit_on_error', true);
+      const controller = new AbortController();
+      const step = new Step({ callable: () => new Promise(resolve => setTimeout(resolve, 50)) });
+
+      const executing = step.execute({ signal: controller.signal });
+      controller.abort();
+
+      await expect(executing).resolves.toBe(step);
+    });
+
+    it('should pass the signal to a nested step callable', async () => {
+      const controller = new AbortController();
+      let received = null;
+      const inner = new Step({ callable: async ({ signal }) => { received = signal; } });
+      const outer = new Step({ callable: inner });
+
+      await outer.execute({ signal: controller.signal });
+
+      expect(received).toBe(controller.signal);
+    });
+
+    it('should remove its abort listeners from the signal once it settles', async () => {
+      const controller = new AbortController();
+      const nested = new Workflow({ steps: [new Step({ callable: async () => 'inner' })] });
+
+      for (let i = 0; i < 20; i++) {
+        await new Step({ callable: async () => i }).execute({ signal: controller.signal });
+        await new Step({ callable: new Step({ callable: async () => i }) }).execute({ signal: controller.signal });
+      }
+
+      await new Step({ callable: nested }).execute({ signal: controller.signal });
+      await new Step({ callable: async () => { throw new Error('failed'); } }).execute({ signal: controller.signal });
+
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+    });
+  });
+
   describe('getCallableType', () => {
     it('should return "function" for a function', () => {
       const step = new Step({});
@@ -4,7 +4,7 @@ import SwitchStep from '../src/classes/steps/switch_step.js';
 import Step from '../src/classes/steps/step.js';
 import Workflow from '../src/classes/workflow.js';
 import State from '../src/classes/state.js';
-import { conditional_step_comparators, step_types } from '../src/enums/index.js';
+import { conditional_step_comparators, step_types, switch_match_modes } from '../src/enums/index.js';
 
 describe('Case', () => {
   beforeEach(() => {
@@ -150,10 +150,35 @@ describe('Case', () => {
 
       expect(caseStep.conditional_config.subject).toBe('existing');
     });
+
+    it('should set the subject of every check in a conditional group', async () => {
+      const caseStep = new Case({
+        conditional: {
+          any: [
+            { operator: '===', value: 'a' },
+            { not: { subject: 'kept', operator: '===', value: 'b' } }
+          ]
+        }
+      });
+
+      caseStep.switch_subject = 'b';
+
+      expect(caseStep.conditional_config.any[0].subject).toBe('b');
+      expect(caseStep.conditional_config.any[1].not.subject).toBe('kept');
+      expect(await caseStep.checkCondition()).toBe(true);
+    });
+
+    it('should throw when a check in a group has no subject and none is provided', () => {
+      const caseStep = new Case({
+        conditional: { all: [{ subject: 'a', operator: '===', value: 'a' }, { operator: '===', value: 'b' }] }
+      });
+
+      expect(() => { caseStep.switch_subject = null; }).toThrow('No subject set for case step');
+    });
   });
 
   describe('checkCondition', () => {
-    it('should return true when condition matches', () => {
+    it('should return true when condition matches', async () => {
       const caseStep = new Case({
         conditional: {
           subject: 'hello',
@@ -162,10 +187,10 @@ describe('Case', () => {
         }
       });
 
-      expect(caseStep.checkCondition()).toBe(true);
+      expect(await caseStep.checkCondition()).toBe(true);
     });
 
-    it('should return false when condition does not match', () => {
+    it('should return false when condition does not match', async () => {
       const caseStep = new Case({
         conditional: {
           subject: 'hello',
@@ -174,10 +199,10 @@ describe('Case', () => {
         }
       });
 
-      expect(caseStep.checkCondition()).toBe(false);
+      expect(await caseStep.checkCondition()).toBe(false);
     });
 
-    it('should work with different operators', () => {
+    it('should work with different operators', async () => {
       const caseStep = new Case({
         conditional: {
           subject: 10,
@@ -186,7 +211,7 @@ describe('Case', () => {
         }
       });
 
-      expect(caseStep.checkCondition()).toBe(true);
+      expect(await caseStep.checkCondition()).toBe(true);
     });
   });
 
@@ -329,6 +354,54 @@ describe('SwitchStep', () => {
       expect(result.result).toBe('Result B');
     });
 
+    it('should await an async subject and async case values', async () => {
+      const switchStep = new SwitchStep({
+        subject: async () => 'B',
+        cases: [
+          new Case({ conditional: { operator: '===', value: async () => 'A' }, callable: async () => 'Result A' }),
+          new Case({ conditional: { operator: '===', value: async () => 'B' }, callable: async () => 'Result B' })
+        ]
+      });
+
+      const result = await switchStep.execute();
+
+      expect(result.result).toBe('Result B');
+    });
+
+    it('should let cases read $result references inside a workflow', async () => {
+      const workflow = new Workflow({
+        name: 'route',
+        steps: [
+          new Step({ name: 'limit', callable: async () => 'express' }),
+          new SwitchStep({
+            subject: 'express',
+            cases: [
+              new Case({ conditional: { operator: '===', value: { $result: 'limit' } }, callable: async () => 'matched' })
+            ],
+            default_callable: async () => 'default'
+          })
+        ]
+      });
+
+      await workflow.execute();
+
+      expect(workflow.output).toBe('matched');
+    });
+
+    it('should match cases with the newer comparators', async () => {
+      const switchStep = new SwitchStep({
+        subject: 'EXPRESS',
+        cases: [
+          new Case({ conditional: { operator: 'between', value: ['A', 'C'] }, callable: async () => 'range' }),
+          new Case({ conditional: { operator: 'equals_ignore_case', value: 'express' }, callable: async () => 'express' })
+        ]
+      });
+
+      const result = await switchStep.execute();
+
+      expect(result.result).toBe('express');
+    });
+
     it('should execute default_callable when no case matches', async () => {
       const switchStep = new SwitchStep({
         subject: 'X',
@@ -697,4 +770,161 @@ describe('SwitchStep', () => {
       expect(result.result).toBe('has delete permission');
     });
   });
+
+  describe('multi-value cases, fallthrough and match modes', () => {
+    const createCases = (calls, options = {}) => [
+      new Case({
+        name: 'small',
+        conditional: { operator: '<', value: 10 },
+        callable: async () => { calls.push('small'); return 'small'; },
+        ...options.small,
+      }),
+      new Case({
+        name: 'medium',
+        conditional: { operator: '<', value: 100 },
+        callable: async () => { calls.push('medium'); return 'medium'; },
+        ...options.medium,
+      }),
+      new Case({
+        name: 'large',
+        conditional: { operator: '>=', value: 100 },
+        callable: async () => { calls.push('large'); return 'large'; },
+        ...options.large,
+      }),
+    ];
+
+    it('should match a case against any of its values', async () => {
+      const createSwitch = subject => new SwitchStep({
+        subject,
+        cases: [
+          new Case({ name: 'weekend', values: ['sat', 'sun'], callable: async () => 'weekend' }),
+          new Case({ name: 'weekday', values: ['mon', 'tue', 'wed', 'thu', 'fri'], callable: async () => 'weekday' }),
+        ],
+        default_callable: async () => 'unknown',
+      });
+
+      expect((await createSwitch('sun').execute()).result).toBe('weekend');
+      expect((await createSwitch('wed').execute()).result).toBe('weekday');
+      expect((await createSwitch('Sun').execute()).result).toBe('unknown');
+    });
+
+    it('should compare values with the case operator', async () => {
+      const switchStep = new SwitchStep({
+        subject: 'Hello World',
+        cases: [
+          new Case({
+            conditional: { operator: conditional_step_comparators.STRING_STARTS_WITH_IGNORE_CASE },
+            values: ['goodbye', 'hello'],
+            callable: async () => 'greeting',
+          }),
+        ],
+      });
+
+      expect(new Case({ values: [1, 2] }).conditional_config).toEqual({
+        any: [
+          { subject: null, operator: '===', value: 1 },
+          { subject: null, operator: '===', value: 2 },
+        ],
+      });
+      expect((await switchStep.execute()).result).toBe('greeting');
+    });
+
+    it('should throw when values is not a non-empty array', () => {
+      expect(() => new Case({ name: 'bad', values: [] })).toThrow('Values for case step: bad must be a non-empty array');
+      expect(() => new Case({ name: 'bad', values: 'a' })).toThrow('Values for case step: bad must be a non-empty array');
+    });
+
+    it('should run the following cases without checking them while cases fall through', async () => {
+      const calls = [];
+      const switchStep = new SwitchStep({
+        subject: 5,
+        cases: createCases(calls, { small: { fallthrough: true } }),
+      });
+
+      const result = await switchStep.execute();
+
+      expect(calls).toEqual(['small', 'medium']);
+      expect(result.result).toBe('medium');
+    });
+
+    it('should run the default callable when the last case falls through', async () => {
+      const calls = [];
+      const switchStep = new SwitchStep({
+        subject: 500,
+        cases: createCases(calls, { large: { fallthrough: true } }),
+        default_callable: async () => { calls.push('default'); return 'default'; },
+      });
+
+      const result = await switchStep.execute();
+
+      expect(calls).toEqual(['large', 'default']);
+      expect(result.result).toBe('default');
+    });
+
+    it('should run every matching case in all match mode and return their results', async () => {
+      const calls = [];
+      const switchStep = new SwitchStep({
+        subject: 5,
+        match_mode: switch_match_modes.ALL,
+        cases: createCases(calls),
+        default_callable: async () => 'default',
+      });
+
+      const result = await switchStep.execute();
+
+      expect(calls).toEqual(['small', 'medium']);
+      expect(result.result).toEqual(['small', 'medium']);
+    });
+
+    it('should run a case once in all match mode when it both matches and is fallen through to', async () => {
+      const calls = [];
+      const switchStep = new SwitchStep({
+        subject: 5,
+        match_mode: switch_match_modes.ALL,
+        cases: createCases(calls, { small: { fallthrough: true }, medium: { fallthrough: true } }),
+      });
+
+      const result = await switchStep.execute();
+
+      expect(calls).toEqual(['small', 'medium', 'large']);
+      expect(result.result).toEqual(['small', 'medium', 'large']);
+    });
+
+    it('should return the default result in an array when nothing matches in all match mode', async () => {
+      const switchStep = new SwitchStep({
+        subject: 'none',
+        match_mode: switch_match_modes.ALL,
+        cases: [new Case({ values: ['a', 'b'], callable: async () => 'a or b' })],
+        default_callable: async () => 'default',
+      });
+
+      expect((await switchStep.execute()).result).toEqual(['default']);
+    });
+
+    it('should throw on an unknown match mode', () => {
+      expect(() => new SwitchStep({ name: 'bad', match_mode: 'some' })).toThrow('Invalid match mode for switch step: bad');
+    });
+
+    it('should include the matched cases in the SWITCH_CASE_MATCHED event', async () => {
+      const eventSpy = vi.fn();
+      State.get('events.step').on('switch_case_matched', eventSpy);
+
+      const calls = [];
+      const cases = createCases(calls, { small: { fallthrough: true } });
+      const switchStep = new SwitchStep({
+        subject: 5,
+        match_mode: switch_match_modes.ALL,
+        cases,
+      });
+
+      await switchStep.execute();
+
+      expect(eventSpy).toHaveBeenCalledTimes(1);
+      expect(eventSpy.mock.calls[0][0].matched_cases).toEqual([
+        { id: cases[0].id, name: 'small' },
+        { id: cases[1].id, name: 'medium' },
+      ]);
+      expect(cases.map(switch_case => switch_case.is_matched)).toEqual([true, true, false]);
+    });
+  });
 });
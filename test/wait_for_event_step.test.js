@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import WaitForEventStep from '../src/classes/steps/wait_for_event_step.js';
+import Workflow from '../src/classes/workflow.js';
+import State from '../src/classes/state.js';
+import Event from '../src/classes/events/event.js';
+import { sub_step_types } from '../src/enums/index.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('WaitForEventStep', () => {
+  beforeEach(() => {
+    State.reset();
+    State.set('log_suppress', true);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    State.reset();
+  });
+
+  describe('constructor', () => {
+    it('should create a step that listens on the workflow events by default', () => {
+      const step = new WaitForEventStep({ event_name: 'confirmed' });
+
+      expect(step.event_name).toBe('confirmed');
+      expect(step.event_source).toBe('workflow');
+      expect(step.broadcast).toBe(false);
+      expect(step.timeout_ms).toBeNull();
+    });
+
+    it('should throw for an invalid event name or timeout', () => {
+      expect(() => new WaitForEventStep({ name: 'wait' }))
+        .toThrow('Event name for wait for event step: wait must be a non-empty string');
+      expect(() => new WaitForEventStep({ event_name: 'confirmed', timeout_ms: -1 }))
+        .toThrow('Invalid timeout for wait for event step: -1');
+    });
+
+    it('should have static step_name property', () => {
+      expect(WaitForEventStep.step_name).toBe(sub_step_types.WaitForEventStep);
+    });
+  });
+
+  describe('waiting', () => {
+    it('should resolve with the event detail', async () => {
+      const step = new WaitForEventStep({ name: 'wait', event_name: 'confirmed' });
+
+      const executing = step.execute();
+      await tick();
+      State.get('events.workflow').emit('confirmed', { by: 'ada' });
+      const result = await executing;
+
+      expect(result.status).toBe('complete');
+      expect(result.result.result).toEqual({ by: 'ada' });
+      expect(result.result.timed_out).toBe(false);
+      expect(step.event_detail).toEqual({ by: 'ada' });
+    });
+
+    it('should log STEP_WAITING once it is listening', async () => {
+      const waitingSpy = vi.fn();
+      State.get('events.step').on(State.get('event_names.step').STEP_WAITING, waitingSpy);
+
+      const step = new WaitForEventStep({ event_name: 'confirmed', event_source: 'state' });
+      const executing = step.execute();
+      await tick();
+
+      expect(waitingSpy).toHaveBeenCalledTimes(1);
+
+      State.get('events.state').emit('confirmed', {});
+      await executing;
+    });
+
+    it('should listen on a given Event instance and remove its listener afterwards', async () => {
+      const events = new Event();
+      const offSpy = vi.spyOn(events, 'off');
+      const step = new WaitForEventStep({ event_name: 'ready', event_source: events });
+
+      const executing = step.execute();
+      await tick();
+      events.emit('ready', 1);
+
+      expect((await executing).result.result).toBe(1);
+      expect(offSpy).toHaveBeenCalledWith('ready', expect.any(Function));
+    });
+
+    it('should skip events that do not pass the conditional', async () => {
+      const step = new WaitForEventStep({
+        event_name: 'clicked',
+        conditional: { subject: detail => detail.button, operator: '===', value: 'confirm' },
+      });
+
+      const executing = step.execute();
+      await tick();
+      State.get('events.workflow').emit('clicked', { button: 'cancel' });
+      await tick();
+      expect(step.status).not.toBe('complete');
+
+      State.get('events.workflow').emit('clicked', { button: 'confirm' });
+
+      expect((await executing).result.result).toEqual({ button: 'confirm' });
+    });
+
+    it('should fail when the event source is not an Event', async () => {
+      const result = await new WaitForEventStep({ name: 'wait', event_name: 'x', event_source: 'nowhere' }).execute();
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].message).toBe('Event source of step wait is not an Event: nowhere');
+    });
+
+    it('should receive events broadcast from other contexts', async () => {
+      const step = new WaitForEventStep({ event_name: 'remote_confirm', broadcast: true });
+
+      const executing = step.execute();
+      await tick();
+      const channel = new BroadcastChannel('remote_confirm');
+      channel.postMessage({ tab: 2 });
+      channel.close();
+
+      expect((await executing).result.result).toEqual({ tab: 2 });
+    });
+  });
+
+  describe('timeout', () => {
+    it('should fail when the timeout passes without a fallback', async () => {
+      vi.useFakeTimers();
+      const step = new WaitForEventStep({ name: 'wait', event_name: 'never', timeout_ms: 1000 });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(1000);
+      const result = await executing;
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].message).toBe('Step "wait" timed out after 1000ms waiting for event "never"');
+      expect(step.timed_out).toBe(true);
+    });
+
+    it('should run the fallback callable when the timeout passes', async () => {
+      vi.useFakeTimers();
+      const fallback_callable = vi.fn(async () => 'fallback');
+      const step = new WaitForEventStep({ event_name: 'never', timeout_ms: 500, fallback_callable });
+
+      const executing = step.execute({ input: 'x' });
+      await vi.advanceTimersByTimeAsync(500);
+      const result = await executing;
+
+      expect(result.status).toBe('complete');
+      expect(result.result).toMatchObject({ timed_out: true, result: 'fallback' });
+      expect(fallback_callable.mock.calls[0][0].input).toBe('x');
+    });
+
+    it('should keep waiting past the default step timeout', async () => {
+      vi.useFakeTimers();
+      const step = new WaitForEventStep({ event_name: 'confirmed' });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(45_000);
+      State.get('events.workflow').emit('confirmed', { by: 'ada' });
+      const result = await executing;
+
+      expect(step.max_timeout_ms).toBe(Infinity);
+      expect(result.status).toBe('complete');
+      expect(result.result.result).toEqual({ by: 'ada' });
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should stop listening when the signal aborts', async () => {
+      const controller = new AbortController();
+      const events = State.get('events.workflow');
+      const offSpy = vi.spyOn(events, 'off');
+      const step = new WaitForEventStep({ event_name: 'confirmed' });
+
+      const executing = step.execute({ signal: controller.signal });
+      await tick();
+      controller.abort();
+      await executing;
+
+      expect(step.status).toBe(State.get('statuses.step').CANCELLED);
+      expect(offSpy).toHaveBeenCalledWith('confirmed', expect.any(Function));
+    });
+  });
+
+  describe('workflow definitions', () => {
+    it('should round-trip through toJSON and fromJSON', () => {
+      const onTimeout = async () => null;
+      const step = new WaitForEventStep({
+        name: 'wait',
+        event_name: 'confirmed',
+        event_source: 'state',
+        broadcast: true,
+        timeout_ms: 60000,
+        fallback_callable: onTimeout,
+      });
+      const definition = new Workflow({ steps: [step] }).toJSON({ callables: { onTimeout } });
+
+      expect(definition.steps[0]).toMatchObject({
+        type: 'wait_for_event',
+        event_name: 'confirmed',
+        event_source: 'state',
+        broadcast: true,
+        timeout_ms: 60000,
+        fallback_callable: 'onTimeout',
+      });
+
+      const loaded = Workflow.fromJSON(definition, { callables: { onTimeout } }).steps[0];
+
+      expect(loaded).toBeInstanceOf(WaitForEventStep);
+      expect(loaded.fallback_callable).toBe(onTimeout);
+    });
+  });
+});
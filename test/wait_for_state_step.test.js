@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import WaitForStateStep from '../src/classes/steps/wait_for_state_step.js';
+import Step from '../src/classes/steps/step.js';
+import Workflow from '../src/classes/workflow.js';
+import State from '../src/classes/state.js';
+import { sub_step_types } from '../src/enums/index.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('WaitForStateStep', () => {
+  beforeEach(() => {
+    State.reset();
+    State.set('log_suppress', true);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    State.reset();
+  });
+
+  describe('constructor', () => {
+    it('should compare the value at the path when a check has no subject', () => {
+      const step = new WaitForStateStep({ path: 'upload.status', conditional: { operator: '===', value: 'done' } });
+
+      expect(step.conditional_config).toEqual({ subject: { $state: 'upload.status' }, operator: '===', value: 'done' });
+    });
+
+    it('should wait until the path is set by default', () => {
+      const step = new WaitForStateStep({ path: 'token' });
+
+      expect(step.conditional_config.operator).toBe('not_nullish');
+    });
+
+    it('should throw for an invalid path or timeout', () => {
+      expect(() => new WaitForStateStep({ name: 'wait' })).toThrow('Path for wait for state step: wait must be a non-empty string');
+      expect(() => new WaitForStateStep({ path: 'a', timeout_ms: -1 })).toThrow('Invalid timeout for wait for state step: -1');
+    });
+
+    it('should have static step_name property', () => {
+      expect(WaitForStateStep.step_name).toBe(sub_step_types.WaitForStateStep);
+    });
+  });
+
+  describe('waiting', () => {
+    it('should complete at once when the condition already holds', async () => {
+      State.set('upload.status', 'done');
+
+      const result = await new WaitForStateStep({ path: 'upload.status', conditional: { operator: '===', value: 'done' } }).execute();
+
+      expect(result.status).toBe('complete');
+      expect(result.result.result).toBe('done');
+      expect(result.checks).toBe(1);
+    });
+
+    it('should resume once a state change meets the condition', async () => {
+      State.set('upload.status', 'pending');
+      const step = new WaitForStateStep({ name: 'wait', path: 'upload.status', conditional: { operator: '===', value: 'done' } });
+
+      const executing = step.execute();
+      await tick();
+      State.set('upload.status', 'uploading');
+      await tick();
+      expect(step.status).not.toBe('complete');
+
+      State.set('upload.status', 'done');
+      const result = await executing;
+
+      expect(result.status).toBe('complete');
+      expect(result.result).toEqual({ message: 'State path "upload.status" met the condition of step: wait', result: 'done' });
+      expect(step.checks).toBe(3);
+    });
+
+    it('should only re-check on changes that touch the path', async () => {
+      const step = new WaitForStateStep({ path: 'upload.status' });
+
+      const executing = step.execute();
+      await tick();
+      State.set('other', 1);
+      State.set('upload.size', 10);
+      await tick();
+      expect(step.checks).toBe(1);
+
+      State.merge({ upload: { status: 'done' } });
+      await executing;
+
+      expect(step.checks).toBe(2);
+    });
+
+    it('should log STEP_WAITING when the condition does not hold yet', async () => {
+      const waitingSpy = vi.fn();
+      State.get('events.step').on(State.get('event_names.step').STEP_WAITING, waitingSpy);
+
+      const step = new WaitForStateStep({ path: 'ready' });
+      const executing = step.execute();
+      await tick();
+      State.set('ready', true);
+      await executing;
+
+      expect(waitingSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read the path from the workflow state scope', async () => {
+      const workflow = new Workflow({
+        isolated_state: true,
+        steps: [
+          new Step({ name: 'later', callable: async function () { setTimeout(() => this.setState('job', 'done'), 5); } }),
+          new WaitForStateStep({ name: 'wait', path: 'job', conditional: { operator: '===', value: 'done' } }),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(workflow.results_by_name.wait.result).toBe('done');
+      expect(State.get('job')).toBeNull();
+    });
+  });
+
+  describe('timeout', () => {
+    it('should fail when the timeout passes', async () => {
+      vi.useFakeTimers();
+      const step = new WaitForStateStep({ name: 'wait', path: 'never', timeout_ms: 1000 });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(1000);
+      const result = await executing;
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].message).toBe('Step "wait" timed out after 1000ms waiting for state path "never"');
+    });
+
+    it('should keep waiting past the default step timeout', async () => {
+      vi.useFakeTimers();
+      const step = new WaitForStateStep({ name: 'wait', path: 'upload.status' });
+
+      const executing = step.execute();
+      await vi.advanceTimersByTimeAsync(45_000);
+      State.set('upload.status', 'done');
+      const result = await executing;
+
+      expect(step.max_timeout_ms).toBe(Infinity);
+      expect(result.status).toBe('complete');
+      expect(result.result.result).toBe('done');
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should stop listening when the signal aborts', async () => {
+      const controller = new AbortController();
+      const offSpy = vi.spyOn(State.get('events.state'), 'off');
+      const step = new WaitForStateStep({ path: 'never' });
+
+      const executing = step.execute({ signal: controller.signal });
+      await tick();
+      controller.abort();
+      await executing;
+
+      expect(step.status).toBe(State.get('statuses.step').CANCELLED);
+      expect(offSpy).toHaveBeenCalledTimes(3);
+
+      State.set('never', 1);
+      await tick();
+      expect(step.checks).toBe(1);
+    });
+  });
+
+  describe('isWatchedChange()', () => {
+    it('should match the path, its parents and its children', () => {
+      const step = new WaitForStateStep({ path: 'upload.files[0]' });
+
+      expect(step.isWatchedChange({ path: 'upload.files[0]' })).toBe(true);
+      expect(step.isWatchedChange({ path: 'upload' })).toBe(true);
+      expect(step.isWatchedChange({ path: 'upload.files.0.name' })).toBe(true);
+      expect(step.isWatchedChange({ path: 'upload.files[1]' })).toBe(false);
+      expect(step.isWatchedChange({ paths: ['user', 'upload'] })).toBe(true);
+      expect(step.isWatchedChange({ path: 'upload', scope_id: 'another-run' })).toBe(false);
+    });
+  });
+
+  describe('workflow definitions', () => {
+    it('should round-trip through toJSON and fromJSON', () => {
+      const step = new WaitForStateStep({ name: 'wait', path: 'upload.status', conditional: { operator: '===', value: 'done' }, timeout_ms: 5000 });
+      const definition = new Workflow({ steps: [step] }).toJSON();
+
+      expect(definition.steps[0]).toMatchObject({
+        type: 'wait_for_state',
+        path: 'upload.status',
+        conditional: { subject: { $state: 'upload.status' }, operator: '===', value: 'done' },
+        timeout_ms: 5000,
+      });
+
+      const loaded = Workflow.fromJSON(definition).steps[0];
+
+      expect(loaded).toBeInstanceOf(WaitForStateStep);
+      expect(loaded.conditional_config).toEqual(step.conditional_config);
+    });
+  });
+});
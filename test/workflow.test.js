@@ -356,9 +356,115 @@ describe('Workflow', () => {
       await workflow.execute();
       expect(workflow.status).toBe(State.get('statuses.workflow').PAUSED);
       
-      // Resume re-executes from beginning and completes
+      // Resume continues from step2 and completes
       await workflow.resume();
       expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
+      expect(step1Count).toBe(1);
+    });
+
+    it('should continue after the step that was running when the workflow paused', async () => {
+      const calls = [];
+      const workflow = new Workflow({
+        steps: ['send-email', 'await-approval', 'notify'].map(name => new Step({
+          name,
+          callable: async function () {
+            calls.push(name);
+
+            if (name === 'send-email' && calls.length === 1) {
+              State.get('workflows')[this.parentWorkflowId].pause();
+            }
+
+            return name;
+          },
+        })),
+      });
+
+      await workflow.execute();
+      expect(workflow.cursor).toBe(1);
+
+      await workflow.resume();
+
+      expect(calls).toEqual(['send-email', 'await-approval', 'notify']);
+      expect(workflow.results).toHaveLength(3);
+      expect(workflow.results_by_name).toEqual({ 'send-email': 'send-email', 'await-approval': 'await-approval', notify: 'notify' });
+    });
+
+    it('should re-run the interrupted step when rerun_interrupted_step is true', async () => {
+      const calls = [];
+      let paused = false;
+      const workflow = new Workflow({
+        steps: ['first', 'second', 'third'].map(name => new Step({
+          name,
+          callable: async function () {
+            calls.push(name);
+
+            if (name === 'second' && !paused) {
+              paused = true;
+              State.get('workflows')[this.parentWorkflowId].pause();
+            }
+          },
+        })),
+      });
+
+      await workflow.execute();
+      await workflow.resume({ rerun_interrupted_step: true });
+
+      expect(calls).toEqual(['first', 'second', 'second', 'third']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
+    });
+
+    it('should emit WORKFLOW_RESUMED with the resume position', async () => {
+      const events = [];
+      State.get('events.workflow').on(State.get('event_names.workflow').WORKFLOW_RESUMED, (data) => events.push(data));
+      const workflow = new Workflow({
+        steps: [
+          new Step({ name: 'pauser', callable: async function () { State.get('workflows')[this.parentWorkflowId].pause(); } }),
+          new Step({ name: 'next' }),
+        ],
+      });
+
+      await workflow.execute();
+      await workflow.resume();
+
+      expect(events).toHaveLength(1);
+      expect(events[0].id).toBe(workflow.id);
+      expect(events[0].resume_position).toEqual({
+        index: 1,
+        step_id: workflow.steps[1].id,
+        step_name: 'next',
+        interrupted_steps: [workflow.steps[0].id],
+        rerun_interrupted_step: false,
+      });
+    });
+
+    it('should not re-run completed steps when resuming a graph workflow', async () => {
+      const calls = [];
+      let paused = false;
+      const workflow = new Workflow({
+        steps: [
+          new Step({
+            name: 'a',
+            callable: async function () {
+              calls.push('a');
+
+              if (!paused) {
+                paused = true;
+                State.get('workflows')[this.parentWorkflowId].pause();
+              }
+            },
+          }),
+          new Step({ name: 'b', depends_on: ['a'], callable: async () => calls.push('b') }),
+        ],
+      });
+
+      await workflow.execute();
+      expect(workflow.status).toBe(State.get('statuses.workflow').PAUSED);
+      expect(workflow.cursor).toBe(1);
+
+      await workflow.resume();
+
+      expect(calls).toEqual(['a', 'b']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
     });
 
     it('should set resume_time on timing', async () => {
@@ -978,6 +1084,563 @@ describe('Workflow', () => {
     });
   });
 
+  describe('dependency graph', () => {
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it('should default depends_on to an empty array', () => {
+      const step = new Step({ name: 'no-deps' });
+
+      expect(step.depends_on).toEqual([]);
+    });
+
+    it('should report graph mode only when a step declares dependencies', () => {
+      const a = new Step({ name: 'a' });
+      const b = new Step({ name: 'b', depends_on: ['a'] });
+
+      expect(new Workflow({ steps: [a] }).isGraph()).toBe(false);
+      expect(new Workflow({ steps: [a, b] }).isGraph()).toBe(true);
+    });
+
+    it('should compute a topological order', () => {
+      const c = new Step({ name: 'c', depends_on: ['b'] });
+      const b = new Step({ name: 'b', depends_on: ['a'] });
+      const a = new Step({ name: 'a' });
+      const workflow = new Workflow({ steps: [c, b, a] });
+
+      expect(workflow.getExecutionOrder().map(step => step.name)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should resolve dependencies by id or name', () => {
+      const a = new Step({ name: 'a' });
+      const b = new Step({ name: 'b', depends_on: [a.id] });
+      const c = new Step({ name: 'c', depends_on: ['a'] });
+      const workflow = new Workflow({ steps: [a, b, c] });
+
+      expect(workflow.getStepDependencies(b)).toEqual([a]);
+      expect(workflow.getStepDependencies(c)).toEqual([a]);
+    });
+
+    it('should detect cycles when adding a step', () => {
+      const a = new Step({ name: 'a', depends_on: ['b'] });
+      const b = new Step({ name: 'b', depends_on: ['a'] });
+      const workflow = new Workflow({ steps: [a] });
+
+      expect(() => workflow.addStep(b)).toThrow('Circular dependency detected: a -> b -> a');
+      expect(workflow.steps).toHaveLength(1);
+    });
+
+    it('should detect a step depending on itself', () => {
+      const workflow = new Workflow({});
+
+      expect(() => workflow.addStep(new Step({ name: 'self', depends_on: ['self'] }))).toThrow('Circular dependency');
+    });
+
+    it('should throw on execute when a dependency is unknown', async () => {
+      const workflow = new Workflow({
+        steps: [new Step({ name: 'orphan', depends_on: ['missing'] })]
+      });
+
+      await expect(workflow.execute()).rejects.toThrow('Unknown dependency "missing"');
+    });
+
+    it('should wait for dependencies and run independent branches concurrently', async () => {
+      const events = [];
+      let running = 0;
+      let peak = 0;
+      const task = (name) => async () => {
+        running++;
+        peak = Math.max(peak, running);
+        events.push(`start:${name}`);
+        await sleep(10);
+        events.push(`end:${name}`);
+        running--;
+        return name;
+      };
+
+      const workflow = new Workflow({
+        steps: [
+          new Step({ name: 'users', callable: task('users') }),
+          new Step({ name: 'orders', callable: task('orders') }),
+          new Step({ name: 'merge', callable: task('merge'), depends_on: ['users', 'orders'] }),
+        ]
+      });
+
+      await workflow.execute();
+
+      expect(peak).toBe(2);
+      expect(events.indexOf('start:merge')).toBeGreaterThan(events.indexOf('end:users'));
+      expect(events.indexOf('start:merge')).toBeGreaterThan(events.indexOf('end:orders'));
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
+      expect(workflow.results).toHaveLength(3);
+    });
+
+    it('should skip only downstream dependents when exit_on_error is true', async () => {
+      const ran = [];
+      const workflow = new Workflow({
+        exit_on_error: true,
+        steps: [
+          new Step({ name: 'fails', callable: async () => { throw new Error('boom'); } }),
+          new Step({ name: 'child', depends_on: ['fails'], callable: async () => ran.push('child') }),
+          new Step({ name: 'grandchild', depends_on: ['child'], callable: async () => ran.push('grandchild') }),
+          new Step({ name: 'independent', callable: async () => ran.push('independent') }),
+          new Step({ name: 'after-independent', depends_on: ['independent'], callable: async () => ran.push('after-independent') }),
+        ]
+      });
+
+      await workflow.execute();
+
+      expect(ran.sort()).toEqual(['after-independent', 'independent']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').FAILED);
+
+      const skipped = workflow.results.filter(result => result.data?.skipped);
+      expect(skipped.map(result => workflow.resolveStepReference(result.data.step_id).name).sort()).toEqual(['child', 'grandchild']);
+      expect(skipped[0].message).toContain('skipped because upstream step');
+    });
+
+    it('should still run dependents of a failed step when exit_on_error is false', async () => {
+      const ran = [];
+      const workflow = new Workflow({
+        steps: [
+          new Step({ name: 'fails', callable: async () => { throw new Error('boom'); } }),
+          new Step({ name: 'child', depends_on: ['fails'], callable: async () => ran.push('child') }),
+        ]
+      });
+
+      await workflow.execute();
+
+      expect(ran).toEqual(['child']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
+    });
+
+    it('should stop launching steps when should_break is set', async () => {
+      const ran = [];
+      const workflow = new Workflow({
+        steps: [
+          new Step({
+            name: 'breaker',
+            callable: async function() {
+              ran.push('breaker');
+              State.get('workflows')[this.parentWorkflowId].should_break = true;
+            }
+          }),
+          new Step({ name: 'after', depends_on: ['breaker'], callable: async () => ran.push('after') }),
+        ]
+      });
+
+      await workflow.execute();
+
+      expect(ran).toEqual(['breaker']);
+    });
+  });
+
+  describe('cancel', () => {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('should stop the loop and abort the running step', async () => {
+      let aborted_with = null;
+      const slow = new Step({
+        name: 'slow',
+        callable: ({ signal }) => new Promise((resolve) => {
+          signal.addEventListener('abort', () => {
+            aborted_with = signal.reason;
+            resolve('stopped');
+          });
+        }),
+      });
+      const after = vi.fn(async () => 'never');
+      const workflow = new Workflow({ steps: [slow, new Step({ name: 'after', callable: after })] });
+
+      const executing = workflow.execute();
+      await sleep(5);
+      workflow.cancel('user requested');
+      await executing;
+
+      expect(workflow.status).toBe(State.get('statuses.workflow').CANCELLED);
+      expect(slow.status).toBe(State.get('statuses.step').CANCELLED);
+      expect(slow.errors[0].message).toBe('Step "slow" was cancelled: user requested');
+      expect(aborted_with).toBe('user requested');
+      expect(after).not.toHaveBeenCalled();
+      expect(workflow.timing.cancel_time).toBeInstanceOf(Date);
+      expect(workflow.results[workflow.results.length - 1]).toEqual({
+        message: 'Workflow cancelled',
+        data: { reason: 'user requested', step_id: slow.id },
+      });
+    });
+
+    it('should stop a step that ignores the signal', async () => {
+      const workflow = new Workflow({
+        steps: [new Step({ name: 'stubborn', callable: () => sleep(50) })],
+      });
+
+      const executing = workflow.execute();
+      await sleep(5);
+      workflow.cancel();
+      await executing;
+
+      expect(workflow.status).toBe(State.get('statuses.workflow').CANCELLED);
+      expect(workflow.steps[0].status).toBe(State.get('statuses.step').CANCELLED);
+    });
+
+    it('should emit WORKFLOW_CANCELLED and STEP_CANCELLED', async () => {
+      const workflow_listener = vi.fn();
+      const step_listener = vi.fn();
+      State.get('events.workflow').on(State.get('event_names.workflow').WORKFLOW_CANCELLED, workflow_listener);
+      State.get('events.step').on(State.get('event_names.step').STEP_CANCELLED, step_listener);
+
+      const workflow = new Workflow({ steps: [new Step({ callable: () => sleep(50) })] });
+      const executing = workflow.execute();
+      await sleep(5);
+      workflow.cancel();
+      await executing;
+
+      State.get('events.workflow').off(State.get('event_names.workflow').WORKFLOW_CANCELLED, workflow_listener);
+      State.get('events.step').off(State.get('event_names.step').STEP_CANCELLED, step_listener);
+
+      expect(workflow_listener).toHaveBeenCalledTimes(1);
+      expect(step_listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record the cancel in the session snapshot', async () => {
+      const workflow = new Workflow({ steps: [new Step({ callable: () => sleep(50) })] });
+
+      const executing = workflow.execute();
+      const session_id = workflow.current_session_id;
+      await sleep(5);
+      workflow.cancel('shutting down');
+      await executing;
+
+      expect(workflow.current_session_id).toBeNull();
+      expect(workflow.sessions[session_id].status).toBe(State.get('statuses.workflow').CANCELLED);
+      expect(workflow.sessions[session_id].cancel_reason).toBe('shutting down');
+      expect(workflow.sessions[session_id].timing.cancel_time).toBeInstanceOf(Date);
+    });
+
+    it('should cancel a paused workflow immediately', async () => {
+      const pauser = new Step({
+        name: 'pauser',
+        callable: async function () {
+          this.setParentWorkflowValue(this.parentWorkflowId, 'should_pause', true);
+        },
+      });
+      const workflow = new Workflow({ steps: [pauser, new Step({ name: 'after' })] });
+
+      await workflow.execute();
+      expect(workflow.status).toBe(State.get('statuses.workflow').PAUSED);
+
+      workflow.cancel();
+
+      expect(workflow.status).toBe(State.get('statuses.workflow').CANCELLED);
+      expect(workflow.current_session_id).toBeNull();
+    });
+
+    it('should not change a finished workflow', async () => {
+      const workflow = new Workflow({ steps: [new Step({ callable: async () => 'done' })] });
+
+      await workflow.execute();
+      workflow.cancel();
+
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
+      expect(workflow.should_cancel).toBe(false);
+    });
+
+    it('should cancel a nested workflow callable', async () => {
+      const inner = new Workflow({
+        name: 'inner',
+        steps: [new Step({ name: 'inner-slow', callable: () => sleep(50) })],
+      });
+      const outer = new Workflow({ steps: [new Step({ name: 'wrapper', callable: inner })] });
+
+      const executing = outer.execute();
+      await sleep(5);
+      outer.cancel('stop everything');
+      await executing;
+
+      expect(outer.status).toBe(State.get('statuses.workflow').CANCELLED);
+      expect(inner.status).toBe(State.get('statuses.workflow').CANCELLED);
+      expect(inner.cancel_reason).toBe('stop everything');
+    });
+
+    it('should stop launching steps in graph mode', async () => {
+      const started = [];
+      const track = (name, ms) => new Step({
+        name,
+        depends_on: name === 'a' ? [] : ['a'],
+        callable: async () => {
+          started.push(name);
+          await sleep(ms);
+        },
+      });
+      const workflow = new Workflow({ steps: [track('a', 50), track('b', 0)] });
+
+      const executing = workflow.execute();
+      await sleep(5);
+      workflow.cancel();
+      await executing;
+
+      expect(started).toEqual(['a']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').CANCELLED);
+    });
+
+    it('should run again from a fresh state after a cancel', async () => {
+      const workflow = new Workflow({ steps: [new Step({ callable: async () => 'ok' })] });
+
+      workflow.cancel();
+      expect(workflow.status).toBe(State.get('statuses.workflow').CANCELLED);
+
+      await workflow.execute();
+
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
+      expect(workflow.should_cancel).toBe(false);
+    });
+  });
+
+  describe('pipeline', () => {
+    it('should pass the previous output, outputs so far, and input to each callable', async () => {
+      const contexts = [];
+      const workflow = new Workflow({
+        pipeline: true,
+        steps: [
+          new Step({ name: 'double', callable: async (context) => { contexts.push(context); return context.input * 2; } }),
+          new Step({ name: 'increment', callable: async (context) => { contexts.push(context); return context.previous_result + 1; } }),
+        ],
+      });
+
+      await workflow.execute(5);
+
+      expect(contexts[0].input).toBe(5);
+      expect(contexts[0].previous_result).toBeNull();
+      expect(contexts[0].results).toEqual({});
+      expect(contexts[1].previous_result).toBe(10);
+      expect(contexts[1].results).toEqual({ double: 10 });
+      expect(contexts[1].signal).toBeInstanceOf(AbortSignal);
+      expect(workflow.output).toBe(11);
+    });
+
+    it('should keep output separate from the results log', async () => {
+      const workflow = new Workflow({
+        steps: [
+          new Step({ name: 'a', callable: async () => 'first' }),
+          new Step({ name: 'b', callable: async () => 'last' }),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(workflow.output).toBe('last');
+      expect(workflow.results_by_name).toEqual({ a: 'first', b: 'last' });
+      expect(workflow.results).toHaveLength(2);
+    });
+
+    it('should only pass the signal when pipeline is off', async () => {
+      let received = null;
+      const workflow = new Workflow({
+        steps: [new Step({ callable: async (context) => { received = context; } })],
+      });
+
+      await workflow.execute('ignored');
+
+      expect(Object.keys(received)).toEqual(['signal']);
+      expect(workflow.input).toBe('ignored');
+    });
+
+    it('should use the last dependency output as previous_result in graph mode', async () => {
+      let previous = null;
+      const workflow = new Workflow({
+        pipeline: true,
+        steps: [
+          new Step({ name: 'users', callable: async () => ['ann'] }),
+          new Step({ name: 'orders', callable: async () => [1, 2] }),
+          new Step({
+            name: 'merge',
+            depends_on: ['orders', 'users'],
+            callable: async ({ previous_result, results }) => {
+              previous = previous_result;
+              return { users: results.users, orders: results.orders };
+            },
+          }),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(previous).toEqual(['ann']);
+      expect(workflow.output).toEqual({ users: ['ann'], orders: [1, 2] });
+    });
+
+    it('should run a nested workflow with the previous output as its input', async () => {
+      const inner = new Workflow({
+        name: 'inner',
+        pipeline: true,
+        steps: [new Step({ callable: async ({ input }) => input.toUpperCase() })],
+      });
+      const outer = new Workflow({
+        pipeline: true,
+        steps: [
+          new Step({ callable: async () => 'hello' }),
+          new Step({ name: 'nested', callable: inner }),
+          new Step({ callable: async ({ previous_result }) => `${previous_result}!` }),
+        ],
+      });
+
+      await outer.execute();
+
+      expect(inner.input).toBe('hello');
+      expect(outer.results_by_name.nested).toBe('HELLO');
+      expect(outer.output).toBe('HELLO!');
+    });
+
+    it('should not record output for a failed step', async () => {
+      const workflow = new Workflow({
+        pipeline: true,
+        steps: [
+          new Step({ name: 'ok', callable: async () => 'ok' }),
+          new Step({ name: 'broken', callable: async () => { throw new Error('nope'); } }),
+          new Step({ name: 'after', callable: async ({ previous_result }) => previous_result }),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(workflow.results_by_name).toEqual({ ok: 'ok', after: 'ok' });
+    });
+
+    it('should store the output in the session snapshot', async () => {
+      const workflow = new Workflow({ steps: [new Step({ callable: async () => 42 })] });
+
+      await workflow.execute();
+
+      const [session] = Object.values(workflow.sessions);
+      expect(session.output).toBe(42);
+    });
+  });
+
+  describe('isolated state', () => {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('should keep concurrent runs from clobbering each other', async () => {
+      const build = (tenant) => new Workflow({
+        isolated_state: true,
+        steps: [
+          new Step({ callable: async function () { this.setState('tenant', tenant); await sleep(5); } }),
+          new Step({ callable: async function () { return this.getState('tenant'); } }),
+        ],
+      });
+      const a = build('a');
+      const b = build('b');
+
+      await Promise.all([a.execute(), b.execute()]);
+
+      expect(a.output).toBe('a');
+      expect(b.output).toBe('b');
+      expect(State.get('tenant')).toBeNull();
+    });
+
+    it('should read through to the global State by default', async () => {
+      State.set('config.currency', 'EUR');
+      const workflow = new Workflow({
+        isolated_state: true,
+        steps: [new Step({ callable: async function () { return this.getState('config.currency'); } })],
+      });
+
+      await workflow.execute();
+
+      expect(workflow.output).toBe('EUR');
+    });
+
+    it('should not read through when state_read_through is false', async () => {
+      State.set('config.currency', 'EUR');
+      const workflow = new Workflow({
+        isolated_state: true,
+        state_read_through: false,
+        steps: [new Step({ callable: async function () { return this.getState('config.currency'); } })],
+      });
+
+      await workflow.execute();
+
+      expect(workflow.output).toBeNull();
+    });
+
+    it('should dispose the scope when the session closes and keep a snapshot', async () => {
+      const workflow = new Workflow({
+        isolated_state: true,
+        steps: [new Step({ callable: async function () { this.setState('done', true); } })],
+      });
+
+      await workflow.execute();
+
+      const [session] = Object.values(workflow.sessions);
+      expect(workflow.state_scope).toBeNull();
+      expect(session.state).toEqual({ done: true });
+    });
+
+    it('should keep later steps isolated when a step fails without exit_on_error', async () => {
+      const workflow = new Workflow({
+        isolated_state: true,
+        steps: [
+          new Step({ callable: async () => { throw new Error('boom'); } }),
+          new Step({ callable: async function () { this.setState('leak', 'yes'); } }),
+        ],
+      });
+
+      await workflow.execute();
+
+      const sessions = Object.values(workflow.sessions);
+      expect(State.get('leak')).toBeNull();
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].state).toEqual({ leak: 'yes' });
+      expect(sessions[0].results[0].data.error.message).toBe('boom');
+      expect(workflow.state_scope).toBeNull();
+    });
+
+    it('should still emit WORKFLOW_FAILED when a step fails without exit_on_error', async () => {
+      const failed = vi.fn();
+      State.get('events.workflow').on(State.get('event_names.workflow').WORKFLOW_FAILED, failed);
+      const workflow = new Workflow({
+        isolated_state: true,
+        steps: [
+          new Step({ callable: async () => { throw new Error('boom'); } }),
+          new Step({ callable: async function () { return this.getStateScope() !== null; } }),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(failed).toHaveBeenCalledTimes(1);
+      expect(workflow.output).toBe(true);
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPLETE);
+      expect(Object.values(workflow.sessions)).toHaveLength(1);
+    });
+
+    it('should keep the scope while paused', async () => {
+      const workflow = new Workflow({
+        isolated_state: true,
+        steps: [
+          new Step({
+            callable: async function () {
+              this.setState('progress', 1);
+              this.setParentWorkflowValue(this.parentWorkflowId, 'should_pause', true);
+            },
+          }),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(workflow.state_scope.get('progress')).toBe(1);
+    });
+
+    it('should give steps the scope of their parent workflow', async () => {
+      const step = new Step({ callable: async () => {} });
+      const workflow = new Workflow({ isolated_state: true, steps: [step] });
+
+      const executing = workflow.execute();
+
+      expect(step.getStateScope()).toBe(workflow.state_scope);
+      await executing;
+      expect(step.getStateScope()).toBeNull();
+    });
+  });
+
   describe('sessions', () => {
     it('should create a session when workflow executes', async () => {
       const step = new Step({ name: 'step-1', callable: async () => 'result' });
@@ -989,7 +1652,8 @@ describe('Workflow', () => {
     });
 
     it('should store session snapshot on completion', async () => {
-      const step = new Step({ name: 'step-1', callable: async () => 'result' });
+      // The results hold the step itself, and steps serialize to their definition, which names only registered callables
+      const step = new Step({ name: 'step-1' });
       const workflow = new Workflow({ steps: [step] });
 
       await workflow.execute();
@@ -1109,7 +1773,8 @@ describe('Workflow', () => {
     });
 
     it('should not create circular references in session snapshot', async () => {
-      const step = new Step({ name: 'step-1', callable: async () => 'result' });
+      // The results hold the step itself, and steps serialize to their definition, which names only registered callables
+      const step = new Step({ name: 'step-1' });
       const workflow = new Workflow({ steps: [step] });
 
       await workflow.execute();
@@ -1121,4 +1786,153 @@ describe('Workflow', () => {
       expect(() => JSON.stringify(session)).not.toThrow();
     });
   });
+
+  describe('compensation', () => {
+    const buildStep = (name, log, { fail = false, compensate_fails = false, compensate = true } = {}) => new Step({
+      name,
+      callable: async () => {
+        if (fail) {
+          throw new Error(`${name} failed`);
+        }
+
+        log.push(`run ${name}`);
+        return `${name}-id`;
+      },
+      compensate: compensate ? async function ({ result }) {
+        log.push(`undo ${this.name} ${result}`);
+
+        if (compensate_fails) {
+          throw new Error(`undo ${name} failed`);
+        }
+      } : null,
+    });
+
+    it('should compensate completed steps in reverse order when a step fails', async () => {
+      const log = [];
+      const workflow = new Workflow({
+        on_failure: 'compensate',
+        steps: [
+          buildStep('user', log),
+          buildStep('bucket', log),
+          buildStep('dns', log),
+          buildStep('email', log, { fail: true }),
+          buildStep('never', log),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(log).toEqual(['run user', 'run bucket', 'run dns', 'undo dns dns-id', 'undo bucket bucket-id', 'undo user user-id']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPENSATED);
+      expect(workflow.error.message).toBe('email failed');
+      expect(workflow.results.slice(-3).map(({ data }) => data.compensated)).toEqual([true, true, true]);
+      expect(workflow.steps[0].status).toBe(State.get('statuses.step').COMPENSATED);
+    });
+
+    it('should pass the input, step result and original error to compensate', async () => {
+      let received = null;
+      const workflow = new Workflow({
+        on_failure: 'compensate',
+        steps: [
+          new Step({ name: 'create', callable: async () => 'created', compensate: async (context) => { received = context; } }),
+          new Step({ name: 'break', callable: async () => { throw new Error('boom'); } }),
+        ],
+      });
+
+      await workflow.execute({ account: 1 });
+
+      expect(received).toMatchObject({ input: { account: 1 }, result: 'created' });
+      expect(received.error.message).toBe('boom');
+    });
+
+    it('should skip steps without a compensate callable', async () => {
+      const log = [];
+      const workflow = new Workflow({
+        on_failure: 'compensate',
+        steps: [buildStep('a', log), buildStep('b', log, { compensate: false }), buildStep('c', log, { fail: true })],
+      });
+
+      await workflow.execute();
+
+      expect(log).toEqual(['run a', 'run b', 'undo a a-id']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPENSATED);
+    });
+
+    it('should keep compensating and surface compensation failures without masking the original error', async () => {
+      const log = [];
+      const workflow = new Workflow({
+        on_failure: 'compensate',
+        steps: [buildStep('a', log), buildStep('b', log, { compensate_fails: true }), buildStep('c', log, { fail: true })],
+      });
+
+      await workflow.execute();
+
+      expect(log).toEqual(['run a', 'run b', 'undo b b-id', 'undo a a-id']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPENSATION_FAILED);
+      expect(workflow.error.message).toBe('c failed');
+      expect(workflow.compensation_errors.map(error => error.message)).toEqual(['undo b failed']);
+      expect(workflow.steps[1].status).toBe(State.get('statuses.step').COMPENSATION_FAILED);
+      expect(workflow.steps[0].status).toBe(State.get('statuses.step').COMPENSATED);
+
+      const [session] = Object.values(workflow.sessions);
+      expect(session.status).toBe('compensation_failed');
+      expect(session.error.message).toBe('c failed');
+    });
+
+    it('should emit compensation events', async () => {
+      const events = [];
+      const event_names = State.get('event_names.workflow');
+      State.get('events.workflow').on(event_names.WORKFLOW_COMPENSATING, () => events.push('compensating'));
+      State.get('events.workflow').on(event_names.WORKFLOW_COMPENSATED, () => events.push('compensated'));
+      State.get('events.workflow').on(event_names.WORKFLOW_FAILED, () => events.push('failed'));
+      const workflow = new Workflow({
+        on_failure: 'compensate',
+        steps: [buildStep('a', []), buildStep('b', [], { fail: true })],
+      });
+
+      await workflow.execute();
+
+      expect(events).toEqual(['compensating', 'compensated']);
+    });
+
+    it('should stop starting graph steps after a failure and compensate the completed ones', async () => {
+      const log = [];
+      const workflow = new Workflow({
+        on_failure: 'compensate',
+        steps: [
+          buildStep('a', log),
+          new Step({
+            name: 'b',
+            depends_on: ['a'],
+            callable: async () => {
+              await new Promise(resolve => setTimeout(resolve, 5));
+              log.push('run b');
+            },
+            compensate: async () => log.push('undo b'),
+          }),
+          Object.assign(buildStep('c', log, { fail: true }), { depends_on: ['a'] }),
+          Object.assign(buildStep('d', log), { depends_on: ['c'] }),
+        ],
+      });
+
+      await workflow.execute();
+
+      expect(log).toEqual(['run a', 'run b', 'undo b', 'undo a a-id']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').COMPENSATED);
+    });
+
+    it('should not compensate without on_failure', async () => {
+      const log = [];
+      const workflow = new Workflow({
+        exit_on_error: true,
+        steps: [buildStep('a', log), buildStep('b', log, { fail: true })],
+      });
+
+      await workflow.execute();
+
+      expect(log).toEqual(['run a']);
+      expect(workflow.status).toBe(State.get('statuses.workflow').FAILED);
+    });
+  });
+
 });